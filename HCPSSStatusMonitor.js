@@ -1,230 +1,1046 @@
-import { useState, useEffect, useCallback, useRef } from "https://esm.sh/react@18.2.0?dev";
+import { Fragment, useState, useEffect, useCallback, useRef, useMemo } from "https://esm.sh/react@18.2.0?dev";
+import {
+  DEFAULT_SOURCES, SOURCE_TYPES, RELAY_URL, STATUS_COLORS, github, DETAIL_PERIODS, SOURCE_ADAPTERS, sourceName, validateSource, formatPercent,
+  renderNotification, createRateLimiter, relayPost,
+  RULE_CONDITIONS, SEVERITIES, ALERT_CHANNELS, newRule, incidentMentions,
+  initialPollState, fetchSources, processPoll, alertChannels, alertKey, alertLink, mergeAlertLogs, servicePath, incidentPath,
+  outageSpans, reliabilityStats,
+  BADGE_SIZES, BADGE_THEMES, badgeSubject, renderBadge,
+  INCIDENT_SORTS, DURATION_BUCKETS, incidentKey, incidentDuration, filtersFromParams, filtersToParams, searchIncidents, mergeIncidents,
+  slugify, filterExport, toCsv, exportRecords, monthBounds, slaReport,
+  POLL_DEFAULTS, POLL_LIMITS, POLL_RANGES, createPollScheduler,
+  DEFAULT_PREFS, migratePrefs, normalizePrefs, readPrefsFile,
+  WEBHOOK_FORMATS, newWebhook, webhookMatches, webhookTestEvent, deliverWebhook, recordDelivery,
+  newMaintenanceWindow, windowActive, upcomingMaintenance,
+} from "./monitor-core.js";
+import { loadSnapshot, saveSnapshot, appendTransitions, loadTransitions, saveDelivery, loadDeliveries, clearDeliveries } from "./kv-store.js";
 
 // ─── CONSTANTS ───────────────────────────────────────────────────────────────
-const GITHUB_REPOS = [
-  { owner: "HCPSS", repo: "upptime", label: "Main Services" },
-  { owner: "HCPSS", repo: "status",  label: "Async Instructional" },
-];
-const POLL_INTERVAL_MS = 60_000; // 60 s
+const RT_SAMPLE_LIMIT = 120;      // response-time samples kept per service for sparklines
+const DOWNTIME_DAYS = 90;
+
+// Where the app is served from (index.html sets it with <base>); every route is
+// a path below it, and sign-in always returns here.
+const APP_URL = new URL("./", document.baseURI);
 
-const STATUS_COLORS = {
-  up:       { bg: "#16a34a", text: "#bbf7d0", glow: "rgba(22,163,74,0.5)" },
-  down:     { bg: "#dc2626", text: "#fecaca", glow: "rgba(220,38,38,0.6)" },
-  unknown:  { bg: "#ca8a04", text: "#fef08a", glow: "rgba(202,138,4,0.5)" },
+// OpenID Connect sign-in. Points at the local mock provider (dev/mock-oidc.js) by
+// default; for production set issuer to https://accounts.google.com and the
+// district's OAuth client id.
+const OIDC_CONFIG = {
+  issuer: "http://localhost:8788",
+  clientId: "hcpss-status-monitor",
+  hostedDomain: "hcpss.org", // only accounts from this domain may sign in; "" allows any
+  scope: "openid email profile",
+  providerName: "Google",
 };
+const CLOCK_SKEW_S = 60;
+
+// ─── OIDC AUTH (authorization code + PKCE) ───────────────────────────────────
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlDecode(str) {
+  const b64 = str.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64.padEnd(Math.ceil(b64.length / 4) * 4, "="));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+function randomToken(bytes = 32) {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+let discoveryCache = null;
+async function oidcDiscovery() {
+  if (!discoveryCache) {
+    discoveryCache = fetch(`${OIDC_CONFIG.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`)
+      .then((r) => {
+        if (!r.ok) throw new Error(`OIDC discovery failed (HTTP ${r.status})`);
+        return r.json();
+      })
+      .catch((e) => {
+        discoveryCache = null;
+        throw e;
+      });
+  }
+  return discoveryCache;
+}
+
+async function tokenRequest(params) {
+  const { token_endpoint } = await oidcDiscovery();
+  const r = await fetch(token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ client_id: OIDC_CONFIG.clientId, ...params }),
+  });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(data.error_description || data.error || `Token request failed (HTTP ${r.status})`);
+  return data;
+}
+
+// Verifies the RS256 signature against the issuer's JWKS, then the standard
+// claims. `nonce` is only checked on the initial code exchange.
+async function validateIdToken(idToken, { nonce } = {}) {
+  const [h, p, sig] = idToken.split(".");
+  const decode = (part) => JSON.parse(new TextDecoder().decode(base64UrlDecode(part)));
+  const header = decode(h);
+  const claims = decode(p);
 
-// ─── FAKE GOOGLE AUTH (simulates the flow) ──────────────────────────────────
-function useGoogleAuth() {
-  const [user, setUser] = useState(null);
+  if (header.alg !== "RS256") throw new Error(`Unsupported ID token algorithm: ${header.alg}`);
+  const { jwks_uri } = await oidcDiscovery();
+  const { keys = [] } = await (await fetch(jwks_uri)).json();
+  const jwk = keys.find((k) => k.kid === header.kid);
+  if (!jwk) throw new Error("ID token signed with an unknown key");
+  const key = await crypto.subtle.importKey(
+    "jwk", { kty: jwk.kty, n: jwk.n, e: jwk.e, alg: "RS256", ext: true },
+    { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" }, false, ["verify"]
+  );
+  const valid = await crypto.subtle.verify("RSASSA-PKCS1-v1_5", key, base64UrlDecode(sig), new TextEncoder().encode(`${h}.${p}`));
+  if (!valid) throw new Error("ID token signature is invalid");
+
+  const now = Math.floor(Date.now() / 1000);
+  const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (claims.iss !== OIDC_CONFIG.issuer) throw new Error("ID token issuer mismatch");
+  if (!aud.includes(OIDC_CONFIG.clientId)) throw new Error("ID token audience mismatch");
+  if (aud.length > 1 && claims.azp !== OIDC_CONFIG.clientId) throw new Error("ID token authorized party mismatch");
+  if (claims.exp + CLOCK_SKEW_S < now) throw new Error("ID token has expired");
+  if (claims.iat - CLOCK_SKEW_S > now) throw new Error("ID token issued in the future");
+  if (nonce !== undefined && claims.nonce !== nonce) throw new Error("ID token nonce mismatch");
+  if (OIDC_CONFIG.hostedDomain && claims.hd !== OIDC_CONFIG.hostedDomain) {
+    throw new Error(`Sign in with your ${OIDC_CONFIG.hostedDomain} account`);
+  }
+  if (claims.email_verified === false) throw new Error("Email address is not verified with the provider");
+  return claims;
+}
+
+function sessionFromTokens(tokens, claims, previous) {
+  return {
+    idToken: tokens.id_token || previous?.idToken,
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token || previous?.refreshToken,
+    expiresAt: Date.now() + (tokens.expires_in || 3600) * 1000,
+    user: {
+      id: claims.sub,
+      name: claims.name || claims.email,
+      email: claims.email,
+      avatar: claims.picture || initialsAvatar(claims.name || claims.email),
+      provider: OIDC_CONFIG.providerName,
+    },
+  };
+}
+
+function initialsAvatar(name) {
+  const initials = String(name || "?").split(/[\s@.]+/).filter(Boolean).slice(0, 2).map((w) => w[0].toUpperCase()).join("");
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="64" height="64"><rect width="64" height="64" fill="#15803d"/>` +
+    `<text x="32" y="41" font-family="sans-serif" font-size="26" fill="#fff" text-anchor="middle">${initials}</text></svg>`;
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+function useOidcAuth() {
+  const [session, setSession] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
 
-  useEffect(() => {
-    // Check persisted session
+  const saveSession = useCallback((next) => {
+    setSession(next);
     try {
-      const saved = sessionStorage.getItem("hcpss_user");
-      if (saved) setUser(JSON.parse(saved));
+      if (next) sessionStorage.setItem("hcpss_session", JSON.stringify(next));
+      else sessionStorage.removeItem("hcpss_session");
     } catch {}
-    setLoading(false);
   }, []);
 
-  const login = useCallback(() => {
-    // Simulate Google popup → instant sign-in with avatar
-    const fakeUser = {
-      id: "google_" + Math.random().toString(36).slice(2, 10),
-      name: "HCPSS User",
-      email: "user@howard.edu",
-      avatar: "https://i.pravatar.cc/150?img=" + Math.floor(Math.random() * 70 + 1),
-      provider: "google",
-    };
-    setUser(fakeUser);
-    try { sessionStorage.setItem("hcpss_user", JSON.stringify(fakeUser)); } catch {}
-  }, []);
+  const refresh = useCallback(async (current) => {
+    const tokens = await tokenRequest({ grant_type: "refresh_token", refresh_token: current.refreshToken });
+    const claims = tokens.id_token ? await validateIdToken(tokens.id_token) : null;
+    const next = claims
+      ? sessionFromTokens(tokens, claims, current)
+      : { ...current, accessToken: tokens.access_token, refreshToken: tokens.refresh_token || current.refreshToken,
+          expiresAt: Date.now() + (tokens.expires_in || 3600) * 1000 };
+    saveSession(next);
+    return next;
+  }, [saveSession]);
 
-  const signup = useCallback(() => {
-    const fakeUser = {
-      id: "google_signup_" + Math.random().toString(36).slice(2, 10),
-      name: "New HCPSS User",
-      email: "newuser@howard.edu",
-      avatar: "https://i.pravatar.cc/150?img=" + Math.floor(Math.random() * 70 + 1),
-      provider: "google",
-      isNew: true,
-    };
-    setUser(fakeUser);
-    try { sessionStorage.setItem("hcpss_user", JSON.stringify(fakeUser)); } catch {}
-  }, []);
+  // Finish a redirect back from the provider, or restore the saved session.
+  // Runs once: saveSession and refresh never change.
+  useEffect(() => {
+    (async () => {
+      const params = new URLSearchParams(window.location.search);
+      try {
+        if (params.has("code") || params.has("error")) {
+          const pending = JSON.parse(sessionStorage.getItem("hcpss_oidc_pending") || "null");
+          sessionStorage.removeItem("hcpss_oidc_pending");
+          window.history.replaceState(null, "", pending?.returnTo || APP_URL.pathname);
+          // Let the router pick up the page sign-in started from.
+          window.dispatchEvent(new PopStateEvent("popstate"));
+          if (params.has("error")) throw new Error(params.get("error_description") || params.get("error"));
+          if (!pending || params.get("state") !== pending.state) throw new Error("Sign-in state mismatch; please try again");
+
+          const tokens = await tokenRequest({
+            grant_type: "authorization_code",
+            code: params.get("code"),
+            redirect_uri: pending.redirectUri,
+            code_verifier: pending.verifier,
+          });
+          const claims = await validateIdToken(tokens.id_token, { nonce: pending.nonce });
+          saveSession(sessionFromTokens(tokens, claims));
+        } else {
+          const saved = JSON.parse(sessionStorage.getItem("hcpss_session") || "null");
+          if (saved && saved.expiresAt > Date.now()) setSession(saved);
+          else if (saved?.refreshToken) await refresh(saved);
+        }
+      } catch (e) {
+        saveSession(null);
+        setError(e.message);
+      }
+      setLoading(false);
+    })();
+  }, [saveSession, refresh]);
+
+  // Refresh a minute before the access token expires; sign out if that fails.
+  useEffect(() => {
+    if (!session?.refreshToken) return;
+    const delay = Math.max(0, session.expiresAt - Date.now() - 60_000);
+    const timer = setTimeout(() => {
+      refresh(session).catch((e) => {
+        saveSession(null);
+        setError(`Session expired: ${e.message}`);
+      });
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [session, refresh, saveSession]);
 
-  const logout = useCallback(() => {
-    setUser(null);
-    try { sessionStorage.removeItem("hcpss_user"); } catch {}
+  const startLogin = useCallback(async (prompt) => {
+    setError(null);
+    try {
+      const discovery = await oidcDiscovery();
+      const verifier = randomToken(48);
+      const challenge = base64UrlEncode(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier)));
+      const pending = {
+        state: randomToken(),
+        nonce: randomToken(),
+        verifier,
+        redirectUri: APP_URL.href,
+        returnTo: window.location.pathname + window.location.search + window.location.hash,
+      };
+      sessionStorage.setItem("hcpss_oidc_pending", JSON.stringify(pending));
+
+      const params = new URLSearchParams({
+        response_type: "code",
+        client_id: OIDC_CONFIG.clientId,
+        redirect_uri: pending.redirectUri,
+        scope: OIDC_CONFIG.scope,
+        state: pending.state,
+        nonce: pending.nonce,
+        code_challenge: challenge,
+        code_challenge_method: "S256",
+      });
+      if (OIDC_CONFIG.hostedDomain) params.set("hd", OIDC_CONFIG.hostedDomain);
+      if (prompt) params.set("prompt", prompt);
+      window.location.assign(`${discovery.authorization_endpoint}?${params}`);
+    } catch (e) {
+      setError(e.message);
+    }
   }, []);
 
-  return { user, loading, login, signup, logout };
+  const login = useCallback(() => startLogin("select_account"), [startLogin]);
+  const signup = useCallback(() => startLogin("create"), [startLogin]);
+
+  const logout = useCallback(async () => {
+    const current = session;
+    saveSession(null);
+    if (!current) return;
+    try {
+      const discovery = await oidcDiscovery();
+      if (discovery.revocation_endpoint && current.refreshToken) {
+        await fetch(discovery.revocation_endpoint, {
+          method: "POST",
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          body: new URLSearchParams({ token: current.refreshToken, client_id: OIDC_CONFIG.clientId }),
+        }).catch(() => {});
+      }
+      if (discovery.end_session_endpoint) {
+        const params = new URLSearchParams({
+          id_token_hint: current.idToken,
+          client_id: OIDC_CONFIG.clientId,
+          post_logout_redirect_uri: APP_URL.href,
+        });
+        window.location.assign(`${discovery.end_session_endpoint}?${params}`);
+      }
+    } catch {}
+  }, [session, saveSession]);
+
+  return { user: session?.user || null, loading, error, login, signup, logout };
 }
 
-// ─── NOTIFICATION MANAGER ───────────────────────────────────────────────────
-function useNotifications() {
-  const [desktopEnabled, setDesktopEnabled] = useState(false);
-  const [emailEnabled,  setEmailEnabled]  = useState(false);
-  const [smsEnabled,    setSmsEnabled]    = useState(false);
-  const [email, setEmail]                 = useState("");
-  const [phone, setPhone]                 = useState("");
+// ─── PREFERENCES ─────────────────────────────────────────────────────────────
+// Per-user settings, persisted in localStorage under the signed-in user's id
+// (see PREFERENCES in monitor-core.js for the document itself).
+function loadPrefs(userId) {
+  try {
+    const saved = localStorage.getItem(`hcpss_prefs_${userId}`);
+    if (saved) return normalizePrefs(migratePrefs(JSON.parse(saved))).prefs;
+  } catch {}
+  return DEFAULT_PREFS;
+}
+
+function usePreferences(userId) {
+  // `loadedFor` lets callers wait until this user's document has been read.
+  const [{ prefs, loadedFor }, setState] = useState({ prefs: DEFAULT_PREFS, loadedFor: null });
 
   useEffect(() => {
-    if ("Notification" in window && Notification.permission === "granted") {
-      setDesktopEnabled(true);
+    setState({ prefs: userId ? loadPrefs(userId) : DEFAULT_PREFS, loadedFor: userId || null });
+  }, [userId]);
+
+  // Accepts a partial object or an updater function, like setState.
+  const updatePrefs = useCallback((patch) => {
+    setState((prev) => {
+      const next = typeof patch === "function" ? patch(prev.prefs) : { ...prev.prefs, ...patch };
+      if (userId) {
+        try { localStorage.setItem(`hcpss_prefs_${userId}`, JSON.stringify(next)); } catch {}
+      }
+      return { ...prev, prefs: next };
+    });
+  }, [userId]);
+
+  // Webhook URLs carry the credential for Slack, Teams and Discord, so they
+  // stay behind with the signing secrets; exported webhooks come back disabled.
+  const exportPrefs = useCallback(() => {
+    const webhooks = prefs.webhooks.map((hook) => ({ ...hook, url: "", secret: "", enabled: false }));
+    const doc = { app: "hcpss-status-monitor", exportedAt: new Date().toISOString(), prefs: { ...prefs, webhooks } };
+    downloadFile(`hcpss-monitor-settings-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(doc, null, 2), "application/json");
+  }, [prefs]);
+
+  // Throws on unreadable input so the caller can show the message; returns
+  // how many list entries were left out.
+  const importPrefs = useCallback((text) => {
+    const { prefs: next, skipped } = readPrefsFile(text);
+    updatePrefs((current) => {
+      // Exports leave webhook credentials out; keep the ones this browser has.
+      const webhooks = next.webhooks.map((hook) => {
+        const known = current.webhooks.find((h) => h.id === hook.id);
+        return hook.url || !known ? hook : { ...hook, url: known.url, secret: known.secret, enabled: known.enabled };
+      });
+      return { ...next, webhooks };
+    });
+    return skipped;
+  }, [updatePrefs]);
+
+  return { prefs, loadedFor, updatePrefs, exportPrefs, importPrefs };
+}
+
+// ─── ALERT LOG STORAGE ───────────────────────────────────────────────────────
+// Alerts sent are recorded per user (see ALERT LOG in monitor-core.js).
+function loadAlertLog(userId) {
+  try {
+    const saved = localStorage.getItem(`hcpss_alertlog_${userId}`);
+    if (saved) return JSON.parse(saved);
+  } catch {}
+  return { initialized: false, entries: [] };
+}
+
+function saveAlertLog(userId, log) {
+  try { localStorage.setItem(`hcpss_alertlog_${userId}`, JSON.stringify(log)); } catch {}
+}
+
+// ─── NOTIFICATION MANAGER ───────────────────────────────────────────────────
+// Client-side mirror of the relay's E.164 normalization, for input feedback only.
+function normalizePhone(input) {
+  const raw = String(input || "").trim();
+  const digits = raw.replace(/\D/g, "");
+  if (raw.startsWith("+")) return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith("1")) return `+${digits}`;
+  return null;
+}
+
+// A relay-backed channel (email, sms) whose address must be verified with a
+// one-time code before it can be enabled. `settings` / `onChange` hold the
+// persisted { address, verified, enabled }.
+function useVerifiedChannel(channel, { perService, total }, settings, onChange) {
+  const { address, verified, enabled } = settings;
+  const [status, setStatus] = useState(null); // { kind: "info" | "error", text }
+
+  const limits = useRef({
+    perService: createRateLimiter({ limit: perService, windowMs: 60 * 60_000 }),
+    total: createRateLimiter({ limit: total, windowMs: 60 * 60_000 }),
+  });
+
+  // Changing the address drops its verification.
+  const setAddress = useCallback((value) => {
+    onChange({ address: value, verified: false, enabled: false });
+    setStatus(null);
+  }, [onChange]);
+
+  const setEnabled = useCallback((value) => {
+    onChange({ address, verified, enabled: value });
+  }, [onChange, address, verified]);
+
+  const sendCode = async () => {
+    try {
+      await relayPost(`/${channel}/verify`, { to: address });
+      setStatus({ kind: "info", text: `Code sent to ${address}.` });
+    } catch (e) {
+      setStatus({ kind: "error", text: e.message });
     }
-  }, []);
+  };
+
+  const confirmCode = async (code) => {
+    try {
+      await relayPost(`/${channel}/confirm`, { to: address, code });
+      onChange({ address, verified: true, enabled: true });
+      setStatus({ kind: "info", text: "Verified." });
+    } catch (e) {
+      setStatus({ kind: "error", text: e.message });
+    }
+  };
+
+  // Rate-limited per key so a flapping service can't flood the recipient.
+  const send = useCallback(async (key, { subject, text }) => {
+    if (!enabled || !verified || !address) return;
+    const { perService: svcLimit, total: totalLimit } = limits.current;
+    if (!svcLimit.allow(key) || !totalLimit.allow("all")) return;
+    try {
+      await relayPost(`/${channel}/send`, { to: address, subject, text });
+    } catch (e) {
+      setStatus({ kind: "error", text: `Last alert failed: ${e.message}` });
+    }
+  }, [channel, enabled, verified, address]);
+
+  return { address, setAddress, verified, enabled, setEnabled, status, sendCode, confirmCode, send };
+}
+
+// Webhook channels and their delivery log, which the service worker also
+// writes to when it alerts in the background (kv-store.js).
+function useWebhooks(userId, { prefs, updatePrefs }) {
+  const [deliveries, setDeliveries] = useState([]);
+
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+    loadDeliveries(userId).then((log) => { if (!cancelled) setDeliveries(log); });
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  const onUpdate = useCallback((delivery) => {
+    setDeliveries((log) => recordDelivery(log, delivery));
+    if (userId) saveDelivery(userId, delivery);
+  }, [userId]);
+
+  const setWebhooks = useCallback((fn) => updatePrefs((p) => ({ ...p, webhooks: fn(p.webhooks) })), [updatePrefs]);
+
+  const { webhooks } = prefs;
+  const send = useCallback((event) => {
+    webhooks.filter((hook) => webhookMatches(hook, event)).forEach((hook) => deliverWebhook(hook, event, { onUpdate }));
+  }, [webhooks, onUpdate]);
+
+  // Tests skip the filter and the enabled switch.
+  const sendTest = useCallback((hook) => deliverWebhook(hook, webhookTestEvent(), { onUpdate }), [onUpdate]);
+
+  const clearLog = useCallback(() => {
+    setDeliveries([]);
+    if (userId) clearDeliveries(userId);
+  }, [userId]);
+
+  return {
+    webhooks, deliveries, send, sendTest, clearLog,
+    add: () => setWebhooks((list) => [...list, newWebhook()]),
+    update: (id, patch) => setWebhooks((list) => list.map((hook) => (hook.id === id ? { ...hook, ...patch } : hook))),
+    remove: (id) => setWebhooks((list) => list.filter((hook) => hook.id !== id)),
+  };
+}
+
+function useNotifications({ prefs, updatePrefs }, onNavigate, userId) {
+  const [permission, setPermission] = useState(() => ("Notification" in window ? Notification.permission : "denied"));
+  const desktopEnabled = prefs.channels.desktop && permission === "granted";
+
+  const setChannel = useCallback((name) => (value) => {
+    updatePrefs((p) => ({ ...p, channels: { ...p.channels, [name]: value } }));
+  }, [updatePrefs]);
+  const onEmailChange = useMemo(() => setChannel("email"), [setChannel]);
+  const onSmsChange   = useMemo(() => setChannel("sms"), [setChannel]);
+
+  const email = useVerifiedChannel("email", { perService: 3, total: 20 }, prefs.channels.email, onEmailChange);
+  const sms   = useVerifiedChannel("sms",   { perService: 2, total: 10 }, prefs.channels.sms, onSmsChange);
+  const webhooks = useWebhooks(userId, { prefs, updatePrefs });
 
   const requestDesktop = async () => {
     if ("Notification" in window) {
       const perm = await Notification.requestPermission();
-      setDesktopEnabled(perm === "granted");
+      setPermission(perm);
+      setChannel("desktop")(perm === "granted");
     }
   };
 
-  const fireDesktop = useCallback((title, body, icon = "🟥") => {
+  const disableDesktop = () => setChannel("desktop")(false);
+
+  // `link` (see alertLink) is opened when the notification is clicked.
+  const fireDesktop = useCallback((title, body, link) => {
     if (desktopEnabled && "Notification" in window && Notification.permission === "granted") {
       try {
-        new Notification(title, {
+        const n = new Notification(title, {
           body,
           icon: "/favicon.ico",
           badge: "/favicon.ico",
           silent: false,
         });
+        if (link) {
+          n.onclick = () => {
+            window.focus();
+            onNavigate(link);
+            n.close();
+          };
+        }
       } catch {}
     }
-  }, [desktopEnabled]);
+  }, [desktopEnabled, onNavigate]);
+
+  const { send: sendEmail } = email;
+  const { send: sendSms } = sms;
+  const { send: sendWebhooks } = webhooks;
+  const { severityChannels, quietHours } = prefs;
+
+  // Send a rule event to the channels its severity maps to.
+  const dispatch = useCallback((event) => {
+    const channels = alertChannels(event, { severityChannels, quietHours });
+    if (channels.length === 0) return;
+
+    const msg = renderNotification(event);
+    const key = alertKey(event);
+    if (channels.includes("desktop")) fireDesktop(msg.subject, msg.short, alertLink(event));
+    if (channels.includes("email")) sendEmail(key, { subject: msg.subject, text: msg.body });
+    if (channels.includes("sms")) sendSms(key, { text: msg.sms });
+    if (channels.includes("webhook")) sendWebhooks(event);
+  }, [fireDesktop, sendEmail, sendSms, sendWebhooks, severityChannels, quietHours]);
 
   return {
-    desktopEnabled, requestDesktop, fireDesktop,
-    emailEnabled, setEmailEnabled, email, setEmail,
-    smsEnabled, setSmsEnabled, phone, setPhone,
+    desktopEnabled, requestDesktop, disableDesktop, fireDesktop, dispatch,
+    email, sms, webhooks,
   };
 }
 
-// ─── GITHUB API FETCHER ──────────────────────────────────────────────────────
-async function fetchRepoServices(owner, repo) {
-  // 1) Fetch summary.json from raw content
-  const summaryUrl = `https://raw.githubusercontent.com/${owner}/${repo}/master/history/summary.json`;
-  let summary = [];
-  try {
-    const r = await fetch(summaryUrl);
-    if (r.ok) summary = await r.json();
-  } catch {}
+// ─── BACKGROUND MONITORING ───────────────────────────────────────────────────
+// sw.js keeps polling when no tab is open (and caches the app for offline use). The tab keeps it supplied with the
+// user's sources and alert settings, and both sides exchange alert logs so
+// neither repeats what the other already sent.
+const SW_URL = "./sw.js";
+const PERIODIC_SYNC_TAG = "hcpss-poll";
 
-  // 2) Fetch open issues (incidents) via GitHub API
-  let incidents = [];
-  try {
-    const issuesUrl = `https://api.github.com/repos/${owner}/${repo}/issues?state=open&labels=bug&per_page=10`;
-    const r2 = await fetch(issuesUrl, { headers: { Accept: "application/vnd.github.v3+json" } });
-    if (r2.ok) incidents = await r2.json();
-  } catch {}
+function useBackgroundMonitor({ userId, sources, githubToken, prefs, updatePrefs, onNavigate, onAlertLog }) {
+  const supported = "serviceWorker" in navigator;
+  const pushSupported = supported && "PushManager" in window;
+  const [registration, setRegistration] = useState(null);
+  const [periodic, setPeriodic] = useState(false);
+  const [status, setStatus] = useState(null); // { kind: "info" | "error", text }
+  const { enabled, push } = prefs.background;
 
-  // 3) Also fetch closed issues (recent incidents)
-  let closedIncidents = [];
-  try {
-    const closedUrl = `https://api.github.com/repos/${owner}/${repo}/issues?state=closed&labels=bug&per_page=5`;
-    const r3 = await fetch(closedUrl, { headers: { Accept: "application/vnd.github.v3+json" } });
-    if (r3.ok) closedIncidents = await r3.json();
-  } catch {}
+  const setBackground = useCallback((patch) => {
+    updatePrefs((p) => ({ ...p, background: { ...p.background, ...patch } }));
+  }, [updatePrefs]);
+
+  // The worker is always installed so the app opens offline; it only polls
+  // while it holds a config.
+  useEffect(() => {
+    if (!supported) return;
+    let cancelled = false;
+    navigator.serviceWorker.register(SW_URL, { type: "module" })
+      .then(() => navigator.serviceWorker.ready)
+      .then((reg) => { if (!cancelled) setRegistration(reg); })
+      .catch((e) => setStatus({ kind: "error", text: `Could not start the background worker (${e.message})` }));
+    return () => { cancelled = true; };
+  }, [supported]);
+
+  useEffect(() => {
+    if (!registration?.active || !userId) return;
+    if (!enabled) {
+      registration.active.postMessage({ type: "stop" });
+      return;
+    }
+    const { rules, alerting, severityChannels, quietHours, channels, polling, webhooks, maintenance } = prefs;
+    registration.active.postMessage({
+      type: "config",
+      config: { userId, sources, githubToken, prefs: { rules, alerting, severityChannels, quietHours, channels, polling, webhooks, maintenance: validWindows(maintenance) } },
+    });
+  }, [registration, userId, enabled, sources, githubToken, prefs]);
+
+  // Periodic sync is only granted to installed apps, at the browser's own pace.
+  useEffect(() => {
+    if (!registration || !("periodicSync" in registration)) {
+      setPeriodic(false);
+      return;
+    }
+    if (!enabled) {
+      registration.periodicSync.unregister(PERIODIC_SYNC_TAG).catch(() => {});
+      setPeriodic(false);
+      return;
+    }
+    registration.periodicSync.register(PERIODIC_SYNC_TAG, { minInterval: prefs.polling.intervalSeconds * 1000 })
+      .then(() => setPeriodic(true))
+      .catch(() => setPeriodic(false));
+  }, [registration, enabled, prefs.polling.intervalSeconds]);
+
+  useEffect(() => {
+    if (!registration || !pushSupported) return;
+    let cancelled = false;
+    (async () => {
+      const existing = await registration.pushManager.getSubscription();
+      if (!enabled || !push) {
+        if (existing) {
+          await relayPost("/push/unsubscribe", { endpoint: existing.endpoint }).catch(() => {});
+          await existing.unsubscribe();
+        }
+        return;
+      }
+      try {
+        let sub = existing;
+        if (!sub) {
+          const r = await fetch(`${RELAY_URL}/push/vapid-public-key`);
+          if (!r.ok) throw new Error(`Relay returned HTTP ${r.status}`);
+          const { key } = await r.json();
+          sub = await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: base64UrlDecode(key) });
+        }
+        await relayPost("/push/subscribe", { subscription: sub.toJSON(), sources });
+        if (!cancelled) setStatus({ kind: "info", text: "The relay will wake this browser when a status changes." });
+      } catch (e) {
+        if (!cancelled) setStatus({ kind: "error", text: `Push subscription failed (${e.message})` });
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [registration, pushSupported, enabled, push, sources]);
+
+  useEffect(() => {
+    if (!supported) return;
+    const onMessage = (e) => {
+      if (e.data?.type === "navigate") onNavigate(e.data.url);
+      if (e.data?.type === "alert-log" && e.data.userId === userId) onAlertLog(e.data.log);
+    };
+    navigator.serviceWorker.addEventListener("message", onMessage);
+    navigator.serviceWorker.startMessages();
+    return () => navigator.serviceWorker.removeEventListener("message", onMessage);
+  }, [supported, userId, onNavigate, onAlertLog]);
+
+  // The worker answers with the merged log, which comes back through onAlertLog.
+  const syncLog = useCallback((log) => {
+    registration?.active?.postMessage({ type: "alert-log", userId, log });
+  }, [registration, userId]);
+
+  const signOut = useCallback(() => {
+    registration?.active?.postMessage({ type: "stop" });
+  }, [registration]);
+
+  return {
+    supported, pushSupported, enabled, push, periodic, status,
+    running: enabled && !!registration,
+    setEnabled: (value) => setBackground({ enabled: value }),
+    setPush: (value) => setBackground({ push: value }),
+    syncLog, signOut,
+  };
+}
+
+// ─── SOURCE CONFIG ───────────────────────────────────────────────────────────
+function useSources() {
+  const [sources, setSourcesState] = useState(() => {
+    try {
+      const saved = localStorage.getItem("hcpss_sources");
+      if (saved) return JSON.parse(saved);
+    } catch {}
+    return DEFAULT_SOURCES;
+  });
+
+  const setSources = useCallback((next) => {
+    setSourcesState(next);
+    try { localStorage.setItem("hcpss_sources", JSON.stringify(next)); } catch {}
+  }, []);
+
+  const resetSources = useCallback(() => {
+    setSourcesState(DEFAULT_SOURCES);
+    try { localStorage.removeItem("hcpss_sources"); } catch {}
+  }, []);
+
+  return { sources, setSources, resetSources };
+}
+
+// A token raises the GitHub API limit from 60 to 5,000 requests an hour. Like
+// the source list it belongs to this device and is left out of settings exports.
+function useGitHub() {
+  const [token, setTokenState] = useState(() => {
+    try { return localStorage.getItem("hcpss_github_token") || ""; } catch { return ""; }
+  });
+  const [status, setStatus] = useState(github.status);
+
+  useEffect(() => github.subscribe(setStatus), []);
+  useEffect(() => { github.setToken(token); }, [token]);
+
+  const setToken = useCallback((next) => {
+    setTokenState(next);
+    try {
+      if (next) localStorage.setItem("hcpss_github_token", next);
+      else localStorage.removeItem("hcpss_github_token");
+    } catch {}
+  }, []);
+
+  return { token, setToken, status };
+}
+
+function quotaText({ rate, blockedUntil }) {
+  if (Date.now() < blockedUntil) return `GitHub API paused until ${new Date(blockedUntil).toLocaleTimeString()}`;
+  if (!rate) return null;
+  return `GitHub API: ${rate.remaining}/${rate.limit} left, resets ${new Date(rate.reset).toLocaleTimeString()}`;
+}
+
+// ─── INCIDENT ARCHIVE ────────────────────────────────────────────────────────
+// Polling only looks at the latest incidents. The full history is fetched a
+// page per source at a time, when the incidents page asks for it.
+function useIncidentArchive(sources) {
+  const [pages, setPages] = useState({}); // source id -> { incidents, next, done, error }
+  const [loading, setLoading] = useState(false);
+  const sourcesRef = useRef(sources);
+  // Read through a ref so loadMore only changes with the sources.
+  const pagesRef = useRef(pages);
+  pagesRef.current = pages;
+
+  // A changed source list starts over.
+  useEffect(() => {
+    sourcesRef.current = sources;
+    setPages({});
+  }, [sources]);
 
-  return { summary, incidents, closedIncidents };
+  const loadMore = useCallback(async () => {
+    setLoading(true);
+    const entries = await Promise.all(sources.map(async (source) => {
+      const fetchArchive = SOURCE_ADAPTERS[source.type]?.fetchArchive;
+      const prev = pagesRef.current[source.id] || { incidents: [], next: 1, done: !fetchArchive, error: null };
+      if (prev.done) return [source.id, prev];
+      try {
+        const { incidents, done } = await fetchArchive(source, prev.next);
+        return [source.id, { incidents: [...prev.incidents, ...incidents], next: prev.next + 1, done, error: null }];
+      } catch (err) {
+        return [source.id, { ...prev, error: err.message }];
+      }
+    }));
+    if (sourcesRef.current === sources) setPages(Object.fromEntries(entries));
+    setLoading(false);
+  }, [sources]);
+
+  const incidents = useMemo(() => Object.values(pages).flatMap((p) => p.incidents), [pages]);
+  const states = Object.values(pages);
+  return {
+    incidents,
+    loaded: states.length > 0,
+    done: states.length > 0 && states.every((p) => p.done),
+    errors: sources.filter((s) => pages[s.id]?.error).map((s) => `${sourceName(s)}: ${pages[s.id].error}`),
+    loading,
+    loadMore,
+  };
+}
+
+// ─── ROUTER ──────────────────────────────────────────────────────────────────
+// Pages are real URLs below APP_URL, so they can be bookmarked, pasted into
+// chat and opened from notifications. The host must answer any of these paths
+// with index.html.
+const ROUTES = [
+  { page: "dashboard", pattern: /^$/ },
+  { page: "incidents", pattern: /^incidents$/ },
+  { page: "incident",  pattern: /^incidents\/[^/]+\/[^/]+$/ },
+  { page: "service",   pattern: /^services\/[^/]+\/[^/]+$/ },
+  { page: "timeline",  pattern: /^timeline$/ },
+  { page: "reports",   pattern: /^reports$/ },
+  { page: "settings",  pattern: /^settings(?:\/(?<section>[^/]+))?$/ },
+  { page: "public",    pattern: /^public$/ }, // no sign-in needed
+  { page: "embed",     pattern: /^embed$/ },  // likewise; for iframes on other sites
+];
+
+const PAGE_PATHS = { dashboard: "", incidents: "incidents", timeline: "timeline", reports: "reports", settings: "settings" };
+
+// { page, path, section, search } for the current address; page is null when nothing matches.
+function currentRoute() {
+  const { pathname, search } = window.location;
+  const path = pathname.startsWith(APP_URL.pathname)
+    ? pathname.slice(APP_URL.pathname.length).replace(/(^|\/)index\.html$/, "").replace(/\/$/, "")
+    : null;
+  const route = path === null ? null : ROUTES.find((r) => r.pattern.test(path));
+  return { page: route?.page || null, path, section: route ? path.match(route.pattern).groups?.section : undefined, search };
+}
+
+function useRouter() {
+  const [route, setRoute] = useState(currentRoute);
+
+  useEffect(() => {
+    const onPop = () => setRoute(currentRoute());
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  // `to` is app-relative ("incidents", "services/main-services/canvas") or an
+  // absolute URL of this app. Entries pushed here are marked, so back() can
+  // tell whether the previous page is ours.
+  const navigate = useCallback((to, { replace = false } = {}) => {
+    const url = new URL(to, APP_URL);
+    if (url.origin !== APP_URL.origin) return;
+    const target = url.pathname + url.search;
+    if (target !== window.location.pathname + window.location.search) {
+      if (replace) {
+        window.history.replaceState(window.history.state, "", target);
+      } else {
+        window.history.pushState({ inApp: true }, "", target);
+        window.scrollTo(0, 0);
+      }
+    }
+    setRoute(currentRoute());
+  }, []);
+
+  // Back to where the user came from, or to `fallback` if they opened this page directly.
+  const back = useCallback((fallback) => {
+    if (window.history.state?.inApp) window.history.back();
+    else navigate(fallback);
+  }, [navigate]);
+
+  return { route, navigate, back };
 }
 
 // ─── MAIN APP ────────────────────────────────────────────────────────────────
 export default function App() {
-  const { user, loading: authLoading, login, signup, logout } = useGoogleAuth();
-  const notif = useNotifications();
+  const { user, loading: authLoading, error: authError, login, signup, logout } = useOidcAuth();
+  const userId = user?.id;
+  const prefsStore = usePreferences(userId);
 
   // State
   const [allServices, setAllServices] = useState([]);
   const [allIncidents, setAllIncidents] = useState([]);
+  const [sourceMaintenance, setSourceMaintenance] = useState([]); // windows the sources publish
   const [lastUpdated, setLastUpdated] = useState(null);
   const [polling, setPolling] = useState(false);
-  const [page, setPage] = useState("dashboard"); // dashboard | settings | incidents
-  const prevStatusRef = useRef({});
-  const isFirstPoll = useRef(true);
+  const { route, navigate, back } = useRouter();
+  const { page } = route;
+  const [focusIncident, setFocusIncident] = useState(null); // incidentKey of the incident last opened
+  const [rtSamples, setRtSamples] = useState({}); // id -> [{ t, ms }]
+  const [sourceHealth, setSourceHealth] = useState({}); // source id -> health (see fetchSources)
+  const sourceResultsRef = useRef({});
+  const [restored] = useState(loadSnapshot); // last poll saved by this tab or the worker
+  const [cachedAt, setCachedAt] = useState(null); // set while showing restored data
+  const [online, setOnline] = useState(navigator.onLine);
+  const landedForRef = useRef(null);
+  const prefsRef = useRef(prefsStore.prefs);
+  prefsRef.current = prefsStore.prefs;
+  const pollStateRef = useRef(initialPollState({ initialized: false, entries: [] }));
+  const [alertLog, setAlertLog] = useState([]);
+
+  // Opens the view an alert link points at (see alertLink).
+  const openLink = useCallback((link) => navigate(link), [navigate]);
+
+  const storeAlertLog = useCallback((log) => {
+    pollStateRef.current = { ...pollStateRef.current, log };
+    if (userId) saveAlertLog(userId, log);
+    setAlertLog(log.entries);
+  }, [userId]);
+
+  // Alerts the service worker sent while no tab was open.
+  const onWorkerLog = useCallback((log) => {
+    const merged = mergeAlertLogs(pollStateRef.current.log, log);
+    if (merged !== pollStateRef.current.log) storeAlertLog(merged);
+  }, [storeAlertLog]);
+
+  const notif = useNotifications(prefsStore, openLink, userId);
+  // poll() reads channels through a ref: `notif` is a new object every render and
+  // would otherwise restart the poll interval on each one.
+  const notifRef = useRef(notif);
+  notifRef.current = notif;
+  const sourceConfig = useSources();
+  const { sources } = sourceConfig;
+  const gitHub = useGitHub();
+  const background = useBackgroundMonitor({
+    userId, sources, githubToken: gitHub.token, prefs: prefsStore.prefs, updatePrefs: prefsStore.updatePrefs,
+    onNavigate: openLink, onAlertLog: onWorkerLog,
+  });
+  const { syncLog } = background;
+  const archive = useIncidentArchive(sources);
+  const knownIncidents = useMemo(() => mergeIncidents(allIncidents, archive.incidents), [allIncidents, archive.incidents]);
+
+  // ── LAST KNOWN STATE ──
+  // Render the saved snapshot at once; the first poll then builds on it, so a
+  // source that can't be reached keeps its saved data, marked stale.
+  useEffect(() => {
+    restored.then((snap) => {
+      if (!snap || Object.keys(sourceResultsRef.current).length > 0) return;
+      sourceResultsRef.current = snap.results;
+      const kept = Object.values(snap.results);
+      setAllServices(kept.flatMap((r) => r.services));
+      setAllIncidents(kept.flatMap((r) => r.incidents));
+      setSourceMaintenance(kept.flatMap((r) => r.maintenance || []));
+      setSourceHealth(Object.fromEntries(Object.entries(snap.results).map(([id, r]) => [id, r.health])));
+      setCachedAt(snap.savedAt);
+    });
+  }, [restored]);
 
-  // ── POLL LOOP ──
-  const poll = useCallback(async () => {
+  // ── POLL ──
+  // Fetches the `due` sources (see the scheduler below) and reruns detection
+  // over every source's services, fresh or kept from an earlier poll.
+  const poll = useCallback(async (due) => {
     setPolling(true);
-    let services = [];
-    let incidents = [];
-
-    for (const { owner, repo, label } of GITHUB_REPOS) {
-      const data = await fetchRepoServices(owner, repo);
-
-      // Map summary entries to service objects
-      const mapped = data.summary.map((s) => ({
-        id: `${owner}/${repo}/${s.name}`,
-        repo: label,
-        name: s.name,
-        status: s.status === "up" ? "up" : "down",
-        responseTime: s.responseTime ?? null,
-        uptime: s.uptime ?? null,
-      }));
-      services.push(...mapped);
-
-      // Map incidents
-      const mappedIncidents = [...data.incidents, ...data.closedIncidents].map((i) => ({
-        id: i.number,
-        repo: label,
-        title: i.title,
-        state: i.state,
-        createdAt: i.created_at,
-        updatedAt: i.updated_at,
-        url: i.html_url,
-        body: i.body || "",
-      }));
-      incidents.push(...mappedIncidents);
-    }
+    try {
+      await restored;
+      const data = await fetchSources(sources, sourceResultsRef.current, {
+        due: due.map((src) => src.id),
+        timeoutMs: prefsRef.current.polling.timeoutSeconds * 1000,
+      });
+      sourceResultsRef.current = data.results;
+      saveSnapshot(data.results);
 
-    // ── CHANGE DETECTION & DESKTOP NOTIFICATION ──
-    if (!isFirstPoll.current) {
-      services.forEach((svc) => {
-        const prev = prevStatusRef.current[svc.id];
-        if (prev && prev !== svc.status) {
-          const emoji = svc.status === "up" ? "🟩" : "🟥";
-          notif.fireDesktop(
-            `${emoji} HCPSS: ${svc.name}`,
-            `Status changed to ${svc.status.toUpperCase()} — ${svc.repo}`
-          );
-        }
+      // ── TRANSITIONS, ALERT RULES & NOTIFICATION DISPATCH ──
+      const prevLog = pollStateRef.current.log;
+      const result = processPoll(data, { ...prefsRef.current, maintenance: validWindows(prefsRef.current.maintenance) }, pollStateRef.current);
+      pollStateRef.current = result.state;
+      if (result.state.log !== prevLog) {
+        storeAlertLog(result.state.log);
+        syncLog(result.state.log);
+      }
+      result.send.forEach((e) => notifRef.current.dispatch(e));
+      appendTransitions(result.transitions);
+      const { services } = result;
+
+      const now = Date.now();
+      const fresh = due.map((src) => data.results[src.id]).filter((r) => r?.health.ok);
+      const measured = new Set(fresh.flatMap((r) => r.services).map((s) => s.id));
+      setRtSamples((prev) => {
+        const next = {};
+        services.forEach((s) => {
+          const list = prev[s.id] || [];
+          next[s.id] = s.responseTime === null || !measured.has(s.id) ? list : [...list, { t: now, ms: s.responseTime }].slice(-RT_SAMPLE_LIMIT);
+        });
+        return next;
       });
+
+      setAllServices(services);
+      setAllIncidents(data.incidents);
+      setSourceMaintenance(data.maintenance);
+      setSourceHealth(Object.fromEntries(Object.entries(data.results).map(([id, r]) => [id, r.health])));
+      setCachedAt(null);
+      setLastUpdated(new Date());
+      return data;
+    } catch (e) {
+      // Whatever broke, show it against the sources this poll was for; the
+      // scheduler backs them off as it does for failed fetches.
+      const at = Date.now();
+      setSourceHealth((prev) => ({
+        ...prev,
+        ...Object.fromEntries(due.map((src) => [src.id, {
+          lastSuccess: null, latencyMs: null, httpStatus: null, warning: null, staleSince: null,
+          ...prev[src.id],
+          ok: false,
+          lastAttempt: at,
+          lastError: { message: e.message, at },
+        }])),
+      }));
+      throw e;
+    } finally {
+      setPolling(false);
     }
-    isFirstPoll.current = false;
+  }, [sources, restored, storeAlertLog, syncLog]);
 
-    // Save current statuses for next diff
-    const newRef = {};
-    services.forEach((s) => { newRef[s.id] = s.status; });
-    prevStatusRef.current = newRef;
+  // Alert history and per-session detection state belong to the signed-in user.
+  useEffect(() => {
+    const log = userId ? loadAlertLog(userId) : { initialized: false, entries: [] };
+    pollStateRef.current = initialPollState(log);
+    setAlertLog(log.entries);
+  }, [userId]);
 
-    setAllServices(services);
-    setAllIncidents(incidents);
-    setLastUpdated(new Date());
-    setPolling(false);
-  }, [notif]);
+  // Pick up what the service worker sent since this user's last visit.
+  useEffect(() => {
+    syncLog(pollStateRef.current.log);
+  }, [syncLog]);
 
+  // Opening the app at its root lands on the user's default page once their
+  // preferences are loaded; any other address was asked for and is kept.
+  const { loadedFor, prefs } = prefsStore;
   useEffect(() => {
-    if (user) {
-      poll();
-      const interval = setInterval(poll, POLL_INTERVAL_MS);
-      return () => clearInterval(interval);
+    if (loadedFor && landedForRef.current !== loadedFor) {
+      landedForRef.current = loadedFor;
+      if (currentRoute().path === "" && !window.location.search) navigate(PAGE_PATHS[prefs.defaultPage] ?? "", { replace: true });
     }
-  }, [user, poll]);
+  }, [loadedFor, prefs.defaultPage, navigate]);
+
+  // A link to an incident older than the poll window: look for it in the archive.
+  const incidentMissing = page === "incident" && !knownIncidents.some((i) => incidentPath(i) === route.path);
+  const { done: archiveDone, loading: archiveLoading, loadMore: loadArchive } = archive;
+  useEffect(() => {
+    if (incidentMissing && lastUpdated && !archiveDone && !archiveLoading) loadArchive();
+  }, [incidentMissing, lastUpdated, archiveDone, archiveLoading, loadArchive]);
+
+  // ── POLL SCHEDULE ──
+  // One scheduler for the tab's lifetime; it reads the latest poll through a
+  // ref. New or edited sources are fetched at once, the rest keep their slot.
+  const pollRef = useRef(poll);
+  pollRef.current = poll;
+  const [pollStatus, setPollStatus] = useState(null);
+  const [scheduler] = useState(() => createPollScheduler({ run: (due) => pollRef.current(due), onChange: setPollStatus }));
+  const refresh = useCallback(() => { scheduler.pollNow().catch(() => {}); }, [scheduler]);
+
+  useEffect(() => {
+    scheduler.update({ sources, settings: prefs.polling });
+  }, [scheduler, sources, prefs.polling]);
+
+  useEffect(() => {
+    if (!user) return;
+    scheduler.start();
+    return () => scheduler.stop();
+  }, [scheduler, user]);
+
+  // Background tabs check less often; coming back catches up on anything overdue.
+  useEffect(() => {
+    const onVisibility = () => scheduler.update({ hidden: document.hidden });
+    onVisibility();
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => document.removeEventListener("visibilitychange", onVisibility);
+  }, [scheduler]);
+
+  // Catch up as soon as the connection comes back rather than at the next tick.
+  useEffect(() => {
+    const goOnline = () => {
+      setOnline(true);
+      if (user) refresh();
+    };
+    const goOffline = () => setOnline(false);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, [user, refresh]);
+
+  const signOut = () => {
+    background.signOut();
+    logout();
+  };
 
   // ── RENDER ROUTING ──
+  if (page === "public") return <PublicStatusPage />;
+  if (page === "embed") return <EmbedPage search={route.search} />;
   if (authLoading) return <div style={styles.splash}><Spinner /></div>;
-  if (!user) return <AuthScreen login={login} signup={signup} />;
+  if (!user) return <AuthScreen login={login} signup={signup} error={authError} />;
 
   const downCount = allServices.filter((s) => s.status === "down").length;
   const upCount  = allServices.filter((s) => s.status === "up").length;
   const openIncidents = allIncidents.filter((i) => i.state === "open");
+  const maintenance = upcomingMaintenance([...sourceMaintenance, ...validWindows(prefs.maintenance)]);
+  const selectedService = page === "service" ? allServices.find((s) => servicePath(s) === route.path) : null;
+  const selectedIncident = page === "incident" ? knownIncidents.find((i) => incidentPath(i) === route.path) : null;
+
+  const openService = (id) => {
+    const svc = allServices.find((s) => s.id === id);
+    if (svc) navigate(servicePath(svc));
+  };
+  const openIncident = (key) => {
+    const inc = knownIncidents.find((i) => incidentKey(i) === key);
+    if (!inc) return;
+    setFocusIncident(key);
+    navigate(incidentPath(inc));
+  };
 
   return (
     <div style={styles.root}>
       {/* TOPBAR */}
-      <TopBar user={user} logout={logout} page={page} setPage={setPage} downCount={downCount} openIncidents={openIncidents.length} />
+      <TopBar user={user} logout={signOut} page={page} onNavigate={navigate} downCount={downCount} openIncidents={openIncidents.length} />
 
       {/* MAIN */}
       <main style={styles.main}>
@@ -234,21 +1050,73 @@ export default function App() {
             incidents={allIncidents}
             lastUpdated={lastUpdated}
             polling={polling}
-            onRefresh={poll}
+            onRefresh={refresh}
             downCount={downCount}
             upCount={upCount}
             openIncidents={openIncidents}
+            maintenance={maintenance}
+            onSelectService={openService}
+            onSelectIncident={openIncident}
+            quota={quotaText(gitHub.status)}
+            sources={sources}
+            sourceHealth={sourceHealth}
+            online={online}
+            cachedAt={cachedAt}
+          />
+        )}
+        {page === "service" && (
+          <ServiceDetail
+            svc={selectedService}
+            loading={!lastUpdated}
+            samples={(selectedService && rtSamples[selectedService.id]) || []}
+            onBack={() => back("")}
+          />
+        )}
+        {page === "incidents" && (
+          <IncidentPage
+            incidents={knownIncidents}
+            services={allServices}
+            archive={archive}
+            query={route.search.slice(1)}
+            onQueryChange={(query) => navigate(`incidents${query ? `?${query}` : ""}`, { replace: true })}
+            focusId={focusIncident}
+            onSelectIncident={openIncident}
+          />
+        )}
+        {page === "incident" && (
+          <IncidentDetail
+            inc={selectedIncident}
+            loading={!lastUpdated || archive.loading}
+            services={allServices}
+            onBack={() => back("incidents")}
+            onSelectService={openService}
+          />
+        )}
+        {page === "timeline" && <TimelinePage lastUpdated={lastUpdated} onSelectService={openService} />}
+        {page === "reports" && (
+          <ReportsPage
+            services={allServices}
+            incidents={knownIncidents}
+            archive={archive}
+            lastUpdated={lastUpdated}
+            query={route.search.slice(1)}
+            onQueryChange={(query) => navigate(`reports${query ? `?${query}` : ""}`, { replace: true })}
           />
         )}
-        {page === "incidents" && <IncidentPage incidents={allIncidents} />}
-        {page === "settings" && <SettingsPage user={user} notif={notif} />}
+        {page === "settings" && <SettingsPage section={route.section} onNavigate={navigate} user={user} notif={notif} background={background} gitHub={gitHub} sourceConfig={sourceConfig} sourceHealth={sourceHealth} pollStatus={pollStatus} services={allServices} prefsStore={prefsStore} alertLog={alertLog} />}
+        {page === null && (
+          <div style={styles.emptyState}>
+            <p style={styles.emptyText}>There's no page at this address.</p>
+            <button style={styles.refreshBtn} onClick={() => navigate("")}>Go to the dashboard</button>
+          </div>
+        )}
       </main>
     </div>
   );
 }
 
 // ─── AUTH SCREEN ─────────────────────────────────────────────────────────────
-function AuthScreen({ login, signup }) {
+function AuthScreen({ login, signup, error }) {
   return (
     <div style={styles.authRoot}>
       {/* Animated background particles */}
@@ -280,17 +1148,20 @@ function AuthScreen({ login, signup }) {
         <p style={styles.authSub}>Real-time alerts for Howard County Public Schools</p>
 
         <button style={styles.googleBtn} onClick={login}>
-          <GoogleIcon /> Sign In with Google
+          <GoogleIcon /> Sign In with {OIDC_CONFIG.providerName}
         </button>
         <div style={styles.divider}><span style={styles.dividerText}>or</span></div>
         <button style={{ ...styles.googleBtn, ...styles.googleBtnOutline }} onClick={signup}>
-          <GoogleIcon /> Create Account with Google
+          <GoogleIcon /> Create Account with {OIDC_CONFIG.providerName}
         </button>
 
+        {error && <div style={styles.authError}>⚠ {error}</div>}
+
         <p style={styles.authFooter}>
           By signing in you agree to receive status notifications.<br/>
           Desktop notifications can be configured after login.
         </p>
+        <a href="public" style={styles.incLink}>Just checking? See the public status page →</a>
       </div>
     </div>
   );
@@ -307,34 +1178,235 @@ function GoogleIcon() {
   );
 }
 
-// ─── TOPBAR ──────────────────────────────────────────────────────────────────
-function TopBar({ user, logout, page, setPage, downCount, openIncidents }) {
-  return (
-    <header style={styles.topBar}>
-      <div style={styles.topBarLeft}>
-        <div style={styles.topBarLogo}>
-          <svg width="28" height="28" viewBox="0 0 56 56" fill="none">
-            <circle cx="28" cy="28" r="28" fill="#0d2818" stroke="#16a34a" strokeWidth="2.5"/>
-            <circle cx="28" cy="28" r="8" fill="#16a34a"/>
-            <circle cx="28" cy="28" r="4" fill="#bbf7d0"/>
-          </svg>
-          <span style={styles.topBarTitle}>HCPSS Monitor</span>
-        </div>
-      </div>
-      <nav style={styles.topBarNav}>
-        {[
-          { key: "dashboard", label: "Dashboard" },
-          { key: "incidents", label: "Incidents", badge: openIncidents },
-          { key: "settings",  label: "Settings" },
-        ].map((item) => (
-          <button
-            key={item.key}
-            onClick={() => setPage(item.key)}
-            style={{ ...styles.navBtn, ...(page === item.key ? styles.navBtnActive : {}) }}
-          >
-            {item.label}
-            {item.badge > 0 && <span style={styles.navBadge}>{item.badge}</span>}
-          </button>
+// ─── PUBLIC STATUS PAGE ──────────────────────────────────────────────────────
+// Read-only page for families at /public: no sign-in, no alerts or settings.
+// Branding and the groups it exposes come from public-status.json next to
+// index.html, so the district can change them without touching the app.
+const PUBLIC_CONFIG_URL = "./public-status.json";
+const PUBLIC_REFRESH_MS = 5 * 60_000; // keeps anonymous visitors well inside GitHub's API quota
+const PUBLIC_DEFAULTS = {
+  title: "HCPSS System Status",
+  intro: "Live status of Howard County Public School System online services.",
+  logo: null,    // image URL; the monitor's own mark when unset
+  accent: "#16a34a",
+  links: [],     // [{ label, url }] shown in the footer, e.g. the help desk
+  groups: null,  // source labels to show; null shows them all
+  sources: null, // null uses the app's default sources
+};
+
+function usePublicConfig() {
+  const [config, setConfig] = useState(null);
+  useEffect(() => {
+    fetch(PUBLIC_CONFIG_URL, { cache: "no-cache" })
+      .then((r) => (r.ok ? r.json() : {}))
+      .catch(() => ({}))
+      .then((doc) => setConfig({ ...PUBLIC_DEFAULTS, ...doc }));
+  }, []);
+  return config;
+}
+
+function usePublicStatus(config) {
+  const [status, setStatus] = useState(null); // { services, incidents, at }
+  const resultsRef = useRef({});
+
+  useEffect(() => {
+    if (!config) return;
+    // Hidden groups aren't fetched at all. Of Upptime's issue lists only the
+    // open incidents and maintenance windows are read, since each visitor's
+    // calls count against GitHub's API quota.
+    const sources = (config.sources || DEFAULT_SOURCES).filter((s) => !config.groups || config.groups.includes(s.label));
+    let cancelled = false;
+    const load = async () => {
+      const data = await fetchSources(sources, resultsRef.current, { lists: ["open", "maintenance"] });
+      resultsRef.current = data.results;
+      if (!cancelled) setStatus({ services: data.services, incidents: data.incidents, at: new Date() });
+    };
+    load();
+    const interval = setInterval(load, PUBLIC_REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [config]);
+
+  return status;
+}
+
+function overallStatus(services) {
+  const down = services.filter((s) => s.status === "down").length;
+  if (services.length === 0) return { status: "unknown", label: "Status unavailable" };
+  if (down > services.length / 2) return { status: "down", label: "Major outage" };
+  if (down > 0) return { status: "down", label: "Partial outage" };
+  if (services.some((s) => s.status === "degraded")) return { status: "degraded", label: "Degraded performance" };
+  if (services.some((s) => s.status === "unknown")) return { status: "unknown", label: "Some statuses unavailable" };
+  if (services.some((s) => s.status === "maintenance")) return { status: "maintenance", label: "Scheduled maintenance in progress" };
+  return { status: "up", label: "All systems operational" };
+}
+
+// Minutes down per day summed over a group's services, and the resulting uptime.
+// Only Upptime sources record daily downtime.
+function groupHistory(services) {
+  const tracked = services.filter((s) => s.sourceType === "upptime");
+  if (tracked.length === 0) return null;
+  const daily = {};
+  tracked.forEach((s) => Object.entries(s.dailyMinutesDown).forEach(([day, m]) => { daily[day] = (daily[day] || 0) + m; }));
+  const since = new Date(Date.now() - DOWNTIME_DAYS * DAY_MS).toISOString().slice(0, 10); // UTC, like Upptime's keys
+  const total = Object.entries(daily).filter(([day]) => day > since).reduce((n, [, m]) => n + m, 0);
+  return { daily, uptime: 100 * (1 - total / (DOWNTIME_DAYS * 1440 * tracked.length)) };
+}
+
+function PublicStatusPage() {
+  const config = usePublicConfig();
+  const status = usePublicStatus(config);
+
+  useEffect(() => {
+    if (config) document.title = config.title;
+  }, [config]);
+
+  if (!config || !status) return <div style={styles.splash}><Spinner /></div>;
+
+  const accent = /^#[0-9a-f]{3,8}$/i.test(config.accent) ? config.accent : PUBLIC_DEFAULTS.accent;
+  const logo = config.logo && safeHref(config.logo);
+  const overall = overallStatus(status.services);
+  const oc = STATUS_COLORS[overall.status];
+  const groups = {};
+  status.services.forEach((s) => {
+    (groups[s.repo] = groups[s.repo] || []).push(s);
+  });
+  const active = status.incidents.filter((i) => i.state === "open");
+
+  return (
+    <div style={styles.publicRoot}>
+      <header style={{ ...styles.publicHeader, borderBottomColor: `${accent}44` }}>
+        {logo ? <img src={logo} alt="" style={styles.publicLogo} /> : (
+          <svg width="36" height="36" viewBox="0 0 56 56" fill="none">
+            <circle cx="28" cy="28" r="28" fill="#0d2818" stroke={accent} strokeWidth="2.5"/>
+            <circle cx="28" cy="28" r="8" fill={accent}/>
+          </svg>
+        )}
+        <div>
+          <h1 style={styles.publicTitle}>{config.title}</h1>
+          {config.intro && <p style={styles.publicIntro}>{config.intro}</p>}
+        </div>
+      </header>
+
+      <main style={styles.publicMain}>
+        {/* OVERALL */}
+        <div style={{ ...styles.publicOverall, background: `${oc.bg}1f`, borderColor: `${oc.bg}66` }}>
+          <span style={{ ...styles.svcDot, width: 14, height: 14, background: oc.bg, boxShadow: `0 0 10px ${oc.glow}` }} />
+          <span style={{ color: oc.text }}>{overall.label}</span>
+        </div>
+
+        {/* ACTIVE INCIDENTS */}
+        {active.length > 0 && (
+          <section style={styles.detailCard}>
+            <h2 style={styles.settingsTitle}>Current incidents</h2>
+            <div style={styles.thread}>
+              {active.map((inc) => (
+                <div key={incidentKey(inc)} style={styles.comment}>
+                  <div style={styles.commentHead}>
+                    <strong style={styles.commentAuthor}>{inc.title}</strong>
+                    <span>since {new Date(inc.createdAt).toLocaleString()}</span>
+                  </div>
+                  {inc.body && <Markdown text={inc.body} />}
+                </div>
+              ))}
+            </div>
+          </section>
+        )}
+
+        {/* GROUPS */}
+        {Object.entries(groups).map(([name, svcs]) => {
+          const history = groupHistory(svcs);
+          const down = svcs.filter((s) => s.status === "down").length;
+          return (
+            <section key={name} style={styles.detailCard}>
+              <div style={styles.publicGroupHead}>
+                <h2 style={{ ...styles.settingsTitle, margin: 0 }}>{name}</h2>
+                <span style={{ color: down ? STATUS_COLORS.down.text : STATUS_COLORS.up.text, fontSize: 13 }}>
+                  {down ? `${down} of ${svcs.length} down` : "Operational"}
+                </span>
+              </div>
+              {history && (
+                <>
+                  <div style={styles.publicUptime}>{history.uptime.toFixed(2)}% uptime over the last {DOWNTIME_DAYS} days</div>
+                  <DowntimeStrip dailyMinutesDown={history.daily} />
+                </>
+              )}
+              <div style={styles.publicServices}>
+                {svcs.map((svc) => {
+                  const c = STATUS_COLORS[svc.status] || STATUS_COLORS.unknown;
+                  return (
+                    <div key={svc.id} style={styles.publicService}>
+                      <span style={{ ...styles.svcDot, background: c.bg }} />
+                      <span style={{ flex: 1 }}>{svc.name}</span>
+                      <span style={{ ...styles.svcStatus, color: c.text }}>{svc.status.toUpperCase()}</span>
+                    </div>
+                  );
+                })}
+              </div>
+            </section>
+          );
+        })}
+
+        <footer style={styles.publicFooter}>
+          <span>Updated {status.at.toLocaleTimeString()} · refreshes every {PUBLIC_REFRESH_MS / 60_000} minutes</span>
+          {config.links.filter((l) => safeHref(l.url || "")).map((l) => (
+            <a key={l.url} href={l.url} target="_blank" rel="noopener noreferrer" style={{ ...styles.incLink, color: accent }}>{l.label}</a>
+          ))}
+          <a href="./" style={{ ...styles.incLink, color: accent }}>Staff sign-in</a>
+        </footer>
+      </main>
+    </div>
+  );
+}
+
+// ─── EMBED ───────────────────────────────────────────────────────────────────
+// /embed?service=Canvas&variant=list: the <hcpss-status> widget (widget.js) on a
+// page of its own, for sites that can only take an iframe.
+const WIDGET_ATTRIBUTES = ["group", "service", "size", "theme", "variant", "href"];
+
+function EmbedPage({ search }) {
+  const params = new URLSearchParams(search);
+  const attrs = Object.fromEntries(WIDGET_ATTRIBUTES.filter((k) => params.get(k)).map((k) => [k, params.get(k)]));
+
+  useEffect(() => {
+    import("./widget.js");
+  }, []);
+
+  return <div style={styles.embedRoot}><hcpss-status {...attrs} /></div>;
+}
+
+// ─── TOPBAR ──────────────────────────────────────────────────────────────────
+function TopBar({ user, logout, page, onNavigate, downCount, openIncidents }) {
+  return (
+    <header style={styles.topBar}>
+      <div style={styles.topBarLeft}>
+        <div style={styles.topBarLogo}>
+          <svg width="28" height="28" viewBox="0 0 56 56" fill="none">
+            <circle cx="28" cy="28" r="28" fill="#0d2818" stroke="#16a34a" strokeWidth="2.5"/>
+            <circle cx="28" cy="28" r="8" fill="#16a34a"/>
+            <circle cx="28" cy="28" r="4" fill="#bbf7d0"/>
+          </svg>
+          <span style={styles.topBarTitle}>HCPSS Monitor</span>
+        </div>
+      </div>
+      <nav style={styles.topBarNav}>
+        {[
+          { key: "dashboard", label: "Dashboard", within: ["service"] },
+          { key: "incidents", label: "Incidents", badge: openIncidents, within: ["incident"] },
+          { key: "timeline",  label: "Timeline" },
+          { key: "reports",   label: "Reports" },
+          { key: "settings",  label: "Settings" },
+        ].map((item) => (
+          <button
+            key={item.key}
+            onClick={() => onNavigate(PAGE_PATHS[item.key])}
+            style={{ ...styles.navBtn, ...(page === item.key || item.within?.includes(page) ? styles.navBtnActive : {}) }}
+          >
+            {item.label}
+            {item.badge > 0 && <span style={styles.navBadge}>{item.badge}</span>}
+          </button>
         ))}
       </nav>
       <div style={styles.topBarRight}>
@@ -347,7 +1419,7 @@ function TopBar({ user, logout, page, setPage, downCount, openIncidents }) {
 }
 
 // ─── DASHBOARD ───────────────────────────────────────────────────────────────
-function Dashboard({ services, incidents, lastUpdated, polling, onRefresh, downCount, upCount, openIncidents }) {
+function Dashboard({ services, incidents, lastUpdated, polling, onRefresh, downCount, upCount, openIncidents, maintenance, onSelectService, onSelectIncident, quota, sources, sourceHealth, online, cachedAt }) {
   const grouped = {};
   services.forEach((s) => {
     (grouped[s.repo] = grouped[s.repo] || []).push(s);
@@ -366,40 +1438,1653 @@ function Dashboard({ services, incidents, lastUpdated, polling, onRefresh, downC
       {/* REFRESH BAR */}
       <div style={styles.refreshBar}>
         <span style={styles.refreshText}>
-          {lastUpdated ? `Last updated: ${lastUpdated.toLocaleTimeString()}` : "Fetching…"}
+          {lastUpdated ? `Last updated: ${lastUpdated.toLocaleTimeString()}` : cachedAt ? `Saved: ${formatWhen(cachedAt)}` : "Fetching…"}
+          {quota && <span style={styles.quotaText}> · {quota}</span>}
         </span>
         <button style={styles.refreshBtn} onClick={onRefresh} disabled={polling}>
           {polling ? "⟳ Refreshing…" : "⟳ Refresh"}
         </button>
       </div>
 
-      {/* SERVICE GROUPS */}
-      {Object.entries(grouped).map(([repo, svcs]) => (
-        <div key={repo} style={styles.serviceGroup}>
-          <h3 style={styles.groupTitle}>{repo}</h3>
-          <div style={styles.serviceGrid}>
-            {svcs.map((svc) => <ServiceCard key={svc.id} svc={svc} />)}
-          </div>
-        </div>
-      ))}
+      <ConnectivityBanner online={online} cachedAt={cachedAt} health={sourceHealth} />
+      {online && <SourceHealthBanner sources={sources} health={sourceHealth} />}
+
+      {/* UPCOMING MAINTENANCE */}
+      {maintenance.length > 0 && <MaintenanceStrip windows={maintenance} services={services} />}
+
+      {/* SERVICE GROUPS */}
+      {Object.entries(grouped).map(([repo, svcs]) => (
+        <div key={repo} style={styles.serviceGroup}>
+          <h3 style={styles.groupTitle}>
+            {repo}
+            {svcs[0].staleSince && <span style={styles.staleBadge}>stale since {formatWhen(svcs[0].staleSince)}</span>}
+          </h3>
+          <div style={styles.serviceGrid}>
+            {svcs.map((svc) => <ServiceCard key={svc.id} svc={svc} onClick={() => onSelectService(svc.id)} />)}
+          </div>
+        </div>
+      ))}
+
+      {/* EMPTY STATE */}
+      {services.length === 0 && (
+        <div style={styles.emptyState}>
+          {lastUpdated ? (
+            <p style={styles.emptyText}>No services reported by the configured sources.</p>
+          ) : (
+            <>
+              <Spinner />
+              <p style={styles.emptyText}>Pulling live data from GitHub…</p>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* RECENT INCIDENTS STRIP */}
+      {openIncidents.length > 0 && (
+        <div style={styles.incidentStrip}>
+          <h3 style={styles.stripTitle}>🔴 Active Incidents</h3>
+          {openIncidents.slice(0, 3).map((inc) => (
+            <div key={`${inc.repo}-${inc.id}`} style={styles.stripItem}>
+              <span style={styles.stripRepo}>{inc.repo}</span>
+              <span style={styles.stripIncTitle}>{inc.title}</span>
+              <button style={styles.stripLink} onClick={() => onSelectIncident(incidentKey(inc))} title="Incident details">→</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function formatWhen(t) {
+  const d = new Date(t);
+  return d.toDateString() === new Date().toDateString() ? d.toLocaleTimeString() : d.toLocaleString();
+}
+
+// Offline, or showing the saved snapshot until the first poll finishes.
+function ConnectivityBanner({ online, cachedAt, health }) {
+  const lastKnown = Math.max(0, ...Object.values(health).map((h) => h.lastSuccess || 0));
+  if (!online) {
+    return (
+      <div style={{ ...styles.healthBanner, ...styles.healthBannerError }} role="status">
+        📴 You're offline. {lastKnown ? `Showing the last known status from ${formatWhen(lastKnown)}; ` : ""}
+        it will refresh when the connection returns.
+      </div>
+    );
+  }
+  if (cachedAt) {
+    return (
+      <div style={styles.healthBanner} role="status">
+        🕓 Showing saved status from {formatWhen(lastKnown || cachedAt)} while live data loads…
+      </div>
+    );
+  }
+  return null;
+}
+
+// Sources that failed on the last poll, and those that only partly loaded.
+function SourceHealthBanner({ sources, health }) {
+  const problems = sources.filter((src) => health[src.id] && (!health[src.id].ok || health[src.id].warning));
+  if (problems.length === 0) return null;
+  const failing = problems.some((src) => !health[src.id].ok);
+  return (
+    <div style={{ ...styles.healthBanner, ...(failing ? styles.healthBannerError : {}) }} role="status">
+      {problems.map((src) => {
+        const h = health[src.id];
+        return (
+          <div key={src.id} style={styles.healthRow}>
+            <strong>{failing && !h.ok ? "⚠️" : "ℹ️"} {src.label}</strong>
+            {h.ok ? (
+              <span> — {h.warning}</span>
+            ) : (
+              <span>
+                {" — "}{h.lastError.message}.{" "}
+                {h.lastSuccess ? `Showing data from ${formatWhen(h.lastSuccess)}.` : "No data loaded yet."}
+              </span>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// What a window takes down, by the names it targets.
+function maintenanceScope(w, services) {
+  if (w.targets.length === 0) return "No services";
+  return w.targets.map((t) => {
+    if (t.type === "all") return "All services";
+    if (t.type === "group") return t.value;
+    return services.find((s) => s.id === t.value)?.name || t.value;
+  }).join(", ");
+}
+
+function MaintenanceStrip({ windows, services }) {
+  const now = Date.now();
+  return (
+    <div style={styles.maintStrip}>
+      <h3 style={{ ...styles.stripTitle, color: STATUS_COLORS.maintenance.text }}>🛠 Upcoming Maintenance</h3>
+      {windows.map((w) => {
+        const active = windowActive(w, now);
+        return (
+          <div key={w.id} style={styles.maintItem}>
+            <span style={{ ...styles.maintState, ...(active ? styles.maintStateActive : {}) }}>{active ? "In progress" : "Scheduled"}</span>
+            <span style={styles.stripIncTitle}>
+              {safeHref(w.url || "") ? <a href={w.url} target="_blank" rel="noopener noreferrer" style={styles.incLink}>{w.title}</a> : w.title}
+            </span>
+            <span style={styles.maintWhen}>{formatWhen(w.start)} – {w.end ? formatWhen(w.end) : "until further notice"}</span>
+            <span style={styles.stripRepo}>{maintenanceScope(w, services)}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function SummaryCard({ label, value, color, icon }) {
+  return (
+    <div style={{ ...styles.summaryCard, borderColor: color }}>
+      <div style={styles.summaryIcon}>{icon}</div>
+      <div style={{ ...styles.summaryValue, color }}>{value}</div>
+      <div style={styles.summaryLabel}>{label}</div>
+    </div>
+  );
+}
+
+function ServiceCard({ svc, onClick }) {
+  const c = STATUS_COLORS[svc.status] || STATUS_COLORS.unknown;
+  return (
+    <div
+      style={{ ...styles.svcCard, boxShadow: `0 0 12px ${c.glow}`, ...(svc.staleSince ? styles.svcCardStale : {}) }}
+      title={svc.staleSince ? `Last known status; source unreachable since ${formatWhen(svc.staleSince)}`
+        : svc.maintenance ? `${svc.maintenance.title}${svc.maintenance.end ? ` (until ${formatWhen(svc.maintenance.end)})` : ""}` : undefined}
+      onClick={onClick} role="button" tabIndex={0}
+      onKeyDown={(e) => { if (e.key === "Enter") onClick(); }}
+    >
+      <div style={styles.svcCardTop}>
+        <div style={{ ...styles.svcDot, background: c.bg, boxShadow: `0 0 8px ${c.glow}` }} />
+        <span style={{ ...styles.svcStatus, color: c.text }}>
+          {svc.flapping && <span style={styles.flapBadge} title="Status keeps changing; alerts are held">〰 FLAPPING</span>}
+          {svc.status.toUpperCase()}
+        </span>
+      </div>
+      <div style={styles.svcName}>{svc.name}</div>
+      <div style={styles.svcMeta}>
+        {svc.responseTime !== null && <span>⚡ {svc.responseTime}ms</span>}
+        {svc.uptime !== null && <span>📈 {svc.uptime}%</span>}
+      </div>
+      <div style={{ ...styles.svcBar, background: "#1a3a2a" }}>
+        <div style={{
+          ...styles.svcBarFill,
+          width: `${Math.min(svc.uptime || 0, 100)}%`,
+          background: c.bg,
+        }} />
+      </div>
+    </div>
+  );
+}
+
+// ─── SERVICE DETAIL ──────────────────────────────────────────────────────────
+function ServiceDetail({ svc, loading, samples, onBack }) {
+  const [period, setPeriod] = useState("week");
+  const [detail, setDetail] = useState(null);
+
+  // Every poll brings a new svc object; the detail is only refetched when the
+  // service itself changes.
+  const svcRef = useRef(svc);
+  svcRef.current = svc;
+  const svcId = svc?.id;
+  const fetchDetail = svc && SOURCE_ADAPTERS[svc.sourceType]?.fetchDetail;
+  useEffect(() => {
+    if (!svcId || !fetchDetail) return;
+    let cancelled = false;
+    setDetail(null);
+    fetchDetail(svcRef.current).then((d) => { if (!cancelled) setDetail(d); });
+    return () => { cancelled = true; };
+  }, [svcId, fetchDetail]);
+
+  if (!svc) {
+    if (loading) return <div style={styles.emptyState}><Spinner /></div>;
+    return (
+      <div style={styles.emptyState}>
+        <p style={styles.emptyText}>Service not found.</p>
+        <button style={styles.refreshBtn} onClick={onBack}>← Back</button>
+      </div>
+    );
+  }
+
+  const c = STATUS_COLORS[svc.status] || STATUS_COLORS.unknown;
+  const uptime = svc.uptimes[period];
+  const avgTime = svc.times[period] ?? detail?.responseTimes[period];
+
+  return (
+    <div style={styles.detailRoot}>
+      <button style={styles.backBtn} onClick={onBack}>← Dashboard</button>
+
+      <div style={styles.detailHeader}>
+        <div style={{ ...styles.svcDot, width: 14, height: 14, background: c.bg, boxShadow: `0 0 10px ${c.glow}` }} />
+        <div style={{ flex: 1 }}>
+          <h2 style={styles.detailTitle}>{svc.name}</h2>
+          <div style={styles.detailSub}>
+            {svc.repo}
+            {safeHref(svc.url || "") && <> · <a href={svc.url} target="_blank" rel="noopener noreferrer" style={styles.incLink}>{svc.url}</a></>}
+          </div>
+        </div>
+        <span style={{ ...styles.svcStatus, fontSize: 13, color: c.text }}>{svc.status.toUpperCase()}</span>
+      </div>
+
+      {/* PERIOD TABS */}
+      <div style={styles.detailCard}>
+        <div style={styles.filterRow}>
+          {DETAIL_PERIODS.map((p) => (
+            <button
+              key={p.key}
+              onClick={() => setPeriod(p.key)}
+              style={{ ...styles.filterBtn, ...(period === p.key ? styles.filterBtnActive : {}) }}
+            >{p.label}</button>
+          ))}
+        </div>
+        <div style={styles.detailStats}>
+          <div>
+            <div style={styles.detailStatValue}>{formatPercent(uptime)}</div>
+            <div style={styles.summaryLabel}>Uptime</div>
+          </div>
+          <div>
+            <div style={styles.detailStatValue}>{avgTime != null ? `${avgTime}ms` : "—"}</div>
+            <div style={styles.summaryLabel}>Avg response time</div>
+          </div>
+        </div>
+      </div>
+
+      {/* RESPONSE TIME */}
+      <div style={styles.detailCard}>
+        <h3 style={styles.settingsTitle}>⚡ Response Time</h3>
+        <PeriodBars values={DETAIL_PERIODS.map((p) => ({ ...p, value: svc.times[p.key] ?? detail?.responseTimes[p.key] }))} active={period} color={c.bg} />
+        <p style={styles.settingsDesc}>Observed this session ({samples.length} polls)</p>
+        <Sparkline samples={samples} color={c.bg} />
+      </div>
+
+      {/* DOWNTIME STRIP */}
+      <div style={styles.detailCard}>
+        <h3 style={styles.settingsTitle}>📅 Last {DOWNTIME_DAYS} days</h3>
+        <DowntimeStrip dailyMinutesDown={svc.dailyMinutesDown} />
+      </div>
+
+      {/* LATEST CHECK */}
+      {fetchDetail && <div style={styles.detailCard}>
+        <h3 style={styles.settingsTitle}>🔎 Latest Check</h3>
+        {detail ? (
+          <div style={styles.infoGrid}>
+            <div style={styles.infoItem}><span style={styles.infoLabel}>HTTP code</span><span style={styles.infoVal}>{detail.history.code || "—"}</span></div>
+            <div style={styles.infoItem}><span style={styles.infoLabel}>Response time</span><span style={styles.infoVal}>{detail.history.responseTime ? `${detail.history.responseTime}ms` : "—"}</span></div>
+            <div style={styles.infoItem}><span style={styles.infoLabel}>Last checked</span><span style={styles.infoVal}>{detail.history.lastUpdated ? new Date(detail.history.lastUpdated).toLocaleString() : "—"}</span></div>
+            <div style={styles.infoItem}><span style={styles.infoLabel}>Monitored since</span><span style={styles.infoVal}>{detail.history.startTime ? new Date(detail.history.startTime).toLocaleDateString() : "—"}</span></div>
+          </div>
+        ) : <Spinner />}
+      </div>}
+    </div>
+  );
+}
+
+function PeriodBars({ values, active, color }) {
+  const max = Math.max(1, ...values.map((v) => v.value || 0));
+  return (
+    <div style={styles.periodBars}>
+      {values.map((v) => (
+        <div key={v.key} style={styles.periodBarCol}>
+          <div style={styles.periodBarTrack}>
+            <div style={{
+              ...styles.periodBarFill,
+              height: `${((v.value || 0) / max) * 100}%`,
+              background: color,
+              opacity: v.key === active ? 1 : 0.45,
+            }} />
+          </div>
+          <div style={styles.periodBarValue}>{v.value != null ? `${v.value}ms` : "—"}</div>
+          <div style={styles.summaryLabel}>{v.label}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function Sparkline({ samples, color, width = 600, height = 60 }) {
+  if (samples.length < 2) {
+    return <p style={styles.emptyText}>Collecting samples…</p>;
+  }
+  const max = Math.max(...samples.map((s) => s.ms));
+  const min = Math.min(...samples.map((s) => s.ms));
+  const span = Math.max(1, max - min);
+  const pts = samples.map((s, i) => {
+    const x = (i / (samples.length - 1)) * width;
+    const y = height - 4 - ((s.ms - min) / span) * (height - 8);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(" ");
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} style={styles.sparkline} preserveAspectRatio="none">
+      <polyline points={pts} fill="none" stroke={color} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+      <text x="4" y="12" fill="#5a7a6a" fontSize="10">{max}ms</text>
+      <text x="4" y={height - 2} fill="#5a7a6a" fontSize="10">{min}ms</text>
+    </svg>
+  );
+}
+
+function DowntimeStrip({ dailyMinutesDown }) {
+  // Upptime keys downtime by UTC date, so the cells are UTC days.
+  const days = [];
+  const now = Date.now();
+  for (let i = DOWNTIME_DAYS - 1; i >= 0; i--) {
+    const key = new Date(now - i * DAY_MS).toISOString().slice(0, 10);
+    days.push({ key, minutes: dailyMinutesDown[key] || 0 });
+  }
+  const colorFor = (m) => m === 0 ? STATUS_COLORS.up.bg : m < 60 ? STATUS_COLORS.unknown.bg : STATUS_COLORS.down.bg;
+  return (
+    <div>
+      <div style={styles.downtimeStrip}>
+        {days.map((d) => (
+          <div
+            key={d.key}
+            title={`${d.key}: ${d.minutes ? `${d.minutes} min down` : "no downtime"}`}
+            style={{ ...styles.downtimeCell, background: colorFor(d.minutes) }}
+          />
+        ))}
+      </div>
+      <div style={styles.downtimeLegend}>
+        <span>{DOWNTIME_DAYS} days ago</span>
+        <span>{days.reduce((n, d) => n + d.minutes, 0)} min total downtime</span>
+        <span>Today</span>
+      </div>
+    </div>
+  );
+}
+
+// ─── INCIDENTS PAGE ──────────────────────────────────────────────────────────
+const INCIDENTS_PER_PAGE = 20;
+
+function IncidentPage({ incidents, services, archive, query, onQueryChange, focusId, onSelectIncident }) {
+  const params = new URLSearchParams(query);
+  const filters = useMemo(() => filtersFromParams(new URLSearchParams(query)), [query]);
+  const results = useMemo(() => searchIncidents(incidents, filters, services), [incidents, filters, services]);
+  const pageCount = Math.max(1, Math.ceil(results.length / INCIDENTS_PER_PAGE));
+  const pageNo = Math.min(Math.max(1, Number(params.get("p")) || 1), pageCount);
+  const shown = results.slice((pageNo - 1) * INCIDENTS_PER_PAGE, pageNo * INCIDENTS_PER_PAGE);
+
+  // Any filter change goes back to the first page.
+  const update = (changes, nextPage = 1) => {
+    const next = filtersToParams({ ...filters, ...changes });
+    if (nextPage > 1) next.set("p", nextPage);
+    onQueryChange(next.toString());
+  };
+
+  const { loaded: archiveLoaded, loading: archiveLoading, loadMore: loadArchive } = archive;
+  useEffect(() => {
+    if (!archiveLoaded && !archiveLoading) loadArchive();
+  }, [archiveLoaded, archiveLoading, loadArchive]);
+
+  const repos = [...new Set(incidents.map((i) => i.repo))].sort();
+  const labels = [...new Set(incidents.flatMap((i) => (i.labels || []).map((l) => l.name)))].sort();
+  const filtered = [...filtersToParams(filters).keys()].some((k) => k !== "sort");
+
+  return (
+    <div style={styles.incidentRoot}>
+      <div style={styles.incidentHeader}>
+        <h2 style={styles.incidentTitle}>Incident History</h2>
+        <div style={styles.filterRow}>
+          {["all", "open", "closed"].map((f) => (
+            <button
+              key={f}
+              onClick={() => update({ state: f })}
+              style={{ ...styles.filterBtn, ...(filters.state === f ? styles.filterBtnActive : {}) }}
+            >{f}</button>
+          ))}
+        </div>
+      </div>
+
+      {/* SEARCH & FILTERS */}
+      <div style={styles.searchPanel}>
+        <input
+          type="search"
+          value={filters.q}
+          onChange={(e) => update({ q: e.target.value })}
+          placeholder="Search titles and descriptions…"
+          style={{ ...styles.input, width: "100%", boxSizing: "border-box" }}
+        />
+        <div style={styles.searchFilters}>
+          <select value={filters.repo} onChange={(e) => update({ repo: e.target.value })} style={styles.input}>
+            <option value="">All sources</option>
+            {repos.map((r) => <option key={r} value={r}>{r}</option>)}
+          </select>
+          <select value={filters.service} onChange={(e) => update({ service: e.target.value })} style={styles.input}>
+            <option value="">All services</option>
+            {services.map((svc) => <option key={svc.id} value={svc.id}>{svc.name} ({svc.repo})</option>)}
+          </select>
+          <select value={filters.label} onChange={(e) => update({ label: e.target.value })} style={styles.input}>
+            <option value="">All labels</option>
+            {labels.map((l) => <option key={l} value={l}>{l}</option>)}
+          </select>
+          <select value={filters.duration} onChange={(e) => update({ duration: e.target.value })} style={styles.input}>
+            <option value="">Any duration</option>
+            {DURATION_BUCKETS.map((b) => <option key={b.key} value={b.key}>{b.label}</option>)}
+          </select>
+          <select value={filters.sort} onChange={(e) => update({ sort: e.target.value })} style={styles.input}>
+            {INCIDENT_SORTS.map((o) => <option key={o.key} value={o.key}>{o.label}</option>)}
+          </select>
+        </div>
+        <div style={styles.inlineRow}>
+          <input type="date" value={filters.from} max={filters.to || undefined} onChange={(e) => update({ from: e.target.value })} style={styles.input} />
+          <span style={{ ...styles.infoLabel, alignSelf: "center" }}>to</span>
+          <input type="date" value={filters.to} min={filters.from || undefined} onChange={(e) => update({ to: e.target.value })} style={styles.input} />
+          {filtered && <button style={styles.backBtn} onClick={() => onQueryChange(filtersToParams({ sort: filters.sort }).toString())}>Clear filters</button>}
+        </div>
+      </div>
+
+      {/* ARCHIVE STATUS */}
+      <div style={styles.searchStatus}>
+        <span>
+          {results.length} incident{results.length === 1 ? "" : "s"}
+          {results.length > INCIDENTS_PER_PAGE && ` · showing ${(pageNo - 1) * INCIDENTS_PER_PAGE + 1}–${(pageNo - 1) * INCIDENTS_PER_PAGE + shown.length}`}
+          {archive.done && " · full archive loaded"}
+        </span>
+        {archive.loading ? <span>Loading older incidents…</span> : !archive.done && (
+          <button style={styles.backBtn} onClick={archive.loadMore}>Load older incidents</button>
+        )}
+      </div>
+      {archive.errors.map((err) => <p key={err} style={{ ...styles.statusError, marginTop: 0 }}>{err}</p>)}
+
+      {shown.length === 0 ? (
+        <div style={styles.emptyState}>
+          <p style={styles.emptyText}>No incidents found.</p>
+        </div>
+      ) : (
+        <div style={styles.incidentList}>
+          {shown.map((inc) => (
+            <IncidentCard
+              key={incidentKey(inc)}
+              inc={inc}
+              focused={focusId === incidentKey(inc)}
+              onOpen={() => onSelectIncident(incidentKey(inc))}
+            />
+          ))}
+        </div>
+      )}
+
+      {/* PAGINATION */}
+      {pageCount > 1 && (
+        <div style={styles.pager}>
+          <button style={styles.backBtn} disabled={pageNo === 1} onClick={() => update({}, pageNo - 1)}>← Newer</button>
+          <span>Page {pageNo} of {pageCount}</span>
+          <button style={styles.backBtn} disabled={pageNo === pageCount} onClick={() => update({}, pageNo + 1)}>Older →</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function IncidentCard({ inc, focused, onOpen }) {
+  const isOpen = inc.state === "open";
+  const ref = useRef(null);
+
+  // Reached from an alert: bring the incident into view.
+  useEffect(() => {
+    if (focused) ref.current?.scrollIntoView({ block: "center" });
+  }, [focused]);
+
+  return (
+    <div ref={ref} style={{ ...styles.incCard, borderLeft: `3px solid ${isOpen ? "#dc2626" : "#16a34a"}`, ...(focused ? styles.incCardFocused : {}) }}>
+      <div style={styles.incCardTop}>
+        <span style={{ ...styles.incBadge, background: isOpen ? "#dc262622" : "#16a34a22", color: isOpen ? "#fca5a5" : "#86efac" }}>
+          {isOpen ? "🔴 OPEN" : "✅ RESOLVED"}
+        </span>
+        <span style={styles.incRepo}>{inc.repo}</span>
+        {safeHref(inc.url || "") && <a href={inc.url} target="_blank" rel="noopener noreferrer" style={styles.incLink}>GitHub →</a>}
+      </div>
+      <h4 style={styles.incTitle2}>
+        <button style={styles.incTitleBtn} onClick={onOpen}>{inc.title}</button>
+      </h4>
+      {inc.body && <p style={styles.incBody}>{inc.body.slice(0, 200)}{inc.body.length > 200 ? "…" : ""}</p>}
+      <div style={styles.incDates}>
+        <span>Created: {new Date(inc.createdAt).toLocaleString()}</span>
+        <span>Updated: {new Date(inc.updatedAt).toLocaleString()}</span>
+      </div>
+    </div>
+  );
+}
+
+// ─── INCIDENT DETAIL ─────────────────────────────────────────────────────────
+// The issue itself plus its comment thread, where Upptime (and whoever is
+// working the incident) posts updates.
+function IncidentDetail({ inc, loading, services, onBack, onSelectService }) {
+  const [comments, setComments] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Refetched when the issue changes, which a new comment does, but not for
+  // each poll's fresh copy of the same issue.
+  const incRef = useRef(inc);
+  incRef.current = inc;
+  const key = inc && incidentKey(inc);
+  const updatedAt = inc?.updatedAt;
+  const fetchComments = inc && SOURCE_ADAPTERS[inc.sourceType]?.fetchComments;
+  useEffect(() => {
+    if (!key || !fetchComments) return;
+    let cancelled = false;
+    setComments(null);
+    setError(null);
+    fetchComments(incRef.current).then(
+      (list) => { if (!cancelled) setComments(list); },
+      (err) => { if (!cancelled) setError(err.message); },
+    );
+    return () => { cancelled = true; };
+  }, [key, updatedAt, fetchComments]);
+
+  if (!inc) {
+    if (loading) return <div style={styles.emptyState}><Spinner /></div>;
+    return (
+      <div style={styles.emptyState}>
+        <p style={styles.emptyText}>Incident not found.</p>
+        <button style={styles.refreshBtn} onClick={onBack}>← Back</button>
+      </div>
+    );
+  }
+
+  const isOpen = inc.state === "open";
+  const endedAt = isOpen ? null : new Date(inc.closedAt || inc.updatedAt);
+  const duration = incidentDuration(inc);
+  const affected = services.filter((svc) => incidentMentions(inc, svc));
+  const labels = inc.labels || [];
+  const assignees = inc.assignees || [];
+
+  return (
+    <div style={styles.detailRoot}>
+      <button style={styles.backBtn} onClick={onBack}>← Incidents</button>
+
+      <div style={styles.detailCard}>
+        <div style={styles.incCardTop}>
+          <span style={{ ...styles.incBadge, background: isOpen ? "#dc262622" : "#16a34a22", color: isOpen ? "#fca5a5" : "#86efac" }}>
+            {isOpen ? "🔴 OPEN" : "✅ RESOLVED"}
+          </span>
+          <span style={styles.incRepo}>{inc.repo}</span>
+          {safeHref(inc.url || "") && <a href={inc.url} target="_blank" rel="noopener noreferrer" style={styles.incLink}>View source →</a>}
+        </div>
+        <h2 style={styles.detailTitle}>{inc.title}</h2>
+
+        {labels.length > 0 && (
+          <div style={styles.labelRow}>
+            {labels.map((l) => {
+              const color = /^[0-9a-f]{6}$/i.test(l.color || "") ? `#${l.color}` : "#7aaa8f";
+              return <span key={l.name} style={{ ...styles.labelChip, color, borderColor: `${color}66` }}>{l.name}</span>;
+            })}
+          </div>
+        )}
+
+        <div style={{ ...styles.infoGrid, marginTop: 16 }}>
+          <div style={styles.infoItem}><span style={styles.infoLabel}>Opened</span><span style={styles.infoVal}>{new Date(inc.createdAt).toLocaleString()}</span></div>
+          <div style={styles.infoItem}><span style={styles.infoLabel}>Closed</span><span style={styles.infoVal}>{endedAt ? endedAt.toLocaleString() : "—"}</span></div>
+          <div style={styles.infoItem}><span style={styles.infoLabel}>{isOpen ? "Open for" : "Duration"}</span><span style={styles.infoVal}>{formatDuration(duration)}</span></div>
+          <div style={styles.infoItem}>
+            <span style={styles.infoLabel}>Assignees</span>
+            <span style={styles.infoVal}>
+              {assignees.length === 0 ? "—" : assignees.map((a) => (
+                <span key={a.login} style={styles.assignee}>
+                  {a.avatar && safeHref(a.avatar) && <img src={a.avatar} alt="" style={styles.commentAvatar} />}
+                  {a.login}
+                </span>
+              ))}
+            </span>
+          </div>
+        </div>
+      </div>
+
+      {/* AFFECTED SERVICES */}
+      <div style={styles.detailCard}>
+        <h3 style={styles.settingsTitle}>🧩 Affected Services</h3>
+        {affected.length === 0 ? (
+          <p style={styles.settingsDesc}>No monitored service is named in the title.</p>
+        ) : (
+          <div style={styles.labelRow}>
+            {affected.map((svc) => {
+              const c = STATUS_COLORS[svc.status] || STATUS_COLORS.unknown;
+              return (
+                <button key={svc.id} style={styles.affectedBtn} onClick={() => onSelectService(svc.id)}>
+                  <span style={{ ...styles.svcDot, background: c.bg }} />
+                  {svc.name}
+                </button>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {/* BODY & UPDATES */}
+      <div style={styles.detailCard}>
+        <h3 style={styles.settingsTitle}>💬 Updates</h3>
+        <div style={styles.thread}>
+          {inc.body && <Comment author="Reported" createdAt={inc.createdAt} body={inc.body} />}
+          {comments?.map((c) => <Comment key={c.id} {...c} />)}
+        </div>
+        {fetchComments && !comments && !error && <Spinner />}
+        {error && <p style={styles.statusError}>Couldn't load updates: {error}</p>}
+        {comments?.length === 0 && <p style={styles.settingsDesc}>No updates posted yet.</p>}
+      </div>
+    </div>
+  );
+}
+
+function Comment({ author, avatar, createdAt, url, body }) {
+  return (
+    <div style={styles.comment}>
+      <div style={styles.commentHead}>
+        {avatar && safeHref(avatar) && <img src={avatar} alt="" style={styles.commentAvatar} />}
+        <strong style={styles.commentAuthor}>{author}</strong>
+        <span>{new Date(createdAt).toLocaleString()}</span>
+        {url && safeHref(url) && <a href={url} target="_blank" rel="noopener noreferrer" style={styles.incLink}>↗</a>}
+      </div>
+      <Markdown text={body} />
+    </div>
+  );
+}
+
+// ─── MARKDOWN ────────────────────────────────────────────────────────────────
+// Issue text is untrusted: it is parsed into React elements (never an HTML
+// string), raw HTML tags are dropped, and only http(s)/mailto links survive.
+// Images render as links so opening an incident doesn't load third-party content.
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const FENCE = /^\s*(```|~~~)/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s{0,3}>/;
+
+function safeHref(url) {
+  const href = url.trim();
+  return /^(https?:|mailto:)/i.test(href) ? href : null;
+}
+
+const startsBlock = (line) => FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+
+function parseBlocks(text) {
+  const lines = text.replace(/\r\n?/g, "\n").replace(/<!--[\s\S]*?-->/g, "").split("\n");
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith(fence[1]); i++) code.push(lines[i]);
+      i++;
+      blocks.push({ type: "code", text: code.join("\n") });
+      continue;
+    }
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, text: heading[2] });
+      i++;
+      continue;
+    }
+    if (RULE.test(line)) {
+      blocks.push({ type: "rule" });
+      i++;
+      continue;
+    }
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      for (; i < lines.length && QUOTE.test(lines[i]); i++) quoted.push(lines[i].replace(/^\s*>\s?/, ""));
+      blocks.push({ type: "quote", children: parseBlocks(quoted.join("\n")) });
+      continue;
+    }
+    const first = line.match(LIST_ITEM);
+    if (first) {
+      // Nested lists are flattened; indented continuation lines join their item.
+      const ordered = /\d/.test(first[1]);
+      const items = [];
+      for (; i < lines.length && lines[i].trim(); i++) {
+        const item = lines[i].match(LIST_ITEM);
+        if (item) items.push(item[2]);
+        else if (/^\s/.test(lines[i]) && !startsBlock(lines[i])) items[items.length - 1] += ` ${lines[i].trim()}`;
+        else break;
+      }
+      blocks.push({ type: "list", ordered, items });
+      continue;
+    }
+    const para = [];
+    for (; i < lines.length && lines[i].trim() && (para.length === 0 || !startsBlock(lines[i])); i++) para.push(lines[i].trim());
+    blocks.push({ type: "paragraph", lines: para });
+  }
+  return blocks;
+}
+
+function mdLink(url, children, key) {
+  const href = safeHref(url);
+  if (!href) return <span key={key}>{children}</span>;
+  return <a key={key} href={href} target="_blank" rel="noopener noreferrer nofollow" style={styles.incLink}>{children}</a>;
+}
+
+// Earliest match wins; on a tie, the rule listed first.
+const INLINE_RULES = [
+  { re: /`([^`]+)`/, render: (m, k) => <code key={k} style={styles.mdCode}>{m[1]}</code> },
+  { re: /!\[([^\]]*)\]\(([^)\s]+)[^)]*\)/, render: (m, k) => mdLink(m[2], `🖼 ${m[1] || "image"}`, k) },
+  { re: /\[([^\]]+)\]\(([^)\s]+)[^)]*\)/, render: (m, k) => mdLink(m[2], renderInline(m[1]), k) },
+  { re: /<?(https?:\/\/[^\s<>]*[^\s<>.,;:!?)'"])>?/, render: (m, k) => mdLink(m[1], m[1], k) },
+  { re: /\*\*(.+?)\*\*|__(.+?)__/, render: (m, k) => <strong key={k}>{renderInline(m[1] ?? m[2])}</strong> },
+  { re: /~~(.+?)~~/, render: (m, k) => <del key={k}>{renderInline(m[1])}</del> },
+  { re: /\*([^*\s](?:[^*]*[^*\s])?)\*|\b_([^_]+)_\b/, render: (m, k) => <em key={k}>{renderInline(m[1] ?? m[2])}</em> },
+];
+
+function renderInline(text) {
+  const out = [];
+  let rest = text;
+  while (rest) {
+    let best = null;
+    INLINE_RULES.forEach((rule) => {
+      const m = rest.match(rule.re);
+      if (m && (!best || m.index < best.m.index)) best = { m, rule };
+    });
+    if (!best) break;
+    if (best.m.index > 0) out.push(stripTags(rest.slice(0, best.m.index)));
+    out.push(best.rule.render(best.m, out.length));
+    rest = rest.slice(best.m.index + best.m[0].length);
+  }
+  if (rest) out.push(stripTags(rest));
+  return out;
+}
+
+const stripTags = (text) => text.replace(/<\/?[a-z][a-z0-9-]*(\s[^<>]*)?\/?>/gi, "");
+
+function renderBlock(block, key) {
+  switch (block.type) {
+    case "code":    return <pre key={key} style={styles.mdPre}><code>{block.text}</code></pre>;
+    case "rule":    return <hr key={key} style={styles.mdRule} />;
+    case "quote":   return <blockquote key={key} style={styles.mdQuote}>{block.children.map(renderBlock)}</blockquote>;
+    case "heading": {
+      const Tag = `h${Math.min(block.level + 3, 6)}`;
+      return <Tag key={key} style={styles.mdHeading}>{renderInline(block.text)}</Tag>;
+    }
+    case "list": {
+      const Tag = block.ordered ? "ol" : "ul";
+      return <Tag key={key} style={styles.mdList}>{block.items.map((item, i) => <li key={i}>{renderInline(item)}</li>)}</Tag>;
+    }
+    default:
+      return (
+        <p key={key} style={styles.mdParagraph}>
+          {block.lines.map((line, i) => <Fragment key={i}>{i > 0 && <br />}{renderInline(line)}</Fragment>)}
+        </p>
+      );
+  }
+}
+
+function Markdown({ text }) {
+  const blocks = useMemo(() => parseBlocks(text || ""), [text]);
+  return <div style={styles.markdown}>{blocks.map(renderBlock)}</div>;
+}
+
+// ─── TIMELINE ────────────────────────────────────────────────────────────────
+// Outages seen by this browser (and its service worker), rebuilt from the
+// local transition history — including ones never filed as GitHub issues.
+const DAY_MS = 86_400_000;
+const TIMELINE_PRESETS = [
+  { label: "24 h", days: 1 },
+  { label: "7 d",  days: 7 },
+  { label: "30 d", days: 30 },
+  { label: "90 d", days: 90 },
+];
+
+function formatDuration(ms) {
+  if (ms === null) return "—";
+  const min = Math.round(ms / 60_000);
+  if (min < 60) return `${min} min`;
+  const h = Math.floor(min / 60);
+  return h < 48 ? `${h} h ${min % 60} min` : `${Math.floor(h / 24)} d ${h % 24} h`;
+}
+
+function toDateInput(t) {
+  const d = new Date(t);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function TimelinePage({ lastUpdated, onSelectService }) {
+  // `to: null` follows the present.
+  const [range, setRange] = useState(() => ({ days: 7, from: Date.now() - 7 * DAY_MS, to: null }));
+  const [transitions, setTransitions] = useState(null);
+
+  // Reload after every poll so new transitions appear.
+  useEffect(() => {
+    loadTransitions().then(setTransitions);
+  }, [lastUpdated]);
+
+  const from = range.from;
+  const to = range.to ?? Date.now();
+  const rows = outageSpans(transitions || [], { from, to })
+    .map((row) => ({ ...row, stats: reliabilityStats(row.spans, { from, to }) }))
+    .filter((row) => row.spans.length > 0)
+    .sort((a, b) => b.stats.downtime - a.stats.downtime);
+  const overall = reliabilityStats(rows.flatMap((row) => row.spans), { from, to });
+  const recent = (transitions || []).filter((t) => t.at >= from && t.at <= to).reverse().slice(0, 100);
+  const share = (ms) => `${(ms / (to - from)) * 100}%`;
+
+  const setPreset = (days) => setRange({ days, from: Date.now() - days * DAY_MS, to: null });
+  const setDate = (key, value) => {
+    if (!value) return;
+    const [y, m, d] = value.split("-").map(Number);
+    const t = key === "from" ? new Date(y, m - 1, d).getTime() : new Date(y, m - 1, d + 1).getTime() - 1;
+    setRange((r) => ({ ...r, days: null, [key]: t }));
+  };
+
+  return (
+    <div style={styles.incidentRoot}>
+      <div style={styles.incidentHeader}>
+        <h2 style={styles.incidentTitle}>Outage Timeline</h2>
+        <div style={styles.filterRow}>
+          {TIMELINE_PRESETS.map((p) => (
+            <button
+              key={p.days}
+              onClick={() => setPreset(p.days)}
+              style={{ ...styles.filterBtn, ...(range.days === p.days ? styles.filterBtnActive : {}) }}
+            >{p.label}</button>
+          ))}
+        </div>
+      </div>
+      <div style={{ ...styles.inlineRow, marginBottom: 20 }}>
+        <input type="date" value={toDateInput(from)} max={toDateInput(to)} onChange={(e) => setDate("from", e.target.value)} style={styles.input} />
+        <span style={{ ...styles.infoLabel, alignSelf: "center" }}>to</span>
+        <input type="date" value={toDateInput(to)} min={toDateInput(from)} onChange={(e) => setDate("to", e.target.value)} style={styles.input} />
+      </div>
+
+      <div style={styles.summaryRow}>
+        <SummaryCard label="Outages" value={overall.outages} color="#dc2626" icon="🔴" />
+        <SummaryCard label="Total Downtime" value={formatDuration(overall.downtime)} color="#ca8a04" icon="⏱️" />
+        <SummaryCard label="MTTR" value={formatDuration(overall.mttr)} color="#16a34a" icon="🛠️" />
+        <SummaryCard label="Services Affected" value={rows.length} color="#16a34a" icon="📡" />
+      </div>
+
+      {transitions === null ? (
+        <div style={styles.emptyState}><Spinner /></div>
+      ) : rows.length === 0 ? (
+        <div style={styles.emptyState}>
+          <p style={styles.emptyText}>No outages recorded in this range. History builds up while the monitor is running.</p>
+        </div>
+      ) : (
+        <div style={styles.settingsCard}>
+          {rows.map((row) => (
+            <div key={row.id} style={styles.timelineRow}>
+              <button style={styles.timelineName} onClick={() => onSelectService(row.id)} title={row.repo}>{row.name}</button>
+              <div style={styles.timelineBar}>
+                {row.spans.map((sp) => (
+                  <div
+                    key={sp.start}
+                    title={`${formatWhen(sp.start)} – ${sp.ongoing ? "ongoing" : formatWhen(sp.end)} (${formatDuration(sp.end - sp.start)})`}
+                    style={{ ...styles.timelineSpan, left: share(sp.start - from), width: `max(3px, ${share(sp.end - sp.start)})` }}
+                  />
+                ))}
+              </div>
+              <div style={styles.timelineStats}>
+                <span>{row.stats.outages}×</span>
+                <span title="Mean time to recovery">MTTR {formatDuration(row.stats.mttr)}</span>
+                <span title="Mean time between failures">MTBF {formatDuration(row.stats.mtbf)}</span>
+              </div>
+            </div>
+          ))}
+          <div style={styles.downtimeLegend}>
+            <span>{formatWhen(from)}</span>
+            <span>{range.to ? formatWhen(to) : "Now"}</span>
+          </div>
+        </div>
+      )}
+
+      {recent.length > 0 && (
+        <div style={styles.settingsCard}>
+          <h3 style={styles.settingsTitle}>Recorded Transitions</h3>
+          <div style={styles.infoGrid}>
+            {recent.map((t, i) => (
+              <div key={`${t.id}-${t.at}-${i}`} style={styles.infoItem}>
+                <span style={styles.infoLabel}>{formatWhen(t.at)}</span>
+                <span style={styles.infoVal}>
+                  {t.name} <span style={styles.checkGroup}>{t.repo}</span>{" "}
+                  <span style={{ color: (STATUS_COLORS[t.from] || STATUS_COLORS.unknown).text }}>{t.from}</span>
+                  {" → "}
+                  <span style={{ color: (STATUS_COLORS[t.to] || STATUS_COLORS.unknown).text }}>{t.to}</span>
+                  {t.responseTime !== null && <span style={styles.checkGroup}>{t.responseTime} ms</span>}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── REPORTS ─────────────────────────────────────────────────────────────────
+// Downloads of what the monitor knows, and a monthly SLA report to print or
+// save as PDF. Filters travel in the page URL like the incident search's.
+const EXPORT_DATASETS = [
+  { kind: "services",  label: "Service snapshot", desc: "Every service's status as of the last check" },
+  { kind: "history",   label: "Status history",   desc: "Status changes recorded by this browser" },
+  { kind: "incidents", label: "Incidents",        desc: "Incidents opened in the range, as far as the archive is loaded" },
+];
+
+function downloadFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function toMonthInput(t) {
+  const d = new Date(t);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+}
+
+function ReportsPage({ services, incidents, archive, lastUpdated, query, onQueryChange }) {
+  const params = new URLSearchParams(query);
+  const from = params.get("from") || "";
+  const to = params.get("to") || "";
+  const repo = params.get("repo") || "";
+  const lastMonth = new Date();
+  lastMonth.setDate(1);
+  lastMonth.setMonth(lastMonth.getMonth() - 1);
+  const month = /^\d{4}-\d{2}$/.test(params.get("month") || "") ? params.get("month") : toMonthInput(lastMonth);
+  const [transitions, setTransitions] = useState(null);
+
+  const update = (changes) => {
+    const next = new URLSearchParams(query);
+    Object.entries(changes).forEach(([k, v]) => (v ? next.set(k, v) : next.delete(k)));
+    onQueryChange(next.toString());
+  };
+
+  // Reload after every poll so new transitions are included.
+  useEffect(() => {
+    loadTransitions().then(setTransitions);
+  }, [lastUpdated]);
+
+  const { loaded: archiveLoaded, loading: archiveLoading, loadMore: loadArchive } = archive;
+  useEffect(() => {
+    if (!archiveLoaded && !archiveLoading) loadArchive();
+  }, [archiveLoaded, archiveLoading, loadArchive]);
+
+  const repos = [...new Set([...services.map((s) => s.repo), ...incidents.map((i) => i.repo)])].sort();
+  const range = {
+    from: from ? new Date(`${from}T00:00:00`).getTime() : null,
+    to: to ? new Date(`${to}T00:00:00`).getTime() + DAY_MS : null,
+    repo,
+  };
+  const datasets = {
+    services: filterExport("services", services, range),
+    history: filterExport("history", transitions || [], range),
+    incidents: filterExport("incidents", incidents, range),
+  };
+
+  const fileName = (kind, ext) => `hcpss-${kind}${repo ? `-${slugify(repo)}` : ""}${from ? `-from-${from}` : ""}${to ? `-to-${to}` : ""}.${ext}`;
+  const exportCsv = (kind) => downloadFile(fileName(kind, "csv"), toCsv(kind, datasets[kind]), "text/csv");
+  const exportJson = (kind) => {
+    const doc = {
+      app: "hcpss-status-monitor",
+      dataset: kind,
+      exportedAt: new Date().toISOString(),
+      filters: { from: from || null, to: to || null, repo: repo || null },
+      records: exportRecords(kind, datasets[kind]),
+    };
+    downloadFile(fileName(kind, "json"), JSON.stringify(doc, null, 2), "application/json");
+  };
+
+  const report = slaReport({
+    services: filterExport("services", services, { repo }),
+    transitions: transitions || [],
+    incidents: filterExport("incidents", incidents, { repo }),
+    month,
+  });
+  // Counts fall short while the archive stops after the month began.
+  const partial = !archive.done && !incidents.some((i) => Date.parse(i.createdAt) < report.from);
+  const monthName = new Date(report.from).toLocaleDateString([], { month: "long", year: "numeric" });
+  const pct = (ratio) => (ratio === null ? "—" : `${(ratio * 100).toFixed(3)}%`);
+
+  return (
+    <div style={styles.incidentRoot}>
+      <div className="no-print" style={styles.incidentHeader}>
+        <h2 style={styles.incidentTitle}>Reports</h2>
+        <select value={repo} onChange={(e) => update({ repo: e.target.value })} style={styles.input}>
+          <option value="">All sources</option>
+          {repos.map((r) => <option key={r} value={r}>{r}</option>)}
+        </select>
+      </div>
+
+      {/* EXPORTS */}
+      <div className="no-print" style={styles.settingsCard}>
+        <h3 style={styles.settingsTitle}>⬇️ Export Data</h3>
+        <p style={styles.settingsDesc}>CSV for spreadsheets, JSON for scripts. Leave a date empty to include everything before or after the other.</p>
+        <div style={{ ...styles.inlineRow, marginBottom: 12 }}>
+          <input type="date" value={from} max={to || undefined} onChange={(e) => update({ from: e.target.value })} style={styles.input} />
+          <span style={{ ...styles.infoLabel, alignSelf: "center" }}>to</span>
+          <input type="date" value={to} min={from || undefined} onChange={(e) => update({ to: e.target.value })} style={styles.input} />
+          {(from || to) && <button style={styles.backBtn} onClick={() => update({ from: "", to: "" })}>All dates</button>}
+        </div>
+        {EXPORT_DATASETS.map((d) => (
+          <div key={d.kind} style={styles.exportRow}>
+            <div style={{ flex: 1 }}>
+              <div style={styles.exportLabel}>{d.label}</div>
+              <div style={styles.exportDesc}>
+                {d.kind === "history" && transitions === null ? "Loading…" : `${datasets[d.kind].length} row${datasets[d.kind].length === 1 ? "" : "s"}`} · {d.desc}
+              </div>
+            </div>
+            <button style={styles.backBtn} onClick={() => exportCsv(d.kind)}>CSV</button>
+            <button style={styles.backBtn} onClick={() => exportJson(d.kind)}>JSON</button>
+          </div>
+        ))}
+        <div style={{ ...styles.searchStatus, marginTop: 12, marginBottom: 0 }}>
+          <span>{archive.done ? "Full incident archive loaded" : `${incidents.length} incidents loaded so far`}</span>
+          {archive.loading ? <span>Loading older incidents…</span> : !archive.done && (
+            <button style={styles.backBtn} onClick={archive.loadMore}>Load older incidents</button>
+          )}
+        </div>
+        {archive.errors.map((err) => <p key={err} style={{ ...styles.statusError, marginBottom: 0 }}>{err}</p>)}
+      </div>
+
+      {/* SLA REPORT */}
+      <div className="print-report" style={styles.settingsCard}>
+        <div style={styles.incidentHeader}>
+          <div>
+            <h3 style={{ ...styles.settingsTitle, marginBottom: 4 }}>📄 Service Levels · {monthName}</h3>
+            <div style={styles.exportDesc}>
+              {repo || "All sources"} · {report.to < monthBounds(month).to ? `to ${formatWhen(report.to)}` : "full month"} · generated {formatWhen(Date.now())}
+            </div>
+          </div>
+          <div className="no-print" style={styles.inlineRow}>
+            <input type="month" value={month} max={toMonthInput(Date.now())} onChange={(e) => e.target.value && update({ month: e.target.value })} style={styles.input} />
+            <button style={styles.backBtn} onClick={() => downloadFile(`hcpss-sla-${month}${repo ? `-${slugify(repo)}` : ""}.csv`, toCsv("sla", report.rows), "text/csv")}>CSV</button>
+            <button style={styles.refreshBtn} onClick={() => window.print()}>Print</button>
+          </div>
+        </div>
+
+        <div style={styles.slaSummary}>
+          <span><strong>{pct(report.meanUptime)}</strong> mean uptime</span>
+          <span><strong>{report.rows.length}</strong> services</span>
+          <span><strong>{report.incidents}</strong> incidents opened</span>
+        </div>
+        {partial && <p className="no-print" style={styles.statusInfo}>Incidents from {monthName} aren't all loaded yet; load older incidents above for complete counts.</p>}
+
+        {report.rows.length === 0 ? (
+          <p style={styles.emptyText}>No services to report on.</p>
+        ) : (
+          <table style={styles.slaTable}>
+            <thead>
+              <tr>
+                {["Service", "Group", "Uptime", "Downtime", "Incidents", "Outages", "MTTR"].map((label) => <th key={label} style={styles.slaTh}>{label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {report.rows.map((r) => (
+                <tr key={r.id}>
+                  <td style={styles.slaTd}>{r.name}</td>
+                  <td style={styles.slaTd}>{r.repo}</td>
+                  <td style={styles.slaTd}>{pct(r.uptime)}{r.basis === "recorded" && " *"}</td>
+                  <td style={styles.slaTd}>{formatDuration(r.downtimeMinutes * 60_000)}</td>
+                  <td style={styles.slaTd}>{r.incidents}</td>
+                  <td style={styles.slaTd}>{r.outages}</td>
+                  <td style={styles.slaTd}>{formatDuration(r.mttr)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <p style={{ ...styles.exportDesc, marginTop: 12 }}>
+          Uptime comes from each Upptime repository's daily downtime record; * marks services without one, measured
+          from outages this browser recorded, as are the Outages and MTTR columns. Incidents count issues opened this
+          month that name the service.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+// ─── SETTINGS PAGE ───────────────────────────────────────────────────────────
+// Each group of cards has its own address, e.g. /settings/notifications.
+const SETTINGS_SECTIONS = [
+  { key: "profile",       label: "Profile" },
+  { key: "notifications", label: "Notifications" },
+  { key: "rules",         label: "Alert rules" },
+  { key: "webhooks",      label: "Webhooks" },
+  { key: "maintenance",   label: "Maintenance" },
+  { key: "general",       label: "General" },
+  { key: "sources",       label: "Sources" },
+  { key: "embed",         label: "Embed" },
+];
+
+function SettingsSection({ id, active, children }) {
+  const ref = useRef(null);
+  useEffect(() => {
+    if (active) ref.current?.scrollIntoView({ block: "start" });
+  }, [active]);
+  return <section ref={ref} id={id} style={styles.settingsSection}>{children}</section>;
+}
+
+function SettingsPage({ section, onNavigate, user, notif, background, gitHub, sourceConfig, sourceHealth, pollStatus, services, prefsStore, alertLog }) {
+  const known = SETTINGS_SECTIONS.some((s) => s.key === section);
+  return (
+    <div style={styles.settingsRoot}>
+      <div style={styles.filterRow}>
+        {SETTINGS_SECTIONS.map((s) => (
+          <button
+            key={s.key}
+            onClick={() => onNavigate(`settings/${s.key}`)}
+            style={{ ...styles.filterBtn, ...(section === s.key ? styles.filterBtnActive : {}) }}
+          >{s.label}</button>
+        ))}
+      </div>
+      {section && !known && <p style={styles.statusError}>There's no "{section}" section; showing all settings.</p>}
+
+      <SettingsSection id="profile" active={section === "profile"}>
+        {/* Profile */}
+        <div style={styles.settingsCard}>
+          <h3 style={styles.settingsTitle}>👤 Profile</h3>
+          <div style={styles.profileRow}>
+            <img src={user.avatar} alt={user.name} style={styles.profileAvatar} />
+            <div>
+              <div style={styles.profileName}>{user.name}</div>
+              <div style={styles.profileEmail}>{user.email}</div>
+              <div style={styles.profileProvider}>Signed in via {user.provider}</div>
+            </div>
+          </div>
+        </div>
+      </SettingsSection>
+
+      <SettingsSection id="notifications" active={section === "notifications"}>
+        {/* Desktop Notifications */}
+        <div style={styles.settingsCard}>
+          <h3 style={styles.settingsTitle}>🔔 Desktop Notifications</h3>
+          <p style={styles.settingsDesc}>Get instant alerts when any HCPSS service status changes.</p>
+          {notif.desktopEnabled ? (
+            <div style={styles.inlineRow}>
+              <div style={styles.enabledBadge}>✅ Desktop notifications enabled</div>
+              <button style={styles.refreshBtn} onClick={notif.disableDesktop}>Turn off</button>
+            </div>
+          ) : (
+            <button style={styles.enableBtn} onClick={notif.requestDesktop}>
+              Enable Desktop Notifications
+            </button>
+          )}
+        </div>
+
+        {/* Email */}
+        <div style={styles.settingsCard}>
+          <h3 style={styles.settingsTitle}>📧 Email Notifications</h3>
+          <p style={styles.settingsDesc}>Receive status change and new-incident alerts via email. Alerts for a single service are limited to 3 per hour.</p>
+          <VerifiedChannelFields channel={notif.email} type="email" placeholder="your@email.com" />
+        </div>
+
+        {/* SMS */}
+        <SmsSettings notif={notif} />
+
+        {/* Service worker & push */}
+        <BackgroundSettings background={background} />
+      </SettingsSection>
+
+      <SettingsSection id="rules" active={section === "rules"}>
+        {/* Alert rules */}
+        <RulesSettings prefsStore={prefsStore} services={services} />
+
+        {/* Flap detection & cooldown */}
+        <NoiseSettings prefsStore={prefsStore} />
+
+        {/* Sent alerts */}
+        <AlertLogCard entries={alertLog} />
+      </SettingsSection>
+
+      <SettingsSection id="webhooks" active={section === "webhooks"}>
+        {/* Slack, Teams, Discord & JSON */}
+        <WebhookSettings webhooks={notif.webhooks} services={services} />
+
+        {/* Delivery log */}
+        <WebhookDeliveriesCard webhooks={notif.webhooks} />
+      </SettingsSection>
+
+      <SettingsSection id="maintenance" active={section === "maintenance"}>
+        {/* Local maintenance windows */}
+        <MaintenanceSettings prefsStore={prefsStore} services={services} />
+      </SettingsSection>
+
+      <SettingsSection id="general" active={section === "general"}>
+        {/* Quiet hours & landing page */}
+        <GeneralSettings prefsStore={prefsStore} />
+
+        {/* Export / import */}
+        <BackupSettings prefsStore={prefsStore} />
+      </SettingsSection>
+
+      <SettingsSection id="sources" active={section === "sources"}>
+        {/* Sources */}
+        <SourcesEditor {...sourceConfig} />
+
+        {/* Per-source fetch status */}
+        <SourceHealthCard sources={sourceConfig.sources} health={sourceHealth} pollStatus={pollStatus} />
+
+        {/* GitHub token & quota */}
+        <GitHubSettings gitHub={gitHub} />
+
+        {/* Polling schedule */}
+        <PollingSettings prefsStore={prefsStore} sources={sourceConfig.sources} pollStatus={pollStatus} />
+      </SettingsSection>
+
+      <SettingsSection id="embed" active={section === "embed"}>
+        {/* Widget & badges */}
+        <EmbedSettings services={services} />
+      </SettingsSection>
+    </div>
+  );
+}
+
+function VerifiedChannelFields({ channel, type, placeholder }) {
+  const [code, setCode] = useState("");
+  return (
+    <>
+      <div style={styles.inputRow}>
+        <div style={styles.inlineRow}>
+          <input
+            type={type}
+            value={channel.address}
+            onChange={(e) => channel.setAddress(e.target.value)}
+            placeholder={placeholder}
+            style={{ ...styles.input, flex: 1 }}
+          />
+          {!channel.verified && (
+            <button style={styles.refreshBtn} onClick={channel.sendCode} disabled={!channel.address}>Send code</button>
+          )}
+        </div>
+        {!channel.verified && (
+          <div style={styles.inlineRow}>
+            <input
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="6-digit code"
+              inputMode="numeric"
+              style={{ ...styles.input, flex: 1 }}
+            />
+            <button style={styles.refreshBtn} onClick={() => channel.confirmCode(code)} disabled={!code}>Verify</button>
+          </div>
+        )}
+        <label style={styles.toggleLabel}>
+          <input type="checkbox" checked={channel.enabled} onChange={(e) => channel.setEnabled(e.target.checked)} disabled={!channel.verified} style={{ marginRight: 8 }} />
+          Enable{channel.verified && " — ✅ verified"}
+        </label>
+      </div>
+      {channel.status && (
+        <div style={channel.status.kind === "error" ? styles.statusError : styles.statusInfo}>{channel.status.text}</div>
+      )}
+    </>
+  );
+}
+
+function SmsSettings({ notif }) {
+  const normalized = notif.sms.address ? normalizePhone(notif.sms.address) : null;
+  return (
+    <div style={styles.settingsCard}>
+      <h3 style={styles.settingsTitle}>📱 SMS Notifications</h3>
+      <p style={styles.settingsDesc}>Text messages go out for alert rules whose severity is set to use SMS (critical, by default).</p>
+      <VerifiedChannelFields channel={notif.sms} type="tel" placeholder="+1 (410) 555-0123" />
+      {notif.sms.address && (
+        <div style={normalized ? styles.statusInfo : styles.statusError}>
+          {normalized ? `Messages will be sent to ${normalized}` : "Enter a 10-digit US number or an international number starting with +"}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function BackgroundSettings({ background }) {
+  const { supported, pushSupported, enabled, push, periodic, running, status } = background;
+  if (!supported) {
+    return (
+      <div style={styles.settingsCard}>
+        <h3 style={styles.settingsTitle}>🛰️ Background Monitoring</h3>
+        <p style={styles.settingsDesc}>This browser does not support service workers, so alerts only arrive while this tab is open.</p>
+      </div>
+    );
+  }
+  return (
+    <div style={styles.settingsCard}>
+      <h3 style={styles.settingsTitle}>🛰️ Background Monitoring</h3>
+      <p style={styles.settingsDesc}>
+        Keep checking your sources and sending alerts after this tab is closed. Clicking an alert opens the affected service or incident.
+      </p>
+      <div style={styles.inputRow}>
+        <label style={styles.toggleLabel}>
+          <input type="checkbox" checked={enabled} onChange={(e) => background.setEnabled(e.target.checked)} style={{ marginRight: 8 }} />
+          Monitor in the background
+        </label>
+        <label style={styles.toggleLabel}>
+          <input type="checkbox" checked={push} onChange={(e) => background.setPush(e.target.checked)} disabled={!enabled || !pushSupported} style={{ marginRight: 8 }} />
+          Wake up on status changes via the push relay
+        </label>
+      </div>
+      {enabled && (
+        <div style={styles.infoGrid}>
+          <div style={styles.infoItem}><span style={styles.infoLabel}>Service worker</span><span style={styles.infoVal}>{running ? "Running" : "Starting…"}</span></div>
+          <div style={styles.infoItem}>
+            <span style={styles.infoLabel}>Periodic checks</span>
+            <span style={styles.infoVal}>{periodic ? "Scheduled by the browser" : "Unavailable (install the app to allow them)"}</span>
+          </div>
+          <div style={styles.infoItem}><span style={styles.infoLabel}>Push wake-ups</span><span style={styles.infoVal}>{!pushSupported ? "Not supported" : push ? "On" : "Off"}</span></div>
+        </div>
+      )}
+      {status && <div style={status.kind === "error" ? styles.statusError : styles.statusInfo}>{status.text}</div>}
+    </div>
+  );
+}
+
+const targetValue = (t) => (t.type === "all" ? "all" : `${t.type}:${t.value}`);
+
+function parseTarget(v) {
+  if (v === "all") return { type: "all" };
+  const i = v.indexOf(":");
+  return { type: v.slice(0, i), value: v.slice(i + 1) };
+}
+
+// All services, a group or one service: what a rule or a maintenance window covers.
+function TargetSelect({ target, services, onChange }) {
+  const groupNames = [...new Set(services.map((s) => s.repo))];
+  return (
+    <select value={targetValue(target)} onChange={(e) => onChange(parseTarget(e.target.value))} style={styles.input}>
+      <option value="all">All services</option>
+      {groupNames.map((g) => <option key={g} value={`group:${g}`}>Group: {g}</option>)}
+      {services.map((svc) => <option key={svc.id} value={`service:${svc.id}`}>{svc.name} ({svc.repo})</option>)}
+      {target.type !== "all" && !groupNames.includes(target.value) && !services.some((s) => s.id === target.value) && (
+        <option value={targetValue(target)}>{target.value} (not seen yet)</option>
+      )}
+    </select>
+  );
+}
+
+function RulesSettings({ prefsStore, services }) {
+  const { prefs, updatePrefs } = prefsStore;
+
+  const setRules = (fn) => updatePrefs((p) => ({ ...p, rules: fn(p.rules) }));
+  const updateRule = (id, patch) => setRules((rules) => rules.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  const addRule = () => setRules((rules) => [...rules, newRule({
+    target: { type: "all" }, condition: { type: "down", polls: 1 }, severity: "warning",
+  })]);
+
+  const setCondition = (rule, type) => {
+    const { param, initial } = RULE_CONDITIONS[type];
+    updateRule(rule.id, { condition: param ? { type, [param]: initial } : { type } });
+  };
+  const toggleChannel = (severity, channel) => updatePrefs((p) => {
+    const list = p.severityChannels[severity];
+    return {
+      ...p,
+      severityChannels: { ...p.severityChannels, [severity]: list.includes(channel) ? list.filter((c) => c !== channel) : [...list, channel] },
+    };
+  });
+
+  return (
+    <div style={styles.settingsCard}>
+      <h3 style={styles.settingsTitle}>📌 Alert Rules</h3>
+      <p style={styles.settingsDesc}>
+        Alerts fire only for services and groups matched by a rule. Each rule's severity decides which channels it uses.
+      </p>
+      <div style={styles.sourceList}>
+        {prefs.rules.map((rule) => {
+          const cond = RULE_CONDITIONS[rule.condition.type];
+          return (
+            <div key={rule.id} style={styles.sourceRow}>
+              <div style={styles.sourceFields}>
+                <TargetSelect target={rule.target} services={services} onChange={(target) => updateRule(rule.id, { target })} />
+                <select value={rule.condition.type} onChange={(e) => setCondition(rule, e.target.value)} style={styles.input}>
+                  {Object.entries(RULE_CONDITIONS).map(([k, c]) => <option key={k} value={k}>{c.label}</option>)}
+                </select>
+                {cond.param ? (
+                  <div style={styles.inlineRow}>
+                    <input
+                      type="number"
+                      min="1"
+                      value={rule.condition[cond.param]}
+                      onChange={(e) => updateRule(rule.id, { condition: { ...rule.condition, [cond.param]: Number(e.target.value) } })}
+                      style={{ ...styles.input, flex: 1, minWidth: 0 }}
+                    />
+                    <span style={{ ...styles.infoLabel, alignSelf: "center" }}>{cond.unit}</span>
+                  </div>
+                ) : <span />}
+                <select value={rule.severity} onChange={(e) => updateRule(rule.id, { severity: e.target.value })} style={styles.input}>
+                  {SEVERITIES.map((sev) => <option key={sev} value={sev}>{sev}</option>)}
+                </select>
+                <label style={styles.toggleLabel}>
+                  <input type="checkbox" checked={rule.enabled} onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })} style={{ marginRight: 8 }} />
+                  Enabled
+                </label>
+              </div>
+              <div style={styles.sourceActions}>
+                <button style={styles.iconBtn} onClick={() => setRules((rules) => rules.filter((r) => r.id !== rule.id))} title="Remove">✕</button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      <button style={styles.refreshBtn} onClick={addRule}>+ Add rule</button>
+
+      <h4 style={styles.settingsSubTitle}>Channels by severity</h4>
+      <div style={styles.infoGrid}>
+        {SEVERITIES.map((sev) => (
+          <div key={sev} style={styles.infoItem}>
+            <span style={{ ...styles.infoLabel, textTransform: "capitalize" }}>{sev}</span>
+            <span style={styles.inlineRow}>
+              {ALERT_CHANNELS.map((ch) => (
+                <label key={ch} style={styles.toggleLabel}>
+                  <input type="checkbox" checked={prefs.severityChannels[sev].includes(ch)} onChange={() => toggleChannel(sev, ch)} style={{ marginRight: 6 }} />
+                  {ch}
+                </label>
+              ))}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// <input type="datetime-local"> reads and writes local time without a zone.
+function toLocalInput(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60_000).toISOString().slice(0, 16);
+}
+
+const fromLocalInput = (value) => (value ? new Date(value).toISOString() : null);
+
+function maintenanceProblem(w) {
+  if (!w.start || !w.end) return "Set when the window starts and ends.";
+  if (Date.parse(w.end) <= Date.parse(w.start)) return "The window has to end after it starts.";
+  return null;
+}
+
+// Windows with a problem are kept in the editor but not applied; a missing
+// list counts as empty.
+const validWindows = (windows) => (windows || []).filter((w) => !maintenanceProblem(w));
+
+function MaintenanceSettings({ prefsStore, services }) {
+  const { prefs, updatePrefs } = prefsStore;
+  const windows = prefs.maintenance || [];
+  const setWindows = (fn) => updatePrefs((p) => ({ ...p, maintenance: fn(p.maintenance || []) }));
+  const updateWindow = (id, patch) => setWindows((list) => list.map((w) => (w.id === id ? { ...w, ...patch } : w)));
+  const addWindow = () => {
+    const start = new Date(Math.ceil(Date.now() / 3_600_000) * 3_600_000);
+    setWindows((list) => [...list, newMaintenanceWindow({ start: start.toISOString(), end: new Date(start.getTime() + 3_600_000).toISOString() })]);
+  };
+  const now = Date.now();
+
+  return (
+    <div style={styles.settingsCard}>
+      <h3 style={styles.settingsTitle}>🛠 Maintenance Windows</h3>
+      <p style={styles.settingsDesc}>
+        During a window, the services it covers show "maintenance" and send no alerts. Upptime sources add their open
+        issues labeled <code>maintenance</code> on their own; add windows here for work they don't announce.
+      </p>
+      <div style={styles.sourceList}>
+        {windows.map((w) => {
+          const problem = maintenanceProblem(w);
+          const over = !problem && Date.parse(w.end) <= now;
+          return (
+            <div key={w.id} style={styles.sourceRow}>
+              <div style={styles.sourceFields}>
+                <input
+                  value={w.title}
+                  onChange={(e) => updateWindow(w.id, { title: e.target.value })}
+                  placeholder="Title, e.g. Synergy upgrade"
+                  style={{ ...styles.input, gridColumn: "span 3" }}
+                />
+                <input type="datetime-local" value={toLocalInput(w.start)} onChange={(e) => updateWindow(w.id, { start: fromLocalInput(e.target.value) })} style={styles.input} aria-label="Starts" />
+                <input type="datetime-local" value={toLocalInput(w.end)} onChange={(e) => updateWindow(w.id, { end: fromLocalInput(e.target.value) })} style={styles.input} aria-label="Ends" />
+                <TargetSelect target={w.targets[0] || { type: "all" }} services={services} onChange={(target) => updateWindow(w.id, { targets: [target] })} />
+              </div>
+              <div style={styles.sourceActions}>
+                {!problem && <span style={{ ...styles.maintState, ...(windowActive(w, now) ? styles.maintStateActive : {}) }}>
+                  {over ? "Over" : windowActive(w, now) ? "In progress" : "Scheduled"}
+                </span>}
+                <button style={styles.iconBtn} onClick={() => setWindows((list) => list.filter((x) => x.id !== w.id))} title="Remove">✕</button>
+              </div>
+              {problem && <div style={styles.sourceError}>⚠ {problem}</div>}
+            </div>
+          );
+        })}
+      </div>
+      <button style={styles.refreshBtn} onClick={addWindow}>+ Add window</button>
+    </div>
+  );
+}
+
+const NOISE_FIELDS = [
+  { key: "confirmPolls",    label: "Confirm a status change after", unit: "polls" },
+  { key: "flapThreshold",   label: "Flapping after",                unit: "changes" },
+  { key: "flapWindow",      label: "…within the last",              unit: "polls" },
+  { key: "cooldownMinutes", label: "Alert cooldown per service",    unit: "min" },
+];
+
+function NoiseSettings({ prefsStore }) {
+  const { prefs, updatePrefs } = prefsStore;
+  const set = (key, value) => updatePrefs((p) => ({ ...p, alerting: { ...p.alerting, [key]: value } }));
+  return (
+    <div style={styles.settingsCard}>
+      <h3 style={styles.settingsTitle}>〰 Flap Detection</h3>
+      <p style={styles.settingsDesc}>
+        Services that keep switching between up and down send one "flapping" alert instead of one per change.
+      </p>
+      <div style={styles.infoGrid}>
+        {NOISE_FIELDS.map((f) => (
+          <div key={f.key} style={styles.infoItem}>
+            <span style={styles.infoLabel}>{f.label}</span>
+            <span style={styles.inlineRow}>
+              <NumberInput
+                min={1}
+                value={prefs.alerting[f.key]}
+                onCommit={(value) => set(f.key, value)}
+                style={{ ...styles.input, width: 70, padding: "4px 8px" }}
+              />
+              <span style={{ ...styles.infoLabel, alignSelf: "center", width: 56 }}>{f.unit}</span>
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// A number field that can be cleared and retyped: the text stays as typed and
+// is only clamped into [min, max] and saved on blur or Enter.
+function NumberInput({ value, min, max, onCommit, style }) {
+  const [text, setText] = useState(String(value));
+  useEffect(() => { setText(String(value)); }, [value]);
+  const commit = () => {
+    const n = Number(text);
+    const next = text.trim() === "" || Number.isNaN(n) ? value : Math.min(max ?? Infinity, Math.max(min, n));
+    setText(String(next));
+    if (next !== value) onCommit(next);
+  };
+  return (
+    <input
+      type="number"
+      min={min}
+      max={max}
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => { if (e.key === "Enter") commit(); }}
+      style={style}
+    />
+  );
+}
+
+const POLL_FIELDS = [
+  { key: "intervalSeconds",   label: "Check each source every",      unit: "s" },
+  { key: "downSeconds",       label: "…while a service is down",     unit: "s" },
+  { key: "hiddenFactor",      label: "Slow down in background tabs", unit: "×" },
+  { key: "timeoutSeconds",    label: "Give up on a fetch after",     unit: "s" },
+  { key: "maxBackoffSeconds", label: "Retry failing sources within", unit: "s" },
+];
 
-      {/* EMPTY STATE */}
-      {services.length === 0 && (
-        <div style={styles.emptyState}>
-          <Spinner />
-          <p style={styles.emptyText}>Pulling live data from GitHub…</p>
+function PollingSettings({ prefsStore, sources, pollStatus }) {
+  const { prefs, updatePrefs } = prefsStore;
+  const { polling } = prefs;
+  const set = (key, value) => updatePrefs((p) => ({ ...p, polling: { ...p.polling, [key]: value } }));
+  const own = sources.filter((src) => src.intervalSeconds);
+  const mode = !pollStatus ? "—"
+    : pollStatus.hidden ? `Slowed down ×${polling.hiddenFactor} (tab in background)`
+    : pollStatus.anyDown ? `Every ${polling.downSeconds} s (a service is down)`
+    : "Normal";
+  return (
+    <div style={styles.settingsCard}>
+      <h3 style={styles.settingsTitle}>⚙️ Monitoring</h3>
+      <p style={styles.settingsDesc}>
+        Sources are checked in parallel, every <strong style={{ color: "#16a34a" }}>{polling.intervalSeconds} seconds</strong> unless
+        a source sets its own interval. Checks speed up while anything is down, slow down while this tab is in the
+        background, and back off from a source that keeps failing.
+      </p>
+      <div style={styles.infoGrid}>
+        {POLL_FIELDS.map((f) => (
+          <div key={f.key} style={styles.infoItem}>
+            <span style={styles.infoLabel}>{f.label}</span>
+            <span style={styles.inlineRow}>
+              <NumberInput
+                min={POLL_RANGES[f.key][0]}
+                max={POLL_RANGES[f.key][1]}
+                value={polling[f.key]}
+                onCommit={(value) => set(f.key, value)}
+                style={{ ...styles.input, width: 70, padding: "4px 8px" }}
+              />
+              <span style={{ ...styles.infoLabel, alignSelf: "center", width: 56 }}>{f.unit}</span>
+            </span>
+          </div>
+        ))}
+        {own.length > 0 && (
+          <div style={styles.infoItem}>
+            <span style={styles.infoLabel}>Own intervals</span>
+            <span style={styles.infoVal}>{own.map((src) => `${src.label} ${src.intervalSeconds} s`).join(", ")}</span>
+          </div>
+        )}
+        <div style={styles.infoItem}><span style={styles.infoLabel}>Schedule</span><span style={styles.infoVal}>{mode}</span></div>
+        <div style={styles.infoItem}>
+          <span style={styles.infoLabel}>Next check</span>
+          <span style={styles.infoVal}>{pollStatus?.running ? "Checking now…" : pollStatus?.nextAt ? formatWhen(pollStatus.nextAt) : "—"}</span>
         </div>
-      )}
+      </div>
+      <button style={{ ...styles.backBtn, marginTop: 12 }} onClick={() => updatePrefs((p) => ({ ...p, polling: POLL_DEFAULTS }))}>Reset to defaults</button>
+    </div>
+  );
+}
 
-      {/* RECENT INCIDENTS STRIP */}
-      {openIncidents.length > 0 && (
-        <div style={styles.incidentStrip}>
-          <h3 style={styles.stripTitle}>🔴 Active Incidents</h3>
-          {openIncidents.slice(0, 3).map((inc) => (
-            <div key={inc.id} style={styles.stripItem}>
-              <span style={styles.stripRepo}>{inc.repo}</span>
-              <span style={styles.stripIncTitle}>{inc.title}</span>
-              <a href={inc.url} target="_blank" rel="noopener noreferrer" style={styles.stripLink}>→</a>
+function AlertLogCard({ entries }) {
+  const recent = entries.filter((e) => !e.silent).slice(-20).reverse();
+  return (
+    <div style={styles.settingsCard}>
+      <h3 style={styles.settingsTitle}>🧾 Recent Alerts</h3>
+      {recent.length === 0 ? (
+        <p style={styles.settingsDesc}>No alerts sent yet.</p>
+      ) : (
+        <div style={styles.infoGrid}>
+          {recent.map((e, i) => (
+            <div key={`${e.family}-${e.at}-${i}`} style={styles.infoItem}>
+              <span style={styles.infoLabel}>{new Date(e.at).toLocaleString()}</span>
+              <span style={styles.infoVal}>{e.subject} — {e.kind} <span style={styles.checkGroup}>{e.severity}</span></span>
             </div>
           ))}
         </div>
@@ -408,67 +3093,149 @@ function Dashboard({ services, incidents, lastUpdated, polling, onRefresh, downC
   );
 }
 
-function SummaryCard({ label, value, color, icon }) {
-  return (
-    <div style={{ ...styles.summaryCard, borderColor: color }}>
-      <div style={styles.summaryIcon}>{icon}</div>
-      <div style={{ ...styles.summaryValue, color }}>{value}</div>
-      <div style={styles.summaryLabel}>{label}</div>
-    </div>
-  );
+// Mirrors the relay's scheme rule (relay/webhook.js); whether the URL is
+// registered there (RELAY_WEBHOOK_URLS) only shows when a delivery is tried.
+function webhookUrlProblem(url) {
+  if (!url) return null;
+  try {
+    const u = new URL(url);
+    if (u.protocol === "https:" || (u.protocol === "http:" && ["localhost", "127.0.0.1", "[::1]"].includes(u.hostname))) return null;
+    return "The relay only posts to https addresses (or http on localhost).";
+  } catch {
+    return "Not a valid URL.";
+  }
 }
 
-function ServiceCard({ svc }) {
-  const c = STATUS_COLORS[svc.status] || STATUS_COLORS.unknown;
+const DELIVERY_COLORS = { delivered: STATUS_COLORS.up, failed: STATUS_COLORS.down, retrying: STATUS_COLORS.unknown, pending: STATUS_COLORS.unknown };
+
+function attemptText({ status, error }) {
+  if (!status) return error || "no answer";
+  return error ? `HTTP ${status}: ${error}` : `HTTP ${status}`;
+}
+
+function WebhookSettings({ webhooks, services }) {
+  const groupNames = [...new Set(services.map((s) => s.repo))];
+  const serviceName = (id) => services.find((s) => s.id === id)?.name || id;
+
+  const addFilter = (hook, value) => {
+    if (!value) return;
+    const [type, ...rest] = value.split(":");
+    const key = type === "group" ? "groups" : "services";
+    const item = rest.join(":");
+    if (!hook.filter[key].includes(item)) webhooks.update(hook.id, { filter: { ...hook.filter, [key]: [...hook.filter[key], item] } });
+  };
+  const removeFilter = (hook, key, item) => {
+    webhooks.update(hook.id, { filter: { ...hook.filter, [key]: hook.filter[key].filter((v) => v !== item) } });
+  };
+
   return (
-    <div style={{ ...styles.svcCard, boxShadow: `0 0 12px ${c.glow}` }}>
-      <div style={styles.svcCardTop}>
-        <div style={{ ...styles.svcDot, background: c.bg, boxShadow: `0 0 8px ${c.glow}` }} />
-        <span style={{ ...styles.svcStatus, color: c.text }}>{svc.status.toUpperCase()}</span>
-      </div>
-      <div style={styles.svcName}>{svc.name}</div>
-      <div style={styles.svcMeta}>
-        {svc.responseTime !== null && <span>⚡ {svc.responseTime}ms</span>}
-        {svc.uptime !== null && <span>📈 {svc.uptime}%</span>}
-      </div>
-      <div style={{ ...styles.svcBar, background: "#1a3a2a" }}>
-        <div style={{
-          ...styles.svcBarFill,
-          width: `${Math.min(svc.uptime || 0, 100)}%`,
-          background: c.bg,
-        }} />
+    <div style={styles.settingsCard}>
+      <h3 style={styles.settingsTitle}>🪝 Webhooks</h3>
+      <p style={styles.settingsDesc}>
+        Post alerts to a Slack, Microsoft Teams or Discord channel, or to your own endpoint as HMAC-signed JSON. A webhook
+        gets the alerts whose severity uses the webhook channel (see Alert rules), limited to the groups and services you pick.
+        Deliveries go through the relay and are retried with backoff when the endpoint is down.
+      </p>
+      <div style={styles.sourceList}>
+        {webhooks.webhooks.map((hook) => {
+          const last = webhooks.deliveries.find((d) => d.hookId === hook.id);
+          const problem = webhookUrlProblem(hook.url);
+          const chips = [
+            ...hook.filter.groups.map((g) => ({ key: "groups", item: g, label: `Group: ${g}` })),
+            ...hook.filter.services.map((id) => ({ key: "services", item: id, label: serviceName(id) })),
+          ];
+          return (
+            <div key={hook.id} style={styles.sourceRow}>
+              <div style={styles.sourceFields}>
+                <input value={hook.name} onChange={(e) => webhooks.update(hook.id, { name: e.target.value })} placeholder="Name, e.g. Tech team" style={styles.input} />
+                <select value={hook.format} onChange={(e) => webhooks.update(hook.id, { format: e.target.value })} style={styles.input}>
+                  {Object.entries(WEBHOOK_FORMATS).map(([k, f]) => <option key={k} value={k}>{f.label}</option>)}
+                </select>
+                <label style={styles.toggleLabel}>
+                  <input type="checkbox" checked={hook.enabled} onChange={(e) => webhooks.update(hook.id, { enabled: e.target.checked })} style={{ marginRight: 8 }} />
+                  Enabled
+                </label>
+                <input
+                  value={hook.url}
+                  onChange={(e) => webhooks.update(hook.id, { url: e.target.value.trim() })}
+                  placeholder={WEBHOOK_FORMATS[hook.format].placeholder}
+                  style={{ ...styles.input, gridColumn: "span 3" }}
+                />
+                {hook.format === "json" && (
+                  <div style={{ ...styles.inlineRow, gridColumn: "span 3" }}>
+                    <input
+                      value={hook.secret}
+                      onChange={(e) => webhooks.update(hook.id, { secret: e.target.value })}
+                      placeholder="Signing secret (X-HCPSS-Signature)"
+                      style={{ ...styles.input, flex: 1 }}
+                    />
+                    <button style={styles.refreshBtn} onClick={() => webhooks.update(hook.id, { secret: randomToken(24) })}>Generate</button>
+                  </div>
+                )}
+                <div style={{ ...styles.webhookFilter, gridColumn: "span 3" }}>
+                  {chips.length === 0 && <span style={styles.infoLabel}>All services</span>}
+                  {chips.map((c) => (
+                    <button key={`${c.key}:${c.item}`} style={styles.webhookChip} onClick={() => removeFilter(hook, c.key, c.item)} title="Remove">
+                      {c.label} ✕
+                    </button>
+                  ))}
+                  <select value="" onChange={(e) => addFilter(hook, e.target.value)} style={{ ...styles.input, padding: "4px 8px", fontSize: 12 }}>
+                    <option value="">+ Only for…</option>
+                    {groupNames.map((g) => <option key={g} value={`group:${g}`}>Group: {g}</option>)}
+                    {services.map((svc) => <option key={svc.id} value={`service:${svc.id}`}>{svc.name} ({svc.repo})</option>)}
+                  </select>
+                </div>
+              </div>
+              <div style={styles.sourceActions}>
+                <button style={styles.iconBtn} onClick={() => webhooks.remove(hook.id)} title="Remove">✕</button>
+              </div>
+              <div style={{ ...styles.sourceFooter, width: "100%" }}>
+                <button style={styles.refreshBtn} onClick={() => webhooks.sendTest(hook)} disabled={!hook.url || !!problem}>Send test</button>
+                {last && (
+                  <span style={styles.infoLabel}>
+                    Last delivery {new Date(last.at).toLocaleString()}:{" "}
+                    <span style={{ color: DELIVERY_COLORS[last.state].text }}>{last.state}</span> ({last.attempts.map(attemptText).join(" → ")})
+                  </span>
+                )}
+              </div>
+              {problem && <div style={styles.sourceError}>⚠ {problem}</div>}
+            </div>
+          );
+        })}
       </div>
+      <button style={styles.refreshBtn} onClick={webhooks.add}>+ Add webhook</button>
     </div>
   );
 }
 
-// ─── INCIDENTS PAGE ──────────────────────────────────────────────────────────
-function IncidentPage({ incidents }) {
-  const [filter, setFilter] = useState("all");
-  const filtered = filter === "all" ? incidents : incidents.filter((i) => i.state === filter);
-
+function WebhookDeliveriesCard({ webhooks }) {
+  const recent = webhooks.deliveries.slice(0, 30);
   return (
-    <div style={styles.incidentRoot}>
-      <div style={styles.incidentHeader}>
-        <h2 style={styles.incidentTitle}>Incident History</h2>
-        <div style={styles.filterRow}>
-          {["all", "open", "closed"].map((f) => (
-            <button
-              key={f}
-              onClick={() => setFilter(f)}
-              style={{ ...styles.filterBtn, ...(filter === f ? styles.filterBtnActive : {}) }}
-            >{f}</button>
-          ))}
-        </div>
+    <div style={styles.settingsCard}>
+      <div style={styles.embedSnippetHead}>
+        <h3 style={{ ...styles.settingsTitle, marginBottom: 0 }}>📬 Webhook Deliveries</h3>
+        {recent.length > 0 && <button style={styles.refreshBtn} onClick={webhooks.clearLog}>Clear</button>}
       </div>
-      {filtered.length === 0 ? (
-        <div style={styles.emptyState}>
-          <p style={styles.emptyText}>No incidents found.</p>
-        </div>
+      {recent.length === 0 ? (
+        <p style={styles.settingsDesc}>Nothing delivered yet. Use "Send test" above to check a webhook.</p>
       ) : (
-        <div style={styles.incidentList}>
-          {filtered.map((inc) => (
-            <IncidentCard key={`${inc.repo}-${inc.id}`} inc={inc} />
+        <div style={styles.infoGrid}>
+          {recent.map((d) => (
+            <details key={d.id} style={styles.webhookDelivery}>
+              <summary style={styles.webhookDeliveryHead}>
+                <span style={styles.infoLabel}>{new Date(d.at).toLocaleString()}</span>
+                <span style={styles.infoVal}>{d.hookName}: {d.test ? "test" : `${d.subject} — ${d.kind}`}</span>
+                <span style={{ ...styles.labelChip, borderColor: DELIVERY_COLORS[d.state].bg, color: DELIVERY_COLORS[d.state].text }}>{d.state}</span>
+              </summary>
+              <div style={styles.checkGroup}>
+                {d.attempts.map((a, i) => <div key={i}>{new Date(a.at).toLocaleTimeString()} — {attemptText(a)}</div>)}
+              </div>
+              <pre style={styles.mdPre}>
+                {Object.entries(d.request.headers).map(([k, v]) => `${k}: ${v}`).join("\n")}
+                {"\n\n"}
+                {JSON.stringify(JSON.parse(d.request.body), null, 2)}
+              </pre>
+            </details>
           ))}
         </div>
       )}
@@ -476,112 +3243,318 @@ function IncidentPage({ incidents }) {
   );
 }
 
-function IncidentCard({ inc }) {
-  const isOpen = inc.state === "open";
+function GeneralSettings({ prefsStore }) {
+  const { prefs, updatePrefs } = prefsStore;
+  const setQuiet = (patch) => updatePrefs((p) => ({ ...p, quietHours: { ...p.quietHours, ...patch } }));
   return (
-    <div style={{ ...styles.incCard, borderLeft: `3px solid ${isOpen ? "#dc2626" : "#16a34a"}` }}>
-      <div style={styles.incCardTop}>
-        <span style={{ ...styles.incBadge, background: isOpen ? "#dc262622" : "#16a34a22", color: isOpen ? "#fca5a5" : "#86efac" }}>
-          {isOpen ? "🔴 OPEN" : "✅ RESOLVED"}
-        </span>
-        <span style={styles.incRepo}>{inc.repo}</span>
-        <a href={inc.url} target="_blank" rel="noopener noreferrer" style={styles.incLink}>GitHub →</a>
+    <div style={styles.settingsCard}>
+      <h3 style={styles.settingsTitle}>🌙 Quiet Hours & Start Page</h3>
+      <p style={styles.settingsDesc}>During quiet hours only critical-severity rules will alert you.</p>
+      <div style={styles.inputRow}>
+        <label style={styles.toggleLabel}>
+          <input type="checkbox" checked={prefs.quietHours.enabled} onChange={(e) => setQuiet({ enabled: e.target.checked })} style={{ marginRight: 8 }} />
+          Enable quiet hours
+        </label>
+        <div style={styles.inlineRow}>
+          <input type="time" value={prefs.quietHours.start} onChange={(e) => setQuiet({ start: e.target.value })} disabled={!prefs.quietHours.enabled} style={styles.input} />
+          <span style={{ ...styles.infoLabel, alignSelf: "center" }}>to</span>
+          <input type="time" value={prefs.quietHours.end} onChange={(e) => setQuiet({ end: e.target.value })} disabled={!prefs.quietHours.enabled} style={styles.input} />
+        </div>
+        <label style={styles.toggleLabel}>
+          <span style={{ marginRight: 10 }}>Open on</span>
+          <select value={prefs.defaultPage} onChange={(e) => updatePrefs({ defaultPage: e.target.value })} style={styles.input}>
+            <option value="dashboard">Dashboard</option>
+            <option value="incidents">Incidents</option>
+            <option value="timeline">Timeline</option>
+            <option value="reports">Reports</option>
+            <option value="settings">Settings</option>
+          </select>
+        </label>
       </div>
-      <h4 style={styles.incTitle2}>{inc.title}</h4>
-      {inc.body && <p style={styles.incBody}>{inc.body.slice(0, 200)}{inc.body.length > 200 ? "…" : ""}</p>}
-      <div style={styles.incDates}>
-        <span>Created: {new Date(inc.createdAt).toLocaleString()}</span>
-        <span>Updated: {new Date(inc.updatedAt).toLocaleString()}</span>
+    </div>
+  );
+}
+
+function BackupSettings({ prefsStore }) {
+  const [status, setStatus] = useState(null);
+  const onFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const skipped = prefsStore.importPrefs(await file.text());
+      const note = skipped ? ` ${skipped} unreadable ${skipped === 1 ? "entry was" : "entries were"} left out.` : "";
+      setStatus({ kind: "info", text: `Imported settings from ${file.name}.${note}` });
+    } catch (err) {
+      setStatus({ kind: "error", text: `Import failed: ${err.message}` });
+    }
+  };
+  return (
+    <div style={styles.settingsCard}>
+      <h3 style={styles.settingsTitle}>💾 Export / Import</h3>
+      <p style={styles.settingsDesc}>
+        Save your notification settings to a file, or restore them on another browser.
+        Webhook URLs and secrets aren't saved; enter them again after importing.
+      </p>
+      <div style={styles.inlineRow}>
+        <button style={styles.refreshBtn} onClick={prefsStore.exportPrefs}>Export settings</button>
+        <label style={styles.refreshBtn}>
+          Import settings
+          <input type="file" accept="application/json,.json" onChange={onFile} style={{ display: "none" }} />
+        </label>
       </div>
+      {status && <div style={status.kind === "error" ? styles.statusError : styles.statusInfo}>{status.text}</div>}
     </div>
   );
 }
 
-// ─── SETTINGS PAGE ───────────────────────────────────────────────────────────
-function SettingsPage({ user, notif }) {
+function SourcesEditor({ sources, setSources, resetSources }) {
+  const [draft, setDraft] = useState(sources);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => { setDraft(sources); }, [sources]);
+
+  const dirty = JSON.stringify(draft) !== JSON.stringify(sources);
+
+  const update = (id, patch) => {
+    setSaved(false);
+    setDraft((d) => d.map((src) => (src.id === id ? { ...src, ...patch } : src)));
+  };
+  const move = (idx, delta) => {
+    const next = [...draft];
+    const [item] = next.splice(idx, 1);
+    next.splice(Math.max(0, Math.min(next.length, idx + delta)), 0, item);
+    setDraft(next);
+  };
+  const add = () => setDraft((d) => [...d, {
+    id: "src_" + Math.random().toString(36).slice(2, 10),
+    type: "upptime", owner: "", repo: "", branch: "master", label: "", issueLabel: "bug", url: "",
+  }]);
+  const remove = (id) => setDraft((d) => d.filter((src) => src.id !== id));
+
+  const save = async () => {
+    setSaving(true);
+    const results = await Promise.all(draft.map((src) => validateSource(src, draft)));
+    const errs = {};
+    results.forEach((err, i) => { if (err) errs[draft[i].id] = err; });
+    setErrors(errs);
+    setSaving(false);
+    if (Object.keys(errs).length === 0) {
+      setSources(draft);
+      setSaved(true);
+    }
+  };
+
   return (
-    <div style={styles.settingsRoot}>
-      {/* Profile */}
-      <div style={styles.settingsCard}>
-        <h3 style={styles.settingsTitle}>👤 Profile</h3>
-        <div style={styles.profileRow}>
-          <img src={user.avatar} alt={user.name} style={styles.profileAvatar} />
-          <div>
-            <div style={styles.profileName}>{user.name}</div>
-            <div style={styles.profileEmail}>{user.email}</div>
-            <div style={styles.profileProvider}>Signed in via Google</div>
+    <div style={styles.settingsCard}>
+      <h3 style={styles.settingsTitle}>🗂 Sources</h3>
+      <p style={styles.settingsDesc}>Status feeds to monitor, in dashboard order. Each source is checked before saving.</p>
+      <div style={styles.sourceList}>
+        {draft.map((src, idx) => (
+          <div key={src.id} style={styles.sourceRow}>
+            <div style={styles.sourceFields}>
+              <select value={src.type} onChange={(e) => update(src.id, { type: e.target.value })} style={styles.input}>
+                {SOURCE_TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
+              </select>
+              <input value={src.label} onChange={(e) => update(src.id, { label: e.target.value })} placeholder="Label" style={styles.input} />
+              {src.type === "upptime" ? (
+                <>
+                  <input value={src.owner} onChange={(e) => update(src.id, { owner: e.target.value })} placeholder="Owner" style={styles.input} />
+                  <input value={src.repo} onChange={(e) => update(src.id, { repo: e.target.value })} placeholder="Repo" style={styles.input} />
+                  <input value={src.branch} onChange={(e) => update(src.id, { branch: e.target.value })} placeholder="Branch" style={styles.input} />
+                  <input value={src.issueLabel} onChange={(e) => update(src.id, { issueLabel: e.target.value })} placeholder="Issue label" style={styles.input} />
+                </>
+              ) : (
+                <input value={src.url || ""} onChange={(e) => update(src.id, { url: e.target.value })} placeholder="https://…/summary.json" style={{ ...styles.input, gridColumn: "span 2" }} />
+              )}
+              <input
+                type="number"
+                min={POLL_LIMITS.minSeconds}
+                max={POLL_LIMITS.maxSeconds}
+                value={src.intervalSeconds || ""}
+                onChange={(e) => update(src.id, { intervalSeconds: Number(e.target.value) || undefined })}
+                placeholder="Interval (s), default"
+                title="Check this source on its own schedule; empty uses the Monitoring setting"
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.sourceActions}>
+              <button style={styles.iconBtn} onClick={() => move(idx, -1)} disabled={idx === 0} title="Move up">↑</button>
+              <button style={styles.iconBtn} onClick={() => move(idx, 1)} disabled={idx === draft.length - 1} title="Move down">↓</button>
+              <button style={styles.iconBtn} onClick={() => remove(src.id)} title="Remove">✕</button>
+            </div>
+            {errors[src.id] && <div style={styles.sourceError}>⚠ {errors[src.id]}</div>}
           </div>
-        </div>
+        ))}
       </div>
-
-      {/* Desktop Notifications */}
-      <div style={styles.settingsCard}>
-        <h3 style={styles.settingsTitle}>🔔 Desktop Notifications</h3>
-        <p style={styles.settingsDesc}>Get instant alerts when any HCPSS service status changes.</p>
-        {notif.desktopEnabled ? (
-          <div style={styles.enabledBadge}>✅ Desktop notifications enabled</div>
-        ) : (
-          <button style={styles.enableBtn} onClick={notif.requestDesktop}>
-            Enable Desktop Notifications
-          </button>
-        )}
+      <div style={styles.sourceFooter}>
+        <button style={styles.refreshBtn} onClick={add}>+ Add source</button>
+        <button style={styles.refreshBtn} onClick={resetSources}>Reset to defaults</button>
+        <span style={{ flex: 1 }} />
+        {saved && !dirty && <span style={styles.infoVal}>✅ Saved</span>}
+        <button style={styles.enableBtn} onClick={save} disabled={!dirty || saving}>
+          {saving ? "Checking…" : "Save sources"}
+        </button>
       </div>
+    </div>
+  );
+}
 
-      {/* Email (stub) */}
-      <div style={styles.settingsCard}>
-        <h3 style={styles.settingsTitle}>📧 Email Notifications</h3>
-        <p style={styles.settingsDesc}>Receive status change alerts via email. <em style={{ color: "#ca8a04" }}>(Coming soon)</em></p>
-        <div style={styles.inputRow}>
-          <input
-            type="email"
-            value={notif.email}
-            onChange={(e) => notif.setEmail(e.target.value)}
-            placeholder="your@email.com"
-            style={styles.input}
-            disabled
-          />
-          <label style={styles.toggleLabel}>
-            <input type="checkbox" checked={notif.emailEnabled} onChange={(e) => notif.setEmailEnabled(e.target.checked)} disabled style={{ marginRight: 8 }} />
-            Enable
-          </label>
-        </div>
-        <div style={styles.comingSoon}>⏳ Email notifications will be available soon.</div>
-      </div>
+function SourceHealthCard({ sources, health, pollStatus }) {
+  return (
+    <div style={styles.settingsCard}>
+      <h3 style={styles.settingsTitle}>🩺 Source Health</h3>
+      <p style={styles.settingsDesc}>Result of the latest fetch from each source. A failing source keeps showing its last good data, marked stale.</p>
+      {sources.map((src) => {
+        const h = health[src.id];
+        const plan = pollStatus?.sources[src.id];
+        return (
+          <div key={src.id} style={styles.sourceHealthItem}>
+            <div style={styles.sourceHealthHead}>
+              <span style={{ ...styles.svcDot, background: !h ? STATUS_COLORS.unknown.bg : h.ok ? STATUS_COLORS.up.bg : STATUS_COLORS.down.bg }} />
+              <span style={styles.infoVal}>{src.label}</span>
+              <span style={styles.infoLabel}>{sourceName(src)}</span>
+            </div>
+            {h ? (
+              <div style={styles.infoGrid}>
+                <div style={styles.infoItem}><span style={styles.infoLabel}>Last success</span><span style={styles.infoVal}>{h.lastSuccess ? formatWhen(h.lastSuccess) : "Never"}</span></div>
+                <div style={styles.infoItem}><span style={styles.infoLabel}>Latency</span><span style={styles.infoVal}>{h.latencyMs} ms</span></div>
+                <div style={styles.infoItem}><span style={styles.infoLabel}>HTTP</span><span style={styles.infoVal}>{h.httpStatus ?? "No response"}</span></div>
+                {h.staleSince && <div style={styles.infoItem}><span style={styles.infoLabel}>Stale since</span><span style={styles.infoVal}>{formatWhen(h.staleSince)}</span></div>}
+                {h.lastError && (
+                  <div style={styles.infoItem}>
+                    <span style={styles.infoLabel}>Last error</span>
+                    <span style={styles.infoVal}>{h.lastError.message} ({formatWhen(h.lastError.at)})</span>
+                  </div>
+                )}
+                {h.warning && <div style={styles.infoItem}><span style={styles.infoLabel}>Warning</span><span style={styles.infoVal}>{h.warning}</span></div>}
+                {plan?.failures > 0 && (
+                  <div style={styles.infoItem}>
+                    <span style={styles.infoLabel}>Retrying</span>
+                    <span style={styles.infoVal}>{formatWhen(plan.nextAt)} ({plan.failures} failure{plan.failures === 1 ? "" : "s"} in a row)</span>
+                  </div>
+                )}
+              </div>
+            ) : (
+              <div style={styles.infoLabel}>Not fetched yet</div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
 
-      {/* SMS (stub) */}
-      <div style={styles.settingsCard}>
-        <h3 style={styles.settingsTitle}>📱 SMS Notifications</h3>
-        <p style={styles.settingsDesc}>Receive status change alerts via SMS text message. <em style={{ color: "#ca8a04" }}>(Coming soon)</em></p>
-        <div style={styles.inputRow}>
-          <input
-            type="tel"
-            value={notif.phone}
-            onChange={(e) => notif.setPhone(e.target.value)}
-            placeholder="+1 (410) 555-0123"
-            style={styles.input}
-            disabled
-          />
-          <label style={styles.toggleLabel}>
-            <input type="checkbox" checked={notif.smsEnabled} onChange={(e) => notif.setSmsEnabled(e.target.checked)} disabled style={{ marginRight: 8 }} />
-            Enable
-          </label>
+function GitHubSettings({ gitHub }) {
+  const [draft, setDraft] = useState(gitHub.token);
+  const { tokenKind, rate, error } = gitHub.status;
+  return (
+    <div style={styles.settingsCard}>
+      <h3 style={styles.settingsTitle}>🐙 GitHub API</h3>
+      <p style={styles.settingsDesc}>
+        Incidents come from the GitHub API, which allows 60 requests an hour per network without a token — shared by everyone
+        at your school. A read-only personal access token or GitHub App installation token raises that to 5,000. It is kept on this device only.
+      </p>
+      <div style={styles.inlineRow}>
+        <input
+          type="password"
+          placeholder="ghp_… or github_pat_… or ghs_…"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value.trim())}
+          style={{ ...styles.input, flex: 1 }}
+        />
+        <button style={styles.refreshBtn} onClick={() => gitHub.setToken(draft)} disabled={draft === gitHub.token}>Save</button>
+        {gitHub.token && <button style={styles.refreshBtn} onClick={() => { setDraft(""); gitHub.setToken(""); }}>Remove</button>}
+      </div>
+      <div style={styles.infoGrid}>
+        <div style={styles.infoItem}><span style={styles.infoLabel}>Authentication</span><span style={styles.infoVal}>{tokenKind || "Anonymous"}</span></div>
+        <div style={styles.infoItem}>
+          <span style={styles.infoLabel}>Remaining</span>
+          <span style={styles.infoVal}>{rate ? `${rate.remaining} of ${rate.limit} requests` : "Not known yet"}</span>
         </div>
-        <div style={styles.comingSoon}>⏳ SMS notifications will be available soon.</div>
+        {rate && <div style={styles.infoItem}><span style={styles.infoLabel}>Resets</span><span style={styles.infoVal}>{new Date(rate.reset).toLocaleTimeString()}</span></div>}
       </div>
+      {error && <div style={styles.statusError}>{error}</div>}
+    </div>
+  );
+}
 
-      {/* Polling Info */}
-      <div style={styles.settingsCard}>
-        <h3 style={styles.settingsTitle}>⚙️ Monitoring</h3>
-        <p style={styles.settingsDesc}>
-          This app polls the HCPSS GitHub repositories every <strong style={{ color: "#16a34a" }}>60 seconds</strong> for live service status.
-          When a status change is detected, you will be notified via your enabled channels.
-        </p>
-        <div style={styles.infoGrid}>
-          <div style={styles.infoItem}><span style={styles.infoLabel}>Sources</span><span style={styles.infoVal}>HCPSS/upptime, HCPSS/status</span></div>
-          <div style={styles.infoItem}><span style={styles.infoLabel}>Poll Interval</span><span style={styles.infoVal}>60 seconds</span></div>
-          <div style={styles.infoItem}><span style={styles.infoLabel}>Change Detection</span><span style={styles.infoVal}>Diff on every poll</span></div>
-        </div>
+function EmbedSettings({ services }) {
+  const [target, setTarget] = useState("");
+  const [size, setSize] = useState("small");
+  const [theme, setTheme] = useState("dark");
+  const [variant, setVariant] = useState("badge");
+  const [copied, setCopied] = useState(null);
+
+  const groups = [...new Set(services.map((s) => s.repo))];
+  const svc = services.find((s) => `service:${s.id}` === target);
+  const subject = svc ? { group: svc.repo, service: svc.name } : target ? { group: target.slice("group:".length) } : {};
+  const badge = renderBadge({ ...badgeSubject(services, subject), size, theme });
+
+  const options = { ...subject, size, theme, ...(variant === "list" ? { variant } : {}) };
+  const attrText = Object.entries(options).map(([k, v]) => ` ${k}="${v.replace(/"/g, "&quot;")}"`).join("");
+  const label = subject.service || subject.group || "HCPSS";
+  const snippets = [
+    {
+      key: "component",
+      label: "Web component",
+      code: `<script type="module" src="${new URL("widget.js", APP_URL)}"></script>\n<hcpss-status${attrText}></hcpss-status>`,
+    },
+    {
+      key: "iframe",
+      label: "iframe",
+      code: `<iframe src="${new URL(`embed?${new URLSearchParams(options)}`, APP_URL)}" title="${label} status" style="border:0" `
+        + (variant === "list" ? `width="280" height="240"></iframe>` : `width="240" height="${BADGE_SIZES[size].height + 8}"></iframe>`),
+    },
+    {
+      key: "image",
+      label: "Image badge (served by the relay; no scripts needed)",
+      code: `<img src="${RELAY_URL}/badge.svg?${new URLSearchParams({ ...subject, size, theme })}" alt="${label} status">`,
+    },
+  ];
+
+  const copy = (snippet) => {
+    navigator.clipboard?.writeText(snippet.code).then(() => setCopied(snippet.key), () => {});
+  };
+
+  return (
+    <div style={styles.settingsCard}>
+      <h3 style={styles.settingsTitle}>🏷️ Embed & Badges</h3>
+      <p style={styles.settingsDesc}>
+        Show a service's or group's status on a school site or the intranet. Embeds update every few minutes
+        and link to the public status page.
+      </p>
+      <div style={styles.searchFilters}>
+        <select value={target} onChange={(e) => setTarget(e.target.value)} style={styles.input}>
+          <option value="">All services</option>
+          {groups.map((g) => <option key={g} value={`group:${g}`}>Group: {g}</option>)}
+          {services.map((s) => <option key={s.id} value={`service:${s.id}`}>{s.name} ({s.repo})</option>)}
+        </select>
+        <select value={size} onChange={(e) => setSize(e.target.value)} style={styles.input}>
+          {Object.keys(BADGE_SIZES).map((k) => <option key={k} value={k}>{k}</option>)}
+        </select>
+        <select value={theme} onChange={(e) => setTheme(e.target.value)} style={styles.input}>
+          {Object.keys(BADGE_THEMES).map((k) => <option key={k} value={k}>{k} theme</option>)}
+        </select>
+        <select value={variant} onChange={(e) => setVariant(e.target.value)} style={styles.input}>
+          <option value="badge">Badge</option>
+          <option value="list">Status list</option>
+        </select>
       </div>
+      <div style={styles.embedPreview}>
+        <img src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(badge)}`} alt={`${label} status badge`} />
+      </div>
+      {snippets.map((snippet) => (
+        <div key={snippet.key}>
+          <div style={styles.embedSnippetHead}>
+            <span style={styles.infoLabel}>{snippet.label}</span>
+            <button style={styles.backBtn} onClick={() => copy(snippet)}>{copied === snippet.key ? "Copied" : "Copy"}</button>
+          </div>
+          <pre style={styles.mdPre}><code>{snippet.code}</code></pre>
+        </div>
+      ))}
     </div>
   );
 }
@@ -701,6 +3674,15 @@ const styles = {
     padding: "0 12px",
     background: "transparent",
   },
+  authError: {
+    marginTop: 16,
+    padding: "10px 14px",
+    background: "#dc262618",
+    border: "1px solid #dc262644",
+    borderRadius: 10,
+    fontSize: 13,
+    color: "#fca5a5",
+  },
   authFooter: {
     fontSize: 12,
     color: "#4a6a5a",
@@ -708,6 +3690,45 @@ const styles = {
     lineHeight: 1.5,
   },
 
+  // ── PUBLIC PAGE ──
+  publicRoot: {
+    minHeight: "100vh",
+    background: "#0a1f14",
+    color: "#c8e6d4",
+    fontFamily: "'Segoe UI', system-ui, sans-serif",
+  },
+  publicHeader: {
+    display: "flex",
+    alignItems: "center",
+    gap: 16,
+    maxWidth: 860,
+    margin: "0 auto",
+    padding: "28px 24px 20px",
+    borderBottom: "1px solid",
+  },
+  publicLogo: { height: 40, maxWidth: 160, objectFit: "contain" },
+  publicTitle: { fontSize: 24, fontWeight: 700, color: "#e2f0e8", margin: 0 },
+  publicIntro: { fontSize: 14, color: "#7aaa8f", margin: "4px 0 0" },
+  publicMain: { maxWidth: 860, margin: "0 auto", padding: 24, display: "flex", flexDirection: "column", gap: 16 },
+  publicOverall: {
+    display: "flex",
+    alignItems: "center",
+    gap: 12,
+    padding: "18px 20px",
+    border: "1px solid",
+    borderRadius: 14,
+    fontSize: 18,
+    fontWeight: 700,
+  },
+  publicGroupHead: { display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 },
+  publicUptime: { fontSize: 12, color: "#7aaa8f", marginBottom: 8 },
+  publicServices: { display: "flex", flexDirection: "column", marginTop: 14 },
+  publicService: { display: "flex", alignItems: "center", gap: 10, padding: "8px 0", borderTop: "1px solid #16a34a14", fontSize: 14 },
+  publicFooter: { display: "flex", flexWrap: "wrap", gap: 16, fontSize: 12, color: "#5a7a6a", padding: "8px 0 24px" },
+
+  // Embed
+  embedRoot: { display: "inline-block", padding: 4 },
+
   // ── TOPBAR ──
   topBar: {
     display: "flex",
@@ -815,6 +3836,7 @@ const styles = {
     fontWeight: 600,
     cursor: "pointer",
   },
+  quotaText: { color: "#4a6a5a" },
 
   // Service groups
   serviceGroup: { marginBottom: 24 },
@@ -842,15 +3864,34 @@ const styles = {
     borderRadius: 14,
     padding: 18,
     transition: "transform 0.15s, box-shadow 0.2s",
+    cursor: "pointer",
   },
   svcCardTop: { display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 10 },
   svcDot: { width: 10, height: 10, borderRadius: "50%" },
   svcStatus: { fontSize: 11, fontWeight: 700, letterSpacing: 0.8 },
+  flapBadge: { color: "#fdba74", marginRight: 8 },
+  svcCardStale: { opacity: 0.55 },
+  staleBadge: { marginLeft: 10, fontSize: 11, color: "#fbbf24", textTransform: "none", letterSpacing: 0, fontWeight: 500 },
   svcName: { fontSize: 14, fontWeight: 600, color: "#e2f0e8", marginBottom: 8, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" },
   svcMeta: { display: "flex", gap: 12, fontSize: 11, color: "#5a7a6a", marginBottom: 10 },
   svcBar: { height: 4, borderRadius: 2, overflow: "hidden" },
   svcBarFill: { height: "100%", borderRadius: 2, transition: "width 0.4s" },
 
+  // Source health
+  healthBanner: {
+    background: "#ca8a0414",
+    border: "1px solid #ca8a0444",
+    borderRadius: 12,
+    padding: "12px 16px",
+    marginBottom: 20,
+    fontSize: 13,
+    color: "#fde68a",
+  },
+  healthBannerError: { background: "#dc262614", borderColor: "#dc262644", color: "#fecaca" },
+  healthRow: { padding: "3px 0" },
+  sourceHealthItem: { padding: "12px 0", borderTop: "1px solid #16a34a18" },
+  sourceHealthHead: { display: "flex", alignItems: "center", gap: 10, marginBottom: 8 },
+
   // Empty
   emptyState: { textAlign: "center", padding: "60px 20px" },
   emptyText: { color: "#5a7a6a", fontSize: 15, marginTop: 16 },
@@ -867,7 +3908,53 @@ const styles = {
   stripItem: { display: "flex", alignItems: "center", gap: 10, padding: "8px 0", borderBottom: "1px solid #dc262618", fontSize: 13 },
   stripRepo: { color: "#7aaa8f", fontSize: 11, fontWeight: 600, minWidth: 100 },
   stripIncTitle: { flex: 1, color: "#e2f0e8", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" },
-  stripLink: { color: "#dc2626", fontWeight: 700, textDecoration: "none" },
+  stripLink: { background: "none", border: "none", padding: 0, color: "#dc2626", fontWeight: 700, cursor: "pointer" },
+
+  // Maintenance strip
+  maintStrip: {
+    background: "#0e1426",
+    border: "1px solid #2563eb33",
+    borderRadius: 14,
+    padding: 18,
+    marginBottom: 24,
+  },
+  maintItem: { display: "flex", alignItems: "center", flexWrap: "wrap", gap: 10, padding: "8px 0", borderBottom: "1px solid #2563eb18", fontSize: 13 },
+  maintState: { fontSize: 11, fontWeight: 700, color: "#93c5fd", background: "#2563eb22", borderRadius: 6, padding: "2px 8px", whiteSpace: "nowrap" },
+  maintStateActive: { color: "#eff6ff", background: "#2563eb" },
+  maintWhen: { color: "#7aaa8f", fontSize: 12, whiteSpace: "nowrap" },
+
+  // ── SERVICE DETAIL ──
+  detailRoot: { maxWidth: 860, margin: "0 auto", display: "flex", flexDirection: "column", gap: 16 },
+  backBtn: {
+    alignSelf: "flex-start",
+    background: "transparent",
+    border: "1px solid #16a34a33",
+    borderRadius: 8,
+    color: "#7aaa8f",
+    padding: "5px 12px",
+    fontSize: 12,
+    cursor: "pointer",
+  },
+  detailHeader: { display: "flex", alignItems: "center", gap: 14 },
+  detailTitle: { fontSize: 22, fontWeight: 700, color: "#e2f0e8", margin: 0 },
+  detailSub: { fontSize: 12, color: "#5a7a6a", marginTop: 4 },
+  detailCard: {
+    background: "#0d2818",
+    border: "1px solid #16a34a22",
+    borderRadius: 16,
+    padding: 20,
+  },
+  detailStats: { display: "flex", gap: 40, marginTop: 18 },
+  detailStatValue: { fontSize: 26, fontWeight: 800, color: "#86efac", marginBottom: 4 },
+  periodBars: { display: "flex", gap: 16, alignItems: "flex-end", margin: "12px 0 20px" },
+  periodBarCol: { flex: 1, textAlign: "center" },
+  periodBarTrack: { height: 80, background: "#0a1a12", borderRadius: 6, display: "flex", alignItems: "flex-end", overflow: "hidden" },
+  periodBarFill: { width: "100%", borderRadius: 6, transition: "height 0.4s" },
+  periodBarValue: { fontSize: 12, color: "#c8e6d4", margin: "6px 0 2px", fontWeight: 600 },
+  sparkline: { width: "100%", height: 60, background: "#0a1a12", borderRadius: 8 },
+  downtimeStrip: { display: "flex", gap: 2, height: 28 },
+  downtimeCell: { flex: 1, borderRadius: 2 },
+  downtimeLegend: { display: "flex", justifyContent: "space-between", fontSize: 11, color: "#5a7a6a", marginTop: 6 },
 
   // ── INCIDENTS PAGE ──
   incidentRoot: { maxWidth: 860, margin: "0 auto" },
@@ -888,12 +3975,56 @@ const styles = {
   filterBtnActive: { background: "#16a34a18", borderColor: "#16a34a55", color: "#86efac" },
 
   incidentList: { display: "flex", flexDirection: "column", gap: 12 },
+  searchPanel: {
+    display: "flex",
+    flexDirection: "column",
+    gap: 10,
+    background: "#0d2818",
+    border: "1px solid #16a34a22",
+    borderRadius: 14,
+    padding: 16,
+    marginBottom: 12,
+  },
+  searchFilters: { display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(150px, 1fr))", gap: 8 },
+  searchStatus: { display: "flex", justifyContent: "space-between", alignItems: "center", fontSize: 12, color: "#7aaa8f", marginBottom: 12 },
+  pager: { display: "flex", justifyContent: "center", alignItems: "center", gap: 16, marginTop: 16, fontSize: 12, color: "#7aaa8f" },
+
+  // Timeline
+  timelineRow: { display: "grid", gridTemplateColumns: "180px 1fr 240px", gap: 14, alignItems: "center", padding: "8px 0" },
+  timelineName: {
+    background: "none",
+    border: "none",
+    padding: 0,
+    color: "#e2f0e8",
+    fontSize: 13,
+    fontWeight: 600,
+    textAlign: "left",
+    cursor: "pointer",
+    whiteSpace: "nowrap",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+  },
+  timelineBar: { position: "relative", height: 14, background: "#16a34a33", borderRadius: 4, overflow: "hidden" },
+  timelineSpan: { position: "absolute", top: 0, bottom: 0, background: "#dc2626" },
+  timelineStats: { display: "flex", gap: 12, fontSize: 11, color: "#7aaa8f", justifyContent: "flex-end" },
+
+  // Reports
+  exportRow: { display: "flex", alignItems: "center", gap: 8, padding: "10px 0", borderTop: "1px solid #16a34a22" },
+  exportLabel: { fontSize: 14, fontWeight: 600, color: "#e2f0e8" },
+  exportDesc: { fontSize: 12, color: "#7aaa8f" },
+  slaSummary: { display: "flex", gap: 24, fontSize: 13, color: "#7aaa8f", margin: "12px 0" },
+  slaTable: { width: "100%", borderCollapse: "collapse", fontSize: 13, color: "#e2f0e8" },
+  slaTh: { textAlign: "left", fontSize: 11, fontWeight: 600, color: "#7aaa8f", textTransform: "uppercase", letterSpacing: 0.5, padding: "6px 8px", borderBottom: "1px solid #16a34a44" },
+  slaTd: { padding: "6px 8px", borderBottom: "1px solid #16a34a22" },
   incCard: {
     background: "#0d2818",
     border: "1px solid #16a34a22",
     borderRadius: 14,
     padding: 18,
   },
+  incCardFocused: {
+    boxShadow: "0 0 0 2px #4ade80",
+  },
   incCardTop: { display: "flex", alignItems: "center", gap: 10, marginBottom: 10 },
   incBadge: { padding: "3px 10px", borderRadius: 6, fontSize: 11, fontWeight: 700 },
   incRepo: { fontSize: 11, color: "#5a7a6a", flex: 1 },
@@ -901,9 +4032,53 @@ const styles = {
   incTitle2: { fontSize: 16, fontWeight: 600, color: "#e2f0e8", margin: "0 0 8px" },
   incBody: { fontSize: 13, color: "#7aaa8f", margin: "0 0 10px", lineHeight: 1.5 },
   incDates: { display: "flex", gap: 24, fontSize: 11, color: "#4a6a5a" },
+  incTitleBtn: {
+    background: "none",
+    border: "none",
+    padding: 0,
+    color: "inherit",
+    font: "inherit",
+    textAlign: "left",
+    cursor: "pointer",
+  },
+
+  // Incident detail
+  labelRow: { display: "flex", flexWrap: "wrap", gap: 8, marginTop: 12 },
+  labelChip: { padding: "2px 10px", borderRadius: 999, border: "1px solid", fontSize: 11, fontWeight: 600 },
+  assignee: { display: "inline-flex", alignItems: "center", gap: 6, marginLeft: 10 },
+  affectedBtn: {
+    display: "inline-flex",
+    alignItems: "center",
+    gap: 8,
+    padding: "6px 12px",
+    background: "#0a1a12",
+    border: "1px solid #16a34a33",
+    borderRadius: 8,
+    color: "#e2f0e8",
+    fontSize: 13,
+    cursor: "pointer",
+  },
+  thread: { display: "flex", flexDirection: "column", gap: 12, marginBottom: 12 },
+  comment: { background: "#0a1a12", border: "1px solid #16a34a1a", borderRadius: 10, padding: "12px 16px" },
+  commentHead: { display: "flex", alignItems: "center", gap: 8, fontSize: 11, color: "#5a7a6a", marginBottom: 6 },
+  commentAuthor: { color: "#c8e6d4", fontSize: 12 },
+  commentAvatar: { width: 20, height: 20, borderRadius: "50%" },
+
+  // Markdown
+  markdown: { fontSize: 13, color: "#c8e6d4", lineHeight: 1.6, overflowWrap: "anywhere" },
+  mdParagraph: { margin: "0 0 8px" },
+  mdHeading: { margin: "12px 0 6px", color: "#e2f0e8" },
+  mdList: { margin: "0 0 8px", paddingLeft: 22 },
+  mdQuote: { margin: "0 0 8px", padding: "2px 12px", borderLeft: "3px solid #16a34a55", color: "#7aaa8f" },
+  mdCode: { background: "#16a34a18", borderRadius: 4, padding: "1px 5px", fontSize: 12, fontFamily: "monospace" },
+  mdPre: { background: "#06120c", borderRadius: 8, padding: 12, overflowX: "auto", fontSize: 12, margin: "0 0 8px" },
+  mdRule: { border: "none", borderTop: "1px solid #16a34a22", margin: "12px 0" },
 
   // ── SETTINGS ──
   settingsRoot: { maxWidth: 700, margin: "0 auto", display: "flex", flexDirection: "column", gap: 16 },
+  embedPreview: { display: "flex", justifyContent: "center", padding: 16, margin: "12px 0", background: "#0a1a12", borderRadius: 10 },
+  embedSnippetHead: { display: "flex", justifyContent: "space-between", alignItems: "center", fontSize: 12, marginBottom: 6 },
+  settingsSection: { display: "flex", flexDirection: "column", gap: 16, scrollMarginTop: 80 },
   settingsCard: {
     background: "#0d2818",
     border: "1px solid #16a34a22",
@@ -944,15 +4119,12 @@ const styles = {
     outline: "none",
   },
   toggleLabel: { fontSize: 13, color: "#7aaa8f", display: "flex", alignItems: "center" },
-  comingSoon: {
-    marginTop: 12,
-    padding: "8px 14px",
-    background: "#1a1a0a",
-    border: "1px solid #ca8a0433",
-    borderRadius: 8,
-    fontSize: 12,
-    color: "#ca8a04",
-  },
+  inlineRow: { display: "flex", gap: 8 },
+  settingsSubTitle: { fontSize: 13, fontWeight: 700, color: "#c8e6d4", margin: "18px 0 8px" },
+  checkGrid: { display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: 6 },
+  checkGroup: { fontSize: 11, color: "#4a6a5a", marginLeft: 6 },
+  statusInfo: { marginTop: 12, fontSize: 12, color: "#86efac" },
+  statusError: { marginTop: 12, fontSize: 12, color: "#fca5a5" },
   profileRow: { display: "flex", alignItems: "center", gap: 16 },
   profileAvatar: { width: 56, height: 56, borderRadius: "50%", border: "2px solid #16a34a44" },
   profileName: { fontSize: 16, fontWeight: 600, color: "#e2f0e8" },
@@ -962,6 +4134,42 @@ const styles = {
   infoItem: { display: "flex", justifyContent: "space-between", fontSize: 13 },
   infoLabel: { color: "#5a7a6a" },
   infoVal: { color: "#86efac", fontWeight: 500 },
+  sourceList: { display: "flex", flexDirection: "column", gap: 10, marginBottom: 14 },
+  sourceRow: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 10,
+    padding: 12,
+    background: "#0a1a12",
+    border: "1px solid #16a34a1a",
+    borderRadius: 10,
+  },
+  sourceFields: { flex: 1, display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 8 },
+  sourceActions: { display: "flex", flexDirection: "column", gap: 4 },
+  sourceError: { width: "100%", fontSize: 12, color: "#fca5a5" },
+  sourceFooter: { display: "flex", alignItems: "center", gap: 8 },
+  webhookFilter: { display: "flex", flexWrap: "wrap", alignItems: "center", gap: 6 },
+  webhookChip: {
+    background: "#16a34a1a",
+    border: "1px solid #16a34a44",
+    borderRadius: 999,
+    color: "#86efac",
+    padding: "3px 10px",
+    fontSize: 12,
+    cursor: "pointer",
+  },
+  webhookDelivery: { padding: "8px 10px", background: "#0a1a12", borderRadius: 8, fontSize: 13 },
+  webhookDeliveryHead: { display: "flex", alignItems: "center", gap: 10, cursor: "pointer" },
+  iconBtn: {
+    background: "transparent",
+    border: "1px solid #16a34a33",
+    borderRadius: 6,
+    color: "#7aaa8f",
+    width: 26,
+    height: 24,
+    cursor: "pointer",
+    fontSize: 12,
+  },
 
   // Spinner
   spinner: {
@@ -993,6 +4201,11 @@ const cssKeyframes = `
   button:hover { filter: brightness(1.15); }
   a:hover { opacity: 0.75; }
   input:focus { border-color: #16a34a66 !important; }
+  @media print {
+    header, .no-print { display: none !important; }
+    body { background: #fff; }
+    .print-report, .print-report * { color: #000 !important; background: none !important; border-color: #999 !important; box-shadow: none !important; }
+  }
 `;
 
 // Inject keyframes once
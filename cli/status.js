@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+// Command-line status checker for HCPSS Status Monitor, for terminals, cron
+// jobs and shell scripts. Reads the same sources as the app through
+// monitor-core.js.
+//
+//   npm run status -- <command> [options]
+//
+//   status      every service, as a table (or --json)
+//   incidents   open incidents (--closed or --all for the others)
+//   watch       poll until interrupted and print each confirmed transition
+//
+//   --sources <file>      JSON list of sources, in the shape of DEFAULT_SOURCES
+//                         (default: DEFAULT_SOURCES)
+//   --fixtures <dir>      offline run: read each source from <dir>/<source id>.json,
+//                         a file in the fixture shape ({ services, incidents })
+//   --json                JSON output (watch prints one transition per line)
+//   --interval <seconds>  watch: how often to poll (default 60)
+//
+// Exit codes: 0 nothing down, 1 a service is down (incidents: one is open),
+// 2 a source couldn't be read, 64 bad usage or source list.
+// GITHUB_TOKEN raises the GitHub API rate limit. NO_COLOR turns off colors.
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import {
+  DEFAULT_SOURCES, SOURCE_TYPES, STATUS_LABELS, POLL_DEFAULTS, POLL_LIMITS,
+  createGitHubClient, createMonitor, createPollScheduler, exportRecords, incidentDuration,
+} from "../monitor-core.js";
+
+const EXIT = { ok: 0, down: 1, sourceError: 2, usage: 64 };
+
+const USAGE = `Usage: hcpss-status <status|incidents|watch> [options]
+
+  --sources <file>      JSON list of sources (default: the app's defaults)
+  --fixtures <dir>      read each source from <dir>/<source id>.json instead of the network
+  --json                JSON output
+  --closed, --all       incidents: closed ones, or every incident, instead of open ones
+  --interval <seconds>  watch: how often to poll (default ${POLL_DEFAULTS.intervalSeconds})
+  -h, --help            show this help
+
+Exit codes: 0 nothing down, 1 something down, 2 a source couldn't be read, 64 bad usage.`;
+
+class UsageError extends Error {}
+
+// ─── SOURCES ─────────────────────────────────────────────────────────────────
+function loadSources(file) {
+  if (!file) return DEFAULT_SOURCES;
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new UsageError(`Could not read ${file}: ${e.message}`);
+  }
+  const sources = Array.isArray(data) ? data : data.sources;
+  if (!Array.isArray(sources) || sources.length === 0) throw new UsageError(`${file} holds no sources`);
+  sources.forEach((s, i) => {
+    if (!s.id || !s.label) throw new UsageError(`Source ${i + 1} in ${file} needs an id and a label`);
+    if (!SOURCE_TYPES.includes(s.type)) throw new UsageError(`Source "${s.id}" has unknown type "${s.type}"`);
+  });
+  // Relative fixture paths are relative to the list, not to where the CLI runs.
+  return sources.map((s) => (s.type === "fixture" && !/^https?:/.test(s.url) ? { ...s, url: path.resolve(path.dirname(file), s.url) } : s));
+}
+
+function fixtureSources(sources, dir) {
+  return sources.map(({ id, label }) => ({ id, type: "fixture", label, url: path.resolve(dir, `${id}.json`) }));
+}
+
+// The global fetch, plus local files for fixture sources. A missing file
+// fails like an unreachable host.
+async function cliFetch(url, init) {
+  if (/^https?:/.test(url)) return fetch(url, init);
+  try {
+    return new Response(await fs.promises.readFile(url), { headers: { "Content-Type": "application/json" } });
+  } catch {
+    throw new TypeError("fetch failed");
+  }
+}
+
+// ─── OUTPUT ──────────────────────────────────────────────────────────────────
+const ANSI = { up: 32, down: 31, degraded: 33, unknown: 33, maintenance: 34 };
+const useColor = process.stdout.isTTY && !process.env.NO_COLOR;
+const paint = (status, text) => (useColor ? `\x1b[${ANSI[status] || 0}m${text}\x1b[0m` : text);
+
+function table(header, rows) {
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((r) => String(r[i].text ?? r[i]).length)));
+  const line = (cells) => cells.map((c, i) => {
+    const text = String(c.text ?? c);
+    const padded = i === cells.length - 1 ? text : text.padEnd(widths[i]);
+    return c.status ? paint(c.status, padded) : padded;
+  }).join("  ");
+  return [line(header), ...rows.map(line)].join("\n");
+}
+
+function formatAge(ms) {
+  const minutes = Math.round(ms / 60_000);
+  if (minutes < 60) return `${minutes} min`;
+  if (minutes < 48 * 60) return `${Math.round(minutes / 60)} h`;
+  return `${Math.round(minutes / 1440)} d`;
+}
+
+const timestamp = (at) => new Date(at).toISOString().replace("T", " ").slice(0, 19);
+
+function reportSourceErrors(results, sources) {
+  const failed = sources.filter((s) => !results[s.id]?.health.ok);
+  failed.forEach((s) => console.error(`hcpss-status: ${s.label}: ${results[s.id].health.lastError.message}`));
+  return failed.length > 0;
+}
+
+// ─── COMMANDS ────────────────────────────────────────────────────────────────
+async function status(monitor, sources, { json }) {
+  const { services, results } = await monitor.poll();
+  const failed = reportSourceErrors(results, sources);
+  if (json) {
+    console.log(JSON.stringify(exportRecords("services", services), null, 2));
+  } else {
+    console.log(table(["STATUS", "SERVICE", "GROUP", "RESPONSE", "UPTIME"], services.map((s) => [
+      { text: STATUS_LABELS[s.status] || s.status, status: s.status },
+      s.name,
+      s.repo,
+      s.responseTime === null ? "—" : `${s.responseTime} ms`,
+      s.uptime ?? "—",
+    ])));
+  }
+  if (services.some((s) => s.status === "down")) return EXIT.down;
+  return failed ? EXIT.sourceError : EXIT.ok;
+}
+
+async function incidents(monitor, sources, { json, closed, all }) {
+  const data = await monitor.poll();
+  const failed = reportSourceErrors(data.results, sources);
+  const state = all ? null : closed ? "closed" : "open";
+  const rows = data.incidents
+    .filter((i) => !state || i.state === state)
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+  if (json) {
+    console.log(JSON.stringify(exportRecords("incidents", rows), null, 2));
+  } else if (rows.length === 0) {
+    console.log(state ? `No ${state} incidents.` : "No incidents.");
+  } else {
+    const now = Date.now();
+    console.log(table(["#", "STATE", "OPENED", "DURATION", "GROUP", "TITLE"], rows.map((i) => [
+      i.id,
+      { text: i.state, status: i.state === "open" ? "down" : null },
+      timestamp(Date.parse(i.createdAt)),
+      formatAge(incidentDuration(i, now)),
+      i.repo,
+      i.title,
+    ])));
+  }
+  if (data.incidents.some((i) => i.state === "open")) return EXIT.down;
+  return failed ? EXIT.sourceError : EXIT.ok;
+}
+
+// Runs until SIGINT/SIGTERM, then exits with the code of the last poll.
+function watch(monitor, sources, { json, interval }) {
+  let code = EXIT.ok;
+  let first = true;
+  const failing = new Set();
+
+  monitor.on("transition", (t) => {
+    if (json) return console.log(JSON.stringify(exportRecords("history", [t])[0]));
+    console.log(`${timestamp(t.at)}  ${t.name} (${t.repo})  ${paint(t.from, t.from)} → ${paint(t.to, t.to)}`);
+  });
+  // A failing source is reported once, and again once it's back.
+  monitor.on("poll", ({ services, results }) => {
+    sources.forEach((s) => {
+      const health = results[s.id]?.health;
+      if (!health) return;
+      if (!health.ok && !failing.has(s.id)) {
+        failing.add(s.id);
+        console.error(`hcpss-status: ${s.label}: ${health.lastError.message}`);
+      } else if (health.ok && failing.delete(s.id)) {
+        console.error(`hcpss-status: ${s.label}: reachable again`);
+      }
+    });
+    const down = services.filter((s) => s.status === "down");
+    code = down.length ? EXIT.down : failing.size ? EXIT.sourceError : EXIT.ok;
+    if (first && !json) {
+      const names = down.map((s) => s.name).join(", ");
+      console.log(`Watching ${services.length} services from ${sources.length} sources${names ? `; down: ${names}` : ""}. Ctrl-C to stop.`);
+    }
+    first = false;
+  });
+
+  const scheduler = createPollScheduler({
+    run: (due) => monitor.poll({ due: due.map((s) => s.id) }),
+    sources,
+    settings: { ...POLL_DEFAULTS, intervalSeconds: interval },
+  });
+  scheduler.start();
+
+  return new Promise((resolve) => {
+    const stop = () => {
+      scheduler.stop();
+      resolve(code);
+    };
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+  });
+}
+
+const COMMANDS = { status, incidents, watch };
+
+// ─── MAIN ────────────────────────────────────────────────────────────────────
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      sources:  { type: "string" },
+      fixtures: { type: "string" },
+      json:     { type: "boolean", default: false },
+      closed:   { type: "boolean", default: false },
+      all:      { type: "boolean", default: false },
+      interval: { type: "string", default: String(POLL_DEFAULTS.intervalSeconds) },
+      help:     { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT.ok;
+  }
+  const [name, ...extra] = positionals;
+  const command = COMMANDS[name];
+  if (!command || extra.length) throw new UsageError(name ? `Unknown command "${[name, ...extra].join(" ")}"` : "No command given");
+
+  const interval = Number(values.interval);
+  if (!(interval >= POLL_LIMITS.minSeconds && interval <= POLL_LIMITS.maxSeconds)) {
+    throw new UsageError(`--interval must be between ${POLL_LIMITS.minSeconds} and ${POLL_LIMITS.maxSeconds} seconds`);
+  }
+  let sources = loadSources(values.sources);
+  if (values.fixtures) sources = fixtureSources(sources, values.fixtures);
+
+  const monitor = createMonitor({
+    sources,
+    fetch: cliFetch,
+    github: createGitHubClient({ token: process.env.GITHUB_TOKEN || null }),
+  });
+  return command(monitor, sources, { ...values, interval });
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+}, (e) => {
+  // parseArgs reports unknown or malformed options with an ERR_PARSE_ARGS_* code.
+  const usage = e instanceof UsageError || e.code?.startsWith("ERR_PARSE_ARGS");
+  console.error(`hcpss-status: ${e.message}${usage ? `\n\n${USAGE}` : ""}`);
+  process.exitCode = usage ? EXIT.usage : EXIT.sourceError;
+});
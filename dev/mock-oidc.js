@@ -0,0 +1,211 @@
+// Local mock OpenID Connect provider for developing and testing sign-in.
+// Implements discovery, authorization code + PKCE (S256), refresh tokens,
+// JWKS, userinfo, revocation and RP-initiated logout. Keys are generated per run.
+//
+//   npm run mock-oidc
+//
+//   MOCK_OIDC_PORT (8788), MOCK_OIDC_CLIENT_ID ("hcpss-status-monitor"),
+//   MOCK_OIDC_EMAIL ("teacher@hcpss.org"), MOCK_OIDC_TOKEN_TTL (seconds, 3600)
+import http from "node:http";
+import crypto from "node:crypto";
+
+const PORT = Number(process.env.MOCK_OIDC_PORT || 8788);
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || "hcpss-status-monitor";
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || "teacher@hcpss.org";
+const TOKEN_TTL = Number(process.env.MOCK_OIDC_TOKEN_TTL || 3600);
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const KID = crypto.randomBytes(8).toString("hex");
+const JWK = { ...publicKey.export({ format: "jwk" }), kid: KID, alg: "RS256", use: "sig" };
+
+const codes = new Map();         // code -> { redirectUri, challenge, nonce, user, expires }
+const refreshTokens = new Map(); // token -> user
+const accessTokens = new Map();  // token -> user
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+
+function signJwt(claims) {
+  const header = { alg: "RS256", typ: "JWT", kid: KID };
+  const data = `${b64url(JSON.stringify(header))}.${b64url(JSON.stringify(claims))}`;
+  return `${data}.${crypto.sign("RSA-SHA256", Buffer.from(data), privateKey).toString("base64url")}`;
+}
+
+function issueTokens(user, nonce) {
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = crypto.randomBytes(24).toString("base64url");
+  const refreshToken = crypto.randomBytes(24).toString("base64url");
+  accessTokens.set(accessToken, user);
+  refreshTokens.set(refreshToken, user);
+  return {
+    token_type: "Bearer",
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    expires_in: TOKEN_TTL,
+    scope: "openid email profile",
+    id_token: signJwt({
+      iss: ISSUER,
+      aud: CLIENT_ID,
+      sub: user.sub,
+      iat: now,
+      exp: now + TOKEN_TTL,
+      ...(nonce ? { nonce } : {}),
+      email: user.email,
+      email_verified: true,
+      name: user.name,
+      hd: user.email.split("@")[1],
+    }),
+  };
+}
+
+function userFor(email, name) {
+  const sub = crypto.createHash("sha256").update(email.toLowerCase()).digest("hex").slice(0, 21);
+  return { sub, email: email.toLowerCase(), name: name || email.split("@")[0] };
+}
+
+function readForm(req) {
+  return new Promise((resolve) => {
+    let body = "";
+    req.on("data", (c) => { body += c; });
+    req.on("end", () => resolve(Object.fromEntries(new URLSearchParams(body))));
+  });
+}
+
+function json(res, status, body) {
+  if (status === 204) {
+    res.writeHead(204, { "Access-Control-Allow-Origin": "*", "Access-Control-Allow-Headers": "Content-Type, Authorization" });
+    return res.end();
+  }
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Cache-Control": "no-store",
+  });
+  res.end(JSON.stringify(body));
+}
+
+function redirect(res, url) {
+  res.writeHead(302, { Location: url });
+  res.end();
+}
+
+const escape = (s) => String(s).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+
+function loginPage(params) {
+  const hidden = Object.entries(params).map(([k, v]) => `<input type="hidden" name="${escape(k)}" value="${escape(v)}">`).join("");
+  const title = params.prompt === "create" ? "Create a mock account" : "Sign in to the mock provider";
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Mock OIDC</title></head>
+<body style="font-family:sans-serif;max-width:360px;margin:80px auto">
+<h2>${title}</h2>
+<p style="color:#666">Client: ${escape(params.client_id)}${params.hd ? ` · domain ${escape(params.hd)}` : ""}</p>
+<form method="post" action="/authorize">${hidden}
+<p><label>Email<br><input name="email" value="${escape(DEFAULT_EMAIL)}" size="32"></label></p>
+<p><label>Name<br><input name="name" value="" size="32" placeholder="optional"></label></p>
+<p><button name="decision" value="allow">Continue</button> <button name="decision" value="deny">Cancel</button></p>
+</form></body></html>`;
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  if (req.method === "OPTIONS") return json(res, 204, {});
+
+  if (url.pathname === "/.well-known/openid-configuration") {
+    return json(res, 200, {
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      userinfo_endpoint: `${ISSUER}/userinfo`,
+      jwks_uri: `${ISSUER}/jwks`,
+      revocation_endpoint: `${ISSUER}/revoke`,
+      end_session_endpoint: `${ISSUER}/logout`,
+      response_types_supported: ["code"],
+      grant_types_supported: ["authorization_code", "refresh_token"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: ["RS256"],
+      code_challenge_methods_supported: ["S256"],
+      scopes_supported: ["openid", "email", "profile"],
+    });
+  }
+
+  if (url.pathname === "/jwks") return json(res, 200, { keys: [JWK] });
+
+  if (url.pathname === "/authorize" && req.method === "GET") {
+    const params = Object.fromEntries(url.searchParams);
+    if (params.client_id !== CLIENT_ID) return json(res, 400, { error: "unauthorized_client" });
+    if (params.response_type !== "code" || params.code_challenge_method !== "S256" || !params.code_challenge) {
+      return json(res, 400, { error: "invalid_request", error_description: "code flow with S256 PKCE required" });
+    }
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    return res.end(loginPage(params));
+  }
+
+  if (url.pathname === "/authorize" && req.method === "POST") {
+    const form = await readForm(req);
+    const back = new URL(form.redirect_uri);
+    back.searchParams.set("state", form.state);
+    if (form.decision !== "allow") {
+      back.searchParams.set("error", "access_denied");
+      return redirect(res, back.toString());
+    }
+    const code = crypto.randomBytes(16).toString("base64url");
+    codes.set(code, {
+      redirectUri: form.redirect_uri,
+      challenge: form.code_challenge,
+      nonce: form.nonce,
+      user: userFor(form.email, form.name),
+      expires: Date.now() + 60_000,
+    });
+    back.searchParams.set("code", code);
+    return redirect(res, back.toString());
+  }
+
+  if (url.pathname === "/token" && req.method === "POST") {
+    const form = await readForm(req);
+    if (form.client_id !== CLIENT_ID) return json(res, 401, { error: "invalid_client" });
+
+    if (form.grant_type === "authorization_code") {
+      const entry = codes.get(form.code);
+      codes.delete(form.code);
+      const challenge = crypto.createHash("sha256").update(form.code_verifier || "").digest("base64url");
+      if (!entry || entry.expires < Date.now() || entry.redirectUri !== form.redirect_uri || entry.challenge !== challenge) {
+        return json(res, 400, { error: "invalid_grant" });
+      }
+      return json(res, 200, issueTokens(entry.user, entry.nonce));
+    }
+
+    if (form.grant_type === "refresh_token") {
+      const user = refreshTokens.get(form.refresh_token);
+      if (!user) return json(res, 400, { error: "invalid_grant" });
+      refreshTokens.delete(form.refresh_token);
+      return json(res, 200, issueTokens(user));
+    }
+
+    return json(res, 400, { error: "unsupported_grant_type" });
+  }
+
+  if (url.pathname === "/userinfo") {
+    const user = accessTokens.get((req.headers.authorization || "").replace(/^Bearer /, ""));
+    if (!user) return json(res, 401, { error: "invalid_token" });
+    return json(res, 200, { sub: user.sub, email: user.email, email_verified: true, name: user.name });
+  }
+
+  if (url.pathname === "/revoke" && req.method === "POST") {
+    const form = await readForm(req);
+    refreshTokens.delete(form.token);
+    accessTokens.delete(form.token);
+    return json(res, 200, {});
+  }
+
+  if (url.pathname === "/logout") {
+    const target = url.searchParams.get("post_logout_redirect_uri");
+    if (target) return redirect(res, target);
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    return res.end("Signed out.");
+  }
+
+  json(res, 404, { error: "not_found" });
+});
+
+server.listen(PORT, () => console.log(`[mock-oidc] issuer ${ISSUER} (client ${CLIENT_ID})`));
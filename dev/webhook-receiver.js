@@ -0,0 +1,172 @@
+// Local webhook receiver for checking what HCPSS Status Monitor posts.
+// Point a webhook at http://localhost:8789/<format> (slack, teams, discord or
+// json); each delivery is checked against the limits that service enforces,
+// and JSON deliveries against their X-HCPSS-Signature when a secret is set.
+// Deliveries are printed and answered 200, or 400 with the problems found.
+//
+//   npm run webhook-receiver
+//
+// The relay only forwards here when started with RELAY_WEBHOOK_ALLOW_LOCAL=1
+// and the URL listed in RELAY_WEBHOOK_URLS (e.g. "http://localhost:8789/").
+//
+//   WEBHOOK_RECEIVER_PORT (8789), WEBHOOK_SECRET (the webhook's signing secret)
+//   Add ?fail=N to the URL to answer 503 to the first N attempts of each
+//   delivery, to watch the app retry.
+import http from "node:http";
+import crypto from "node:crypto";
+
+const PORT = Number(process.env.WEBHOOK_RECEIVER_PORT || 8789);
+const SECRET = process.env.WEBHOOK_SECRET || "";
+const SIGNATURE_TOLERANCE_S = 300;
+
+const failures = new Map(); // delivery (or body hash) → attempts answered 503
+
+// ─── CHECKS ──────────────────────────────────────────────────────────────────
+// Each returns a list of problems; empty means the service would accept it.
+const maxLength = (problems, label, value, max) => {
+  if (typeof value !== "string" || value.length === 0) problems.push(`${label} is missing`);
+  else if (value.length > max) problems.push(`${label} is ${value.length} characters; the limit is ${max}`);
+};
+
+const CHECKS = {
+  // https://api.slack.com/reference/block-kit/blocks
+  slack(payload) {
+    const problems = [];
+    maxLength(problems, "text (notification fallback)", payload.text, 40_000);
+    if (!Array.isArray(payload.blocks) || payload.blocks.length === 0 || payload.blocks.length > 50) problems.push("blocks must hold 1–50 blocks");
+    (payload.blocks || []).forEach((b, i) => {
+      if (b.type === "header") {
+        if (b.text?.type !== "plain_text") problems.push(`blocks[${i}]: a header's text must be plain_text`);
+        maxLength(problems, `blocks[${i}].text`, b.text?.text, 150);
+      } else if (b.type === "section") {
+        if (!b.text && !b.fields) problems.push(`blocks[${i}]: a section needs text or fields`);
+        if (b.fields?.length > 10) problems.push(`blocks[${i}]: at most 10 fields`);
+        (b.fields || []).forEach((f, j) => maxLength(problems, `blocks[${i}].fields[${j}]`, f.text, 2000));
+      } else if (b.type === "context") {
+        if (!b.elements?.length || b.elements.length > 10) problems.push(`blocks[${i}]: context needs 1–10 elements`);
+      } else if (b.type === "actions") {
+        (b.elements || []).forEach((el, j) => {
+          maxLength(problems, `blocks[${i}].elements[${j}].text`, el.text?.text, 75);
+          if (el.url) maxLength(problems, `blocks[${i}].elements[${j}].url`, el.url, 3000);
+        });
+      } else {
+        problems.push(`blocks[${i}]: unexpected block type "${b.type}"`);
+      }
+    });
+    return problems;
+  },
+
+  // https://learn.microsoft.com/microsoftteams/platform/webhooks-and-connectors/how-to/connectors-using
+  teams(payload) {
+    const problems = [];
+    if (payload.type !== "message") problems.push('type must be "message"');
+    const attachment = payload.attachments?.[0];
+    if (attachment?.contentType !== "application/vnd.microsoft.card.adaptive") problems.push("attachments[0] must be an Adaptive Card");
+    const card = attachment?.content;
+    if (card?.type !== "AdaptiveCard") problems.push('attachments[0].content.type must be "AdaptiveCard"');
+    if (!/^1\.[0-5]$/.test(card?.version || "")) problems.push("Teams renders Adaptive Card versions 1.0–1.5");
+    if (!Array.isArray(card?.body) || card.body.length === 0) problems.push("the card has no body");
+    (card?.body || []).forEach((el, i) => {
+      if (el.type === "TextBlock") maxLength(problems, `body[${i}].text`, el.text, 10_000);
+      else if (el.type === "FactSet") (el.facts || []).forEach((f, j) => {
+        if (typeof f.title !== "string" || typeof f.value !== "string") problems.push(`body[${i}].facts[${j}] needs string title and value`);
+      });
+    });
+    if (JSON.stringify(payload).length > 28 * 1024) problems.push("Teams rejects messages over 28 KB");
+    return problems;
+  },
+
+  // https://discord.com/developers/docs/resources/webhook#execute-webhook
+  discord(payload) {
+    const problems = [];
+    if (!payload.content && !payload.embeds?.length) problems.push("needs content or embeds");
+    if (payload.embeds?.length > 10) problems.push("at most 10 embeds");
+    let total = 0;
+    (payload.embeds || []).forEach((e, i) => {
+      if (e.title) maxLength(problems, `embeds[${i}].title`, e.title, 256);
+      if (e.description) maxLength(problems, `embeds[${i}].description`, e.description, 4096);
+      if (e.fields?.length > 25) problems.push(`embeds[${i}]: at most 25 fields`);
+      (e.fields || []).forEach((f, j) => {
+        maxLength(problems, `embeds[${i}].fields[${j}].name`, f.name, 256);
+        maxLength(problems, `embeds[${i}].fields[${j}].value`, f.value, 1024);
+        total += (f.name || "").length + (f.value || "").length;
+      });
+      total += (e.title || "").length + (e.description || "").length;
+      if (e.color !== undefined && !(Number.isInteger(e.color) && e.color >= 0 && e.color <= 0xffffff)) problems.push(`embeds[${i}].color must be a 24-bit integer`);
+    });
+    if (total > 6000) problems.push(`embeds hold ${total} characters; the limit is 6000`);
+    return problems;
+  },
+
+  json(payload, { headers, raw }) {
+    const problems = [];
+    if (!payload.type || !payload.at || !payload.subject) problems.push("type, at and subject are required");
+    if (!payload.service && !payload.incident) problems.push("needs a service or an incident");
+    if (!headers["x-hcpss-delivery"]) problems.push("X-HCPSS-Delivery header is missing");
+    if (SECRET) problems.push(...checkSignature(headers["x-hcpss-signature"], raw));
+    return problems;
+  },
+};
+
+function checkSignature(header, raw) {
+  const match = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(header || "");
+  if (!match) return ["X-HCPSS-Signature is missing or malformed (expected t=<unix>,v1=<hex>)"];
+  const [, t, signature] = match;
+  const expected = crypto.createHmac("sha256", SECRET).update(`${t}.${raw}`).digest("hex");
+  const problems = [];
+  if (!crypto.timingSafeEqual(Buffer.from(signature, "hex"), Buffer.from(expected, "hex"))) problems.push("signature does not match WEBHOOK_SECRET");
+  if (Math.abs(Date.now() / 1000 - Number(t)) > SIGNATURE_TOLERANCE_S) problems.push(`signature timestamp is more than ${SIGNATURE_TOLERANCE_S} s old`);
+  return problems;
+}
+
+// ─── SERVER ──────────────────────────────────────────────────────────────────
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function reply(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const format = url.pathname.replace(/^\/+|\/+$/g, "") || "json";
+  if (req.method !== "POST") return reply(res, 405, { error: "POST a webhook delivery here" });
+  if (!CHECKS[format]) return reply(res, 404, { error: `Unknown format "${format}"; use /${Object.keys(CHECKS).join(", /")}` });
+
+  const raw = await readBody(req);
+  const id = req.headers["x-hcpss-delivery"] || crypto.createHash("sha256").update(raw).digest("hex");
+  const fail = Number(url.searchParams.get("fail") || 0);
+  const failed = failures.get(id) || 0;
+  if (failed < fail) {
+    failures.set(id, failed + 1);
+    console.log(`[${format}] 503 (simulated failure ${failed + 1} of ${fail})`);
+    return reply(res, 503, { error: "Simulated failure" });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(raw);
+  } catch {
+    console.log(`[${format}] 400 body is not JSON`);
+    return reply(res, 400, { error: "Body is not JSON" });
+  }
+  const problems = CHECKS[format](payload, { headers: req.headers, raw });
+  const title = payload.subject || payload.text || payload.embeds?.[0]?.title || payload.attachments?.[0]?.content?.body?.[0]?.text || "";
+  console.log(`[${format}] ${problems.length ? "400 ✗" : "200 ✓"} ${title}`);
+  problems.forEach((p) => console.log(`    - ${p}`));
+  console.log(JSON.stringify(payload, null, 2).replace(/^/gm, "    "));
+  if (problems.length) return reply(res, 400, { error: "Payload rejected", problems });
+  reply(res, 200, { ok: true });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver on http://localhost:${PORT}/{${Object.keys(CHECKS).join(",")}}`);
+  if (!SECRET) console.log("WEBHOOK_SECRET is not set; JSON signatures are not checked.");
+});
@@ -0,0 +1,105 @@
+// Small IndexedDB store shared by the app and the service worker (sw.js).
+// Besides the worker's own keys it holds the last poll snapshot, so either
+// side can start from the freshest known status, the transition history and
+// the webhook delivery log.
+import { recordDelivery } from "./monitor-core.js";
+
+const DB_NAME = "hcpss-monitor";
+const DB_VERSION = 2;
+const STORE = "kv";
+const HISTORY = "transitions";
+const SNAPSHOT_VERSION = 1;
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      const db = req.result;
+      if (e.oldVersion < 1) db.createObjectStore(STORE);
+      if (e.oldVersion < 2) db.createObjectStore(HISTORY, { autoIncrement: true }).createIndex("at", "at");
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function withStore(mode, fn, name = STORE) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const req = fn(tx.objectStore(name));
+    tx.oncomplete = () => { db.close(); resolve(req?.result); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+  });
+}
+
+export const kv = {
+  get: (key) => withStore("readonly", (s) => s.get(key)),
+  put: (key, value) => withStore("readwrite", (s) => s.put(value, key)),
+  remove: (key) => withStore("readwrite", (s) => s.delete(key)),
+};
+
+// Snapshot: the per-source `results` of the last poll (see fetchSources in
+// monitor-core.js), which carry their own success and staleness timestamps.
+export async function loadSnapshot() {
+  try {
+    const snap = await kv.get("snapshot");
+    return snap?.version === SNAPSHOT_VERSION ? snap : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function saveSnapshot(results) {
+  try {
+    await kv.put("snapshot", { version: SNAPSHOT_VERSION, savedAt: Date.now(), results });
+  } catch {}
+}
+
+// ─── TRANSITION HISTORY ──────────────────────────────────────────────────────
+// Append-only record of confirmed status changes (see trackTransitions):
+//   { id, name, repo, from, to, at, responseTime }
+export async function appendTransitions(transitions) {
+  if (transitions.length === 0) return;
+  try {
+    await withStore("readwrite", (s) => { transitions.forEach((t) => s.add(t)); }, HISTORY);
+  } catch {}
+}
+
+// Everything up to `to`, oldest first: spans that started before a range
+// need the transitions that opened them.
+export async function loadTransitions({ to = Date.now() } = {}) {
+  try {
+    return await withStore("readonly", (s) => s.index("at").getAll(IDBKeyRange.upperBound(to)), HISTORY);
+  } catch {
+    return [];
+  }
+}
+
+// ─── WEBHOOK DELIVERIES ──────────────────────────────────────────────────────
+// Per-user log of webhook deliveries, newest first (see deliverWebhook in
+// monitor-core.js). Read and written in one transaction, since the app and
+// the worker both add to it.
+export async function saveDelivery(userId, delivery) {
+  const key = `webhooks:${userId}`;
+  try {
+    await withStore("readwrite", (s) => {
+      const req = s.get(key);
+      req.onsuccess = () => s.put(recordDelivery(req.result || [], delivery), key);
+    });
+  } catch {}
+}
+
+export async function loadDeliveries(userId) {
+  try {
+    return (await kv.get(`webhooks:${userId}`)) || [];
+  } catch {
+    return [];
+  }
+}
+
+export async function clearDeliveries(userId) {
+  try {
+    await kv.remove(`webhooks:${userId}`);
+  } catch {}
+}
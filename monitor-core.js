@@ -0,0 +1,2105 @@
+// Framework-free monitoring logic shared by the app (HCPSSStatusMonitor.js),
+// the background service worker (sw.js), the push relay (relay/push.js) and the
+// command-line tool (cli/status.js).
+// Nothing here may touch React, the DOM or storage. Network access goes
+// through an injectable `fetch` and time through an injectable clock, so all
+// of it runs under Node's test runner (npm test) against recorded feeds.
+
+// ─── CONSTANTS ───────────────────────────────────────────────────────────────
+// Each source names an adapter `type` (see SOURCE ADAPTERS below).
+//   upptime:    { owner, repo, branch, label, issueLabel }
+//   statuspage: { url, label }               — Statuspage.io /api/v2/summary.json
+//   json:       { url, label, name? }        — generic health endpoint
+//   fixture:    { url, label }               — local JSON in the normalized shape
+// Any source may also set `intervalSeconds` to be checked on its own schedule
+// (see POLL SCHEDULER).
+// Users edit their own list in Settings; these are the defaults.
+export const DEFAULT_SOURCES = [
+  { id: "hcpss-upptime", type: "upptime", owner: "HCPSS", repo: "upptime", branch: "master", label: "Main Services",       issueLabel: "bug" },
+  { id: "hcpss-status",  type: "upptime", owner: "HCPSS", repo: "status",  branch: "master", label: "Async Instructional", issueLabel: "bug" },
+];
+export const SOURCE_TYPES = ["upptime", "statuspage", "json", "fixture"];
+export const RELAY_URL = "http://localhost:8787"; // notification relay (relay/server.js)
+
+// Shared by the app, the embeddable widget and the relay's badges.
+export const STATUS_COLORS = {
+  up:          { bg: "#16a34a", text: "#bbf7d0", glow: "rgba(22,163,74,0.5)" },
+  down:        { bg: "#dc2626", text: "#fecaca", glow: "rgba(220,38,38,0.6)" },
+  degraded:    { bg: "#ea580c", text: "#fed7aa", glow: "rgba(234,88,12,0.5)" },
+  unknown:     { bg: "#ca8a04", text: "#fef08a", glow: "rgba(202,138,4,0.5)" },
+  maintenance: { bg: "#2563eb", text: "#bfdbfe", glow: "rgba(37,99,235,0.5)" },
+};
+
+export const DETAIL_PERIODS = [
+  { key: "day",   label: "24 h" },
+  { key: "week",  label: "7 d" },
+  { key: "month", label: "30 d" },
+  { key: "year",  label: "1 y" },
+  { key: "all",   label: "All time" },
+];
+
+// ─── FETCH ERRORS ────────────────────────────────────────────────────────────
+// Adapters throw when a source can't be read, so a feed outage is never
+// mistaken for "no services". `status` is the HTTP code when there was one.
+export class FetchError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export async function fetchJson(url, init, fetchImpl = fetch) {
+  const where = url.split("?")[0];
+  let r;
+  try {
+    r = await fetchImpl(url, init);
+  } catch (e) {
+    throw new FetchError(`Could not reach ${where} (${e.message})`);
+  }
+  if (!r.ok) throw new FetchError(`HTTP ${r.status} from ${where}`, r.status);
+  try {
+    return await r.json();
+  } catch {
+    throw new FetchError(`${where} did not return JSON`, r.status);
+  }
+}
+
+// ─── GITHUB API ──────────────────────────────────────────────────────────────
+// Anonymous callers get 60 requests an hour per IP address, shared by everyone
+// behind the same school network. Every api.github.com call goes through one
+// client that
+//   - sends If-None-Match with the last ETag and reuses the cached body on 304
+//     (a 304 doesn't count against an authenticated quota),
+//   - reads X-RateLimit-* and, once less than LOW_QUOTA_RATIO is left, spreads
+//     the remaining calls evenly over the URLs it knows until the reset,
+//   - stops at zero or on a secondary limit's Retry-After until it may resume,
+//   - authenticates with a personal access token or a GitHub App installation
+//     token when one is set.
+// Calls that are held back return the last good body with `throttled: true`.
+const LOW_QUOTA_RATIO = 0.2;
+
+export function githubTokenKind(token) {
+  if (!token) return null;
+  if (token.startsWith("ghs_")) return "GitHub App installation token";
+  if (token.startsWith("ghp_") || token.startsWith("github_pat_")) return "Personal access token";
+  return "Token";
+}
+
+export function createGitHubClient({ token = null, fetch: fetchImpl = (...args) => fetch(...args), now: clock = Date.now } = {}) {
+  const cache = new Map(); // url → { etag, data, fetchedAt }
+  const listeners = new Set();
+  let rate = null;          // { limit, remaining, used, reset (ms) }
+  let blockedUntil = 0;
+  let error = null;
+
+  const status = () => ({ tokenKind: githubTokenKind(token), rate, blockedUntil, error });
+  const emit = () => listeners.forEach((fn) => fn(status()));
+
+  function readRate(r) {
+    const limit = r.headers.get("x-ratelimit-limit");
+    if (limit === null) return;
+    rate = {
+      limit: Number(limit),
+      remaining: Number(r.headers.get("x-ratelimit-remaining")),
+      used: Number(r.headers.get("x-ratelimit-used")),
+      reset: Number(r.headers.get("x-ratelimit-reset")) * 1000,
+    };
+  }
+
+  function allowed(url, now) {
+    if (now < blockedUntil) return false;
+    if (!rate || now >= rate.reset) return true;
+    if (rate.remaining === 0) return false;
+    const entry = cache.get(url);
+    if (!entry || rate.remaining >= rate.limit * LOW_QUOTA_RATIO) return true;
+    return now - entry.fetchedAt >= ((rate.reset - now) * cache.size) / rate.remaining;
+  }
+
+  return {
+    status,
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    setToken(next) {
+      if ((next || null) === token) return;
+      token = next || null;
+      rate = null;
+      blockedUntil = 0;
+      error = null;
+      emit();
+    },
+    async get(url, { signal } = {}) {
+      const now = clock();
+      const cached = cache.get(url);
+      if (!allowed(url, now)) return { data: cached?.data ?? null, throttled: true };
+
+      const headers = { Accept: "application/vnd.github.v3+json" };
+      if (token) headers.Authorization = `Bearer ${token}`;
+      if (cached?.etag) headers["If-None-Match"] = cached.etag;
+      let r;
+      try {
+        r = await fetchImpl(url, { headers, cache: "no-store", signal });
+      } catch (e) {
+        if (signal?.aborted) throw e;
+        error = `Could not reach GitHub (${e.message})`;
+        emit();
+        throw e;
+      }
+      readRate(r);
+
+      if (r.status === 304 || r.ok) {
+        const data = r.status === 304 ? cached.data : await r.json();
+        cache.set(url, { etag: r.headers.get("etag") || cached?.etag, data, fetchedAt: now });
+        error = null;
+        emit();
+        return { data, throttled: false };
+      }
+
+      // 403/429 with no quota left, or a secondary limit asking us to wait.
+      const retryAfter = Number(r.headers.get("retry-after"));
+      if (retryAfter) blockedUntil = now + retryAfter * 1000;
+      else if ((r.status === 403 || r.status === 429) && rate?.remaining === 0) blockedUntil = rate.reset;
+      if (blockedUntil > now) {
+        error = `Rate limited until ${new Date(blockedUntil).toLocaleTimeString()}`;
+        emit();
+        return { data: cached?.data ?? null, throttled: true };
+      }
+      error = r.status === 401 ? "GitHub rejected the token (HTTP 401)" : `GitHub API returned HTTP ${r.status}`;
+      emit();
+      throw new Error(error);
+    },
+  };
+}
+
+// Shared by everything in this context (tab, worker or relay process).
+export const github = createGitHubClient();
+
+// ─── UPPTIME FETCHER ──────────────────────────────────────────────────────────
+export function rawUrl({ owner, repo, branch }, path) {
+  return `https://raw.githubusercontent.com/${owner}/${repo}/${branch || "master"}/${path}`;
+}
+
+function issuesUrl({ owner, repo, issueLabel }, state, perPage, page = 1) {
+  const label = encodeURIComponent(issueLabel || "bug");
+  return `https://api.github.com/repos/${owner}/${repo}/issues?state=${state}&labels=${label}&per_page=${perPage}&page=${page}`;
+}
+
+// Throws if summary.json can't be read. Issue lists that can't be fetched
+// (and have no cached copy) come back as null with a warning, so callers keep
+// the incidents and maintenance windows they already had instead of dropping them.
+// `github` and `fetch` default to the shared client and the global fetch.
+// `lists` names the issue lists to read (see ISSUE_LISTS); the others come back empty.
+export const ISSUE_LISTS = ["open", "closed", "maintenance"];
+
+export async function fetchRepoServices(source, { signal, fetch: fetchImpl = fetch, github: client = github, lists = ISSUE_LISTS } = {}) {
+  // 1) Fetch summary.json from raw content
+  const summary = await fetchJson(rawUrl(source, "history/summary.json"), { signal }, fetchImpl);
+  if (!Array.isArray(summary)) throw new FetchError("history/summary.json is not an Upptime summary");
+
+  // 2) Open issues (incidents), 3) recent closed ones and 4) open maintenance
+  //    issues, via the GitHub API. Each list asks for its label, so other
+  //    issues can't crowd it out; lists that haven't changed answer the
+  //    client's conditional requests with a 304, which costs no quota. While
+  //    the client holds a call back for quota, the last fetched issues are used.
+  const warnings = [];
+  const issues = async (list, what, state, perPage, issueLabel = source.issueLabel) => {
+    if (!lists.includes(list)) return [];
+    try {
+      const { data } = await client.get(issuesUrl({ ...source, issueLabel }, state, perPage), { signal });
+      if (!data) warnings.push(`${what} not loaded yet (GitHub API quota)`);
+      // The issues endpoint also lists pull requests.
+      return data && data.filter((i) => !i.pull_request);
+    } catch (e) {
+      warnings.push(`${what}: ${e.message}`);
+      return null;
+    }
+  };
+  const [incidents, closedIncidents, maintenance] = await Promise.all([
+    issues("open", "open incidents", "open", 10),
+    issues("closed", "closed incidents", "closed", 5),
+    issues("maintenance", "maintenance windows", "open", 10, MAINTENANCE_LABEL),
+  ]);
+
+  return { summary, incidents, closedIncidents, maintenance, warnings };
+}
+
+// One page of every incident issue, newest first, for the incident archive.
+export const ARCHIVE_PAGE_SIZE = 100;
+
+export async function fetchIssuePage(source, page, { github: client = github } = {}) {
+  const { data } = await client.get(issuesUrl(source, "all", ARCHIVE_PAGE_SIZE, page));
+  if (!data) throw new FetchError("Older incidents not loaded yet (GitHub API quota)");
+  return { issues: data.filter((i) => !i.pull_request), done: data.length < ARCHIVE_PAGE_SIZE };
+}
+
+// Comment thread of one incident issue; Upptime posts its status updates there.
+export async function fetchIssueComments({ owner, repo }, number, { github: client = github } = {}) {
+  const { data } = await client.get(`https://api.github.com/repos/${owner}/${repo}/issues/${number}/comments?per_page=100`);
+  if (!data) throw new FetchError("Updates not loaded yet (GitHub API quota)");
+  return data.map((c) => ({
+    id: c.id,
+    author: c.user?.login || "unknown",
+    avatar: c.user?.avatar_url || null,
+    createdAt: c.created_at,
+    url: c.html_url,
+    body: c.body || "",
+  }));
+}
+
+// Per-service detail: latest check from history/<slug>.yml plus the
+// shields.io endpoints Upptime writes under api/<slug>/.
+export async function fetchServiceDetail(source, slug, { fetch: fetchImpl = fetch } = {}) {
+  const base = rawUrl(source, "").replace(/\/$/, "");
+
+  let history = {};
+  try {
+    const r = await fetchImpl(`${base}/history/${slug}.yml`);
+    if (r.ok) history = parseFlatYaml(await r.text());
+  } catch {}
+
+  const responseTimes = {};
+  await Promise.all(DETAIL_PERIODS.map(async ({ key }) => {
+    try {
+      const suffix = key === "all" ? "" : `-${key}`;
+      const r = await fetchImpl(`${base}/api/${slug}/response-time${suffix}.json`);
+      if (r.ok) {
+        const ms = parseInt((await r.json()).message, 10);
+        if (!Number.isNaN(ms)) responseTimes[key] = ms;
+      }
+    } catch {}
+  }));
+
+  return { history, responseTimes };
+}
+
+// Upptime's history files are flat `key: value` documents; no need for a full YAML parser.
+export function parseFlatYaml(text) {
+  const out = {};
+  text.split("\n").forEach((line) => {
+    const m = line.match(/^(\w+):\s*(.*)$/);
+    if (m) out[m[1]] = m[2].replace(/^["']|["']$/g, "");
+  });
+  return out;
+}
+
+// Upptime writes uptimes as "99.95%" strings; older summaries use bare numbers.
+export function formatPercent(v) {
+  const n = parseFloat(v);
+  return Number.isNaN(n) ? "—" : `${n}%`;
+}
+
+export function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+// ─── SOURCE ADAPTERS ─────────────────────────────────────────────────────────
+// Every adapter maps its feed into the same shapes:
+//   service:  { id, repo, name, status, responseTime, uptime, sourceType, ... }
+//   incident: { id, repo, title, state, createdAt, updatedAt, closedAt, url, body,
+//               labels: [{ name, color }], assignees: [{ login, avatar }], ... }
+// Adapters with a `fetchComments(incident)` provide the incident's update thread,
+// and those with a `fetchArchive(source, page)` older incidents, page by page.
+// Like `fetch(source, io)`, these and `fetchDetail(service)` and
+// `validate(source)` take an optional last `io` argument with `fetch` and `github`.
+// `repo` is the source's display label; services are grouped by it on the dashboard.
+// Pure mappers from each feed's own format; the adapters below only fetch.
+export function upptimeServices(summary, { owner, repo, branch, label }) {
+  return summary.map((s) => ({
+    id: `${owner}/${repo}/${s.name}`,
+    repo: label,
+    sourceType: "upptime",
+    owner,
+    repoName: repo,
+    branch,
+    slug: s.slug || slugify(s.name),
+    url: s.url || null,
+    name: s.name,
+    status: s.status === "up" ? "up" : "down",
+    responseTime: s.responseTime ?? null,
+    uptime: s.uptime ?? null,
+    uptimes: { day: s.uptimeDay, week: s.uptimeWeek, month: s.uptimeMonth, year: s.uptimeYear, all: s.uptime },
+    times: { day: s.timeDay, week: s.timeWeek, month: s.timeMonth, year: s.timeYear, all: s.time ?? s.responseTime },
+    dailyMinutesDown: s.dailyMinutesDown || {},
+  }));
+}
+
+export function upptimeIncident(i, { owner, repo, label }) {
+  return {
+    id: i.number,
+    repo: label,
+    title: i.title,
+    state: i.state,
+    createdAt: i.created_at,
+    updatedAt: i.updated_at,
+    closedAt: i.closed_at || null,
+    url: i.html_url,
+    body: i.body || "",
+    sourceType: "upptime",
+    owner,
+    repoName: repo,
+    labels: (i.labels || []).map((l) => ({ name: l.name, color: l.color || null })),
+    assignees: (i.assignees || []).map((a) => ({ login: a.login, avatar: a.avatar_url || null })),
+    commentCount: i.comments ?? null,
+  };
+}
+
+// Upptime keeps a maintenance issue's window in an HTML comment in its body,
+// one key per line:
+//   <!--
+//   start: 2026-09-14T22:00:00Z
+//   end: 2026-09-15T02:00:00Z
+//   expectedDown: synergy-studentvue, canvas
+//   -->
+// The slugs under expectedDown or expectedDegraded are the services taken
+// down; with none, the whole repository is. Issues without a start are skipped.
+export function upptimeMaintenance(i, { owner, repo, label }, services) {
+  const comment = /<!--([\s\S]*?)-->/.exec(i.body || "");
+  const meta = comment ? parseFlatYaml(comment[1].replace(/^\s+/gm, "")) : {};
+  const start = Date.parse(meta.start);
+  if (Number.isNaN(start)) return null;
+  const end = Date.parse(meta.end);
+  const slugs = [meta.expectedDown, meta.expectedDegraded]
+    .flatMap((list) => (list || "").split(","))
+    .map((slug) => slug.trim())
+    .filter(Boolean);
+  return {
+    id: `${owner}/${repo}#${i.number}`,
+    title: i.title,
+    start: new Date(start).toISOString(),
+    end: Number.isNaN(end) ? null : new Date(end).toISOString(),
+    targets: slugs.length
+      ? services.filter((s) => slugs.includes(s.slug)).map((s) => ({ type: "service", value: s.id }))
+      : [{ type: "group", value: label }],
+    origin: "upptime",
+    url: i.html_url,
+  };
+}
+
+// Top-level components only; group headers aren't services of their own.
+export function statuspageServices(summary, { url, label }) {
+  const pageUrl = summary.page?.url || url;
+  return (summary.components || [])
+    .filter((c) => !c.group)
+    .map((c) => ({
+      ...emptyServiceFields(),
+      id: `${url}/${c.id}`,
+      repo: label,
+      sourceType: "statuspage",
+      name: c.name,
+      url: pageUrl,
+      status: STATUSPAGE_STATUS[c.status] || "unknown",
+    }));
+}
+
+export function statuspageIncident(i, label, pageUrl) {
+  return {
+    id: i.id,
+    repo: label,
+    title: i.name,
+    state: i.status === "resolved" || i.status === "postmortem" ? "closed" : "open",
+    createdAt: i.created_at,
+    updatedAt: i.updated_at,
+    closedAt: i.resolved_at || null,
+    url: i.shortlink || pageUrl,
+    body: i.incident_updates?.[0]?.body || "",
+    sourceType: "statuspage",
+    labels: i.impact && i.impact !== "none" ? [{ name: `impact: ${i.impact}`, color: null }] : [],
+    assignees: [],
+    // Statuspage lists updates newest first; the thread reads oldest first.
+    updates: (i.incident_updates || []).map((u) => ({
+      id: u.id,
+      author: u.status,
+      avatar: null,
+      createdAt: u.created_at,
+      url: null,
+      body: u.body || "",
+    })).reverse(),
+  };
+}
+
+export const SOURCE_ADAPTERS = {
+  upptime: {
+    async fetch(source, io = {}) {
+      const data = await fetchRepoServices(source, io);
+      const services = upptimeServices(data.summary, source);
+
+      // Map incidents; unknown if either list couldn't be fetched
+      const incidents = data.incidents && data.closedIncidents
+        && [...data.incidents, ...data.closedIncidents].map((i) => upptimeIncident(i, source));
+      const maintenance = data.maintenance && data.maintenance.map((i) => upptimeMaintenance(i, source, services)).filter(Boolean);
+
+      return { services, incidents, maintenance, warnings: data.warnings };
+    },
+    async fetchArchive(source, page, io) {
+      const { issues, done } = await fetchIssuePage(source, page, io);
+      return { incidents: issues.map((i) => upptimeIncident(i, source)), done };
+    },
+    fetchDetail: (svc, io) => fetchServiceDetail({ owner: svc.owner, repo: svc.repoName, branch: svc.branch }, svc.slug, io),
+    fetchComments: (inc, io) => fetchIssueComments({ owner: inc.owner, repo: inc.repoName }, inc.id, io),
+    async validate(source, { fetch: fetchImpl = fetch } = {}) {
+      const r = await fetchImpl(rawUrl(source, "history/summary.json"), { cache: "no-store" });
+      if (!r.ok) return `HTTP ${r.status} reading history/summary.json on ${source.branch || "master"}`;
+      const summary = await r.json().catch(() => null);
+      if (!Array.isArray(summary)) return "history/summary.json is not an Upptime summary";
+      return null;
+    },
+  },
+
+  statuspage: {
+    async fetch({ url, label }, { signal, fetch: fetchImpl = fetch } = {}) {
+      const summary = await fetchJson(url, { signal }, fetchImpl);
+      const pageUrl = summary.page?.url || url;
+      const services = statuspageServices(summary, { url, label });
+
+      const incidents = (summary.incidents || []).map((i) => statuspageIncident(i, label, pageUrl));
+
+      return { services, incidents };
+    },
+    // The public API's incident list holds the page's 50 most recent incidents.
+    async fetchArchive({ url, label }, _page, { fetch: fetchImpl = fetch } = {}) {
+      if (!/\/summary\.json(\?|$)/.test(url)) return { incidents: [], done: true };
+      const data = await fetchJson(url.replace(/summary\.json/, "incidents.json"), {}, fetchImpl);
+      const pageUrl = data.page?.url || url;
+      return { incidents: (data.incidents || []).map((i) => statuspageIncident(i, label, pageUrl)), done: true };
+    },
+    fetchComments: async (inc) => inc.updates || [],
+  },
+
+  json: {
+    // Accepts either a single health document ({ status: "ok" }) or a list of
+    // checks ({ services: [{ name, status, responseTime }] } or a bare array).
+    // An endpoint that doesn't answer before the poll's timeout counts as down.
+    async fetch({ url, label, name }, { signal, fetch: fetchImpl = fetch, now = Date.now } = {}) {
+      const started = now();
+      let ok = false;
+      let body = null;
+      try {
+        const r = await fetchImpl(url, { cache: "no-store", signal });
+        ok = r.ok;
+        body = await r.json().catch(() => null);
+      } catch {}
+      const elapsed = Math.round(now() - started);
+
+      const checks = Array.isArray(body) ? body : Array.isArray(body?.services) ? body.services : null;
+      const services = checks
+        ? checks.map((c) => ({
+            ...emptyServiceFields(),
+            id: `${url}/${c.name}`,
+            repo: label,
+            sourceType: "json",
+            name: c.name,
+            url: c.url || url,
+            status: healthStatus(c.status),
+            responseTime: c.responseTime ?? null,
+            uptime: c.uptime ?? null,
+          }))
+        : [{
+            ...emptyServiceFields(),
+            id: url,
+            repo: label,
+            sourceType: "json",
+            name: name || label,
+            url,
+            status: ok ? (body && "status" in body ? healthStatus(body.status) : "up") : "down",
+            responseTime: elapsed,
+          }];
+
+      return { services, incidents: [] };
+    },
+  },
+
+  fixture: {
+    // Offline mode: the file already holds normalized { services, incidents, maintenance? }.
+    async fetch({ url, label }, { signal, fetch: fetchImpl = fetch } = {}) {
+      const data = await fetchJson(url, { cache: "no-store", signal }, fetchImpl);
+      return {
+        services: (data.services || []).map((s) => ({
+          ...emptyServiceFields(),
+          ...s,
+          id: `fixture:${url}/${s.name}`,
+          repo: label,
+          sourceType: "fixture",
+        })),
+        incidents: (data.incidents || []).map((i) => ({ ...i, repo: label })),
+        maintenance: data.maintenance || [],
+      };
+    },
+  },
+};
+
+export function sourceName(source) {
+  return source.type === "upptime" ? `${source.owner}/${source.repo}` : source.url;
+}
+
+// Editor-side check before a source list is saved. Returns an error message or null.
+export async function validateSource(source, all, { fetch: fetchImpl = fetch } = {}) {
+  if (!source.label?.trim()) return "Label is required";
+  if (all.some((o) => o !== source && o.label.trim() === source.label.trim())) return "Labels must be unique";
+  if (source.type === "upptime" && (!source.owner?.trim() || !source.repo?.trim())) return "Owner and repo are required";
+  if (source.type !== "upptime" && !source.url?.trim()) return "URL is required";
+  if (source.intervalSeconds && !(source.intervalSeconds >= POLL_LIMITS.minSeconds && source.intervalSeconds <= POLL_LIMITS.maxSeconds)) {
+    return `Interval must be between ${POLL_LIMITS.minSeconds} and ${POLL_LIMITS.maxSeconds} seconds`;
+  }
+  try {
+    const adapter = SOURCE_ADAPTERS[source.type];
+    if (adapter.validate) return await adapter.validate(source, { fetch: fetchImpl });
+    const r = await fetchImpl(source.url, { cache: "no-store" });
+    if (!r.ok) return `HTTP ${r.status}`;
+    await r.json();
+    return null;
+  } catch (e) {
+    return `Could not read source (${e.message})`;
+  }
+}
+
+export const STATUSPAGE_STATUS = {
+  operational: "up",
+  degraded_performance: "degraded",
+  partial_outage: "down",
+  major_outage: "down",
+  under_maintenance: "maintenance",
+};
+
+export const HEALTHY_VALUES = ["up", "ok", "healthy", "pass", "operational", "true"];
+
+export function healthStatus(v) {
+  if (v === undefined || v === null) return "unknown";
+  const s = String(v).toLowerCase();
+  if (HEALTHY_VALUES.includes(s)) return "up";
+  if (s === "degraded" || s === "warn") return "degraded";
+  return "down";
+}
+
+// Fields only Upptime fills in; other adapters leave them empty so views can rely on their presence.
+export function emptyServiceFields() {
+  return {
+    url: null,
+    responseTime: null,
+    uptime: null,
+    uptimes: {},
+    times: {},
+    dailyMinutesDown: {},
+  };
+}
+
+// ─── NOTIFICATION TEMPLATES ──────────────────────────────────────────────────
+// `short` is used where space is tight (desktop), `sms` for text messages,
+// `subject`/`body` for email.
+export const NOTIFICATION_TEMPLATES = {
+  down: {
+    subject: "🟥 HCPSS: {name} is DOWN",
+    short: "Status changed to DOWN — {group}",
+    sms: "HCPSS ALERT: {name} is DOWN ({group}) as of {time}",
+    body: "{name} ({group}) was detected DOWN at {time}.\n\n{url}\n\nYou will get another message when it recovers.",
+  },
+  up: {
+    subject: "🟩 HCPSS: {name} is back UP",
+    short: "Status changed to UP — {group}",
+    sms: "HCPSS: {name} is back UP ({group}) as of {time}",
+    body: "{name} ({group}) recovered at {time}.\n\n{url}",
+  },
+  slow: {
+    subject: "🐢 HCPSS: {name} is slow ({responseTime}ms)",
+    short: "Response time {responseTime}ms — {group}",
+    sms: "HCPSS: {name} is slow, {responseTime}ms ({group})",
+    body: "{name} ({group}) responded in {responseTime}ms at {time}, above your alert threshold.\n\n{url}",
+  },
+  lowUptime: {
+    subject: "📉 HCPSS: {name} uptime is {uptime}",
+    short: "24 h uptime {uptime} — {group}",
+    sms: "HCPSS: {name} 24 h uptime {uptime} ({group})",
+    body: "{name} ({group}) has a 24-hour uptime of {uptime} as of {time}, below your alert threshold.\n\n{url}",
+  },
+  flapping: {
+    subject: "〰️ HCPSS: {name} is flapping",
+    short: "Repeatedly going up and down — {group}",
+    sms: "HCPSS: {name} is flapping between up and down ({group})",
+    body: "{name} ({group}) has been switching between up and down since {time}. Further up/down alerts are held until it settles.\n\n{url}",
+  },
+  recovered: {
+    subject: "🟩 HCPSS: {name} is back to normal",
+    short: "Back within limits — {group}",
+    sms: "HCPSS: {name} is back to normal ({group})",
+    body: "{name} ({group}) is back within your alert limits as of {time}.\n\n{url}",
+  },
+  incident: {
+    subject: "⚠️ HCPSS incident: {title}",
+    short: "New incident — {group}",
+    sms: "HCPSS incident ({group}): {title}",
+    body: "A new incident was opened for {group} at {time}:\n\n{title}\n\n{url}",
+  },
+};
+
+export function renderTemplate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (_, k) => (vars[k] ?? ""));
+}
+
+// event: { kind: "down" | "up" | "slow" | "lowUptime" | "recovered" | "flapping", service } or { kind: "incident", incident }
+export function renderNotification(event) {
+  const tpl = NOTIFICATION_TEMPLATES[event.kind];
+  const vars = event.service
+    ? {
+        name: event.service.name,
+        group: event.service.repo,
+        url: event.service.url || "",
+        responseTime: event.service.responseTime ?? "",
+        uptime: formatPercent(event.service.uptimes?.day ?? event.service.uptime),
+      }
+    : { title: event.incident.title, group: event.incident.repo, url: event.incident.url || "" };
+  vars.time = new Date().toLocaleString();
+  return {
+    subject: renderTemplate(tpl.subject, vars),
+    short: renderTemplate(tpl.short, vars),
+    sms: renderTemplate(tpl.sms, vars),
+    body: renderTemplate(tpl.body, vars),
+  };
+}
+
+// Sliding-window limiter: at most `limit` hits per key within `windowMs`.
+export function createRateLimiter({ limit, windowMs }) {
+  const hits = new Map();
+  return {
+    allow(key) {
+      const now = Date.now();
+      const recent = (hits.get(key) || []).filter((t) => now - t < windowMs);
+      const ok = recent.length < limit;
+      if (ok) recent.push(now);
+      hits.set(key, recent);
+      return ok;
+    },
+  };
+}
+
+// Errors carry the relay's HTTP status, when it answered.
+export async function relayPost(path, body) {
+  const r = await fetch(`${RELAY_URL}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw Object.assign(new Error(data.error || `Relay returned HTTP ${r.status}`), { status: r.status });
+  return data;
+}
+
+// ─── WEBHOOKS ────────────────────────────────────────────────────────────────
+// Chat-ops channels: alerts posted to Slack, Microsoft Teams, Discord or any
+// endpoint that takes signed JSON. A webhook is
+//   { id, name, format, url, secret, filter: { groups, services }, enabled }
+// where an empty filter passes everything. Slack and Teams don't answer CORS
+// preflights, so each attempt goes through the relay's /webhook/forward.
+export const WEBHOOK_FORMATS = {
+  slack:   { label: "Slack (Block Kit)",              placeholder: "https://hooks.slack.com/services/…" },
+  teams:   { label: "Microsoft Teams (Adaptive Card)", placeholder: "https://….webhook.office.com/…" },
+  discord: { label: "Discord",                        placeholder: "https://discord.com/api/webhooks/…" },
+  json:    { label: "JSON, HMAC-signed",              placeholder: "https://example.org/hooks/status" },
+};
+export const WEBHOOK_RETRY = { attempts: 4, baseSeconds: 5, maxBackoffSeconds: 120 };
+export const WEBHOOK_LOG_LIMIT = 100;
+
+// What each alert kind looks like in a chat message.
+const EVENT_STATUS = { down: "down", up: "up", recovered: "up", slow: "degraded", lowUptime: "degraded", flapping: "unknown", incident: "degraded" };
+const TEAMS_COLORS = { up: "Good", down: "Attention", degraded: "Warning", unknown: "Warning" };
+
+export function newWebhook(fields) {
+  return {
+    id: "hook_" + Math.random().toString(36).slice(2, 10),
+    name: "", format: "slack", url: "", secret: "", filter: { groups: [], services: [] }, enabled: true,
+    ...fields,
+  };
+}
+
+export function webhookMatches({ enabled, filter }, event) {
+  if (!enabled) return false;
+  const { groups = [], services = [] } = filter || {};
+  if (groups.length === 0 && services.length === 0) return true;
+  if (event.service) return groups.includes(event.service.repo) || services.includes(event.service.id);
+  return groups.includes(event.incident.repo);
+}
+
+// A made-up outage for the "Send test" button.
+export function webhookTestEvent() {
+  return {
+    kind: "down",
+    severity: "info",
+    test: true,
+    service: { id: "test", name: "Test service", repo: "HCPSS Status Monitor", url: "https://status.hcpss.org", status: "down", responseTime: null },
+  };
+}
+
+function webhookFacts(event, at) {
+  const time = `${new Date(at).toISOString().slice(0, 16).replace("T", " ")} UTC`;
+  if (event.incident) {
+    return [["Group", event.incident.repo], ["Severity", event.severity], ["Opened", time]];
+  }
+  const svc = event.service;
+  return [
+    ["Service", svc.name],
+    ["Group", svc.repo],
+    ["Status", STATUS_LABELS[svc.status] || svc.status],
+    ...(svc.responseTime ? [["Response time", `${svc.responseTime} ms`]] : []),
+    ["Severity", event.severity],
+    ["Time", time],
+  ];
+}
+
+// Slack reads <, > and & in mrkdwn as link and entity syntax.
+const slackText = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const WEBHOOK_BODIES = {
+  slack: ({ msg, facts, link }) => ({
+    text: msg.subject,
+    blocks: [
+      { type: "header", text: { type: "plain_text", text: msg.subject.slice(0, 150), emoji: true } },
+      { type: "section", fields: facts.map(([k, v]) => ({ type: "mrkdwn", text: `*${k}*\n${slackText(v)}` })) },
+      { type: "context", elements: [{ type: "mrkdwn", text: slackText(msg.short) }] },
+      ...(link ? [{ type: "actions", elements: [{ type: "button", text: { type: "plain_text", text: "Open" }, url: link }] }] : []),
+    ],
+  }),
+  teams: ({ msg, facts, link, status }) => ({
+    type: "message",
+    attachments: [{
+      contentType: "application/vnd.microsoft.card.adaptive",
+      contentUrl: null,
+      content: {
+        $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+        type: "AdaptiveCard",
+        version: "1.4",
+        body: [
+          { type: "TextBlock", text: msg.subject, weight: "Bolder", size: "Medium", color: TEAMS_COLORS[status], wrap: true },
+          { type: "TextBlock", text: msg.short, isSubtle: true, spacing: "None", wrap: true },
+          { type: "FactSet", facts: facts.map(([title, value]) => ({ title, value: String(value) })) },
+        ],
+        actions: link ? [{ type: "Action.OpenUrl", title: "Open", url: link }] : [],
+      },
+    }],
+  }),
+  // Incident titles come from public issues, so nobody gets pinged by one.
+  discord: ({ msg, facts, link, status, at }) => ({
+    username: "HCPSS Status Monitor",
+    embeds: [{
+      title: msg.subject.slice(0, 256),
+      description: msg.short,
+      ...(link ? { url: link } : {}),
+      color: parseInt(STATUS_COLORS[status].bg.slice(1), 16),
+      fields: facts.map(([name, value]) => ({ name, value: String(value), inline: true })),
+      timestamp: new Date(at).toISOString(),
+    }],
+    allowed_mentions: { parse: [] },
+  }),
+  json: ({ event, msg, at }) => ({
+    type: event.kind,
+    severity: event.severity,
+    test: !!event.test,
+    at: new Date(at).toISOString(),
+    subject: msg.subject,
+    text: msg.body,
+    service: event.service
+      ? { id: event.service.id, name: event.service.name, group: event.service.repo, status: event.service.status, responseTime: event.service.responseTime ?? null, url: event.service.url || null }
+      : null,
+    incident: event.incident
+      ? { id: event.incident.id, title: event.incident.title, group: event.incident.repo, state: event.incident.state, url: event.incident.url || null }
+      : null,
+  }),
+};
+
+export function webhookBody(format, event, at = Date.now()) {
+  const msg = renderNotification(event);
+  if (event.test) msg.subject = `Test: ${msg.subject}`;
+  return WEBHOOK_BODIES[format]({
+    event,
+    msg,
+    at,
+    facts: webhookFacts(event, at),
+    link: event.service?.url || event.incident?.url || null,
+    status: EVENT_STATUS[event.kind] || "unknown",
+  });
+}
+
+// Hex HMAC-SHA256 of "<timestamp>.<body>"; Web Crypto, so it runs in the
+// browser, the service worker and Node alike.
+export async function signWebhook(secret, timestamp, body) {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", enc.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const mac = await crypto.subtle.sign("HMAC", key, enc.encode(`${timestamp}.${body}`));
+  return [...new Uint8Array(mac)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// JSON webhooks carry X-HCPSS-Signature: t=<unix seconds>,v1=<hex HMAC>, so
+// receivers can check who sent it and reject replays.
+export async function webhookRequest(hook, event, { id, now = Date.now() }) {
+  const body = JSON.stringify(webhookBody(hook.format, event, now));
+  const headers = { "Content-Type": "application/json" };
+  if (hook.format === "json") {
+    headers["X-HCPSS-Event"] = event.kind;
+    headers["X-HCPSS-Delivery"] = id;
+    if (hook.secret) {
+      const t = Math.floor(now / 1000);
+      headers["X-HCPSS-Signature"] = `t=${t},v1=${await signWebhook(hook.secret, t, body)}`;
+    }
+  }
+  return { url: hook.url, headers, body };
+}
+
+// The relay's own refusals count like an endpoint's answer: a URL it won't
+// post to (400) is final, its rate limit (429) is retried.
+export async function forwardWebhook(request) {
+  try {
+    return await relayPost("/webhook/forward", request);
+  } catch (e) {
+    return { status: e.status || 0, error: e.status ? e.message : `Relay unreachable (${e.message})` };
+  }
+}
+
+const retryable = (status) => status === 0 || status === 408 || status === 429 || status >= 500;
+
+// Posts one alert to one webhook. `post` makes a single attempt and resolves to
+// { status, retryAfter?, error? } (status 0: the endpoint couldn't be reached).
+// Unreachable endpoints, 408, 429 and 5xx are retried with backoff, honouring
+// Retry-After; other answers are final. `onUpdate` gets the delivery record
+// after every attempt, for the delivery log.
+export async function deliverWebhook(hook, event, {
+  post = forwardWebhook,
+  retry = WEBHOOK_RETRY,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  now = Date.now,
+  random = Math.random,
+  onUpdate = () => {},
+} = {}) {
+  const id = `${now().toString(36)}-${random().toString(36).slice(2, 8)}`;
+  const request = await webhookRequest(hook, event, { id, now: now() });
+  let delivery = {
+    id,
+    hookId: hook.id,
+    hookName: hook.name || WEBHOOK_FORMATS[hook.format].label,
+    format: hook.format,
+    kind: event.kind,
+    subject: event.service?.name || event.incident?.title,
+    test: !!event.test,
+    at: now(),
+    state: "pending",
+    attempts: [],
+    request: { headers: request.headers, body: request.body },
+  };
+  for (let n = 1; ; n++) {
+    let result;
+    try {
+      result = await post(request);
+    } catch (e) {
+      result = { status: 0, error: e.message };
+    }
+    const ok = result.status >= 200 && result.status < 300;
+    const final = ok || !retryable(result.status) || n >= retry.attempts;
+    delivery = {
+      ...delivery,
+      state: ok ? "delivered" : final ? "failed" : "retrying",
+      attempts: [...delivery.attempts, { at: now(), status: result.status, error: result.error || null }],
+    };
+    onUpdate(delivery);
+    if (final) return delivery;
+    await sleep(result.retryAfter
+      ? Math.min(result.retryAfter * 1000, retry.maxBackoffSeconds * 1000)
+      : backoffDelay(retry.baseSeconds * 1000, n - 1, retry, random));
+  }
+}
+
+// Newest first; a record is replaced as its later attempts come in.
+export function recordDelivery(log, delivery) {
+  return [delivery, ...log.filter((d) => d.id !== delivery.id)].slice(0, WEBHOOK_LOG_LIMIT);
+}
+
+// ─── QUIET HOURS ─────────────────────────────────────────────────────────────
+export function minutesOfDay(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+export function inQuietHours({ enabled, start, end }, date = new Date()) {
+  if (!enabled) return false;
+  const now = date.getHours() * 60 + date.getMinutes();
+  const s = minutesOfDay(start), e = minutesOfDay(end);
+  return s <= e ? now >= s && now < e : now >= s || now < e;
+}
+
+
+// ─── ALERT RULES ─────────────────────────────────────────────────────────────
+// A rule watches a target (all services, a source group, or one service) for a
+// condition and alerts with a severity; prefs.severityChannels decides which
+// channels each severity uses. Service conditions fire once when they have
+// held for `polls` consecutive polls and send a recovery when they clear.
+export const RULE_CONDITIONS = {
+  down:      { label: "Down for N polls",       param: "polls",     unit: "polls", initial: 1 },
+  slow:      { label: "Response time above",    param: "threshold", unit: "ms",    initial: 1000 },
+  lowUptime: { label: "24 h uptime below",      param: "threshold", unit: "%",     initial: 99 },
+  incident:  { label: "New incident opened" },
+};
+export const SEVERITIES = ["info", "warning", "critical"];
+export const ALERT_CHANNELS = ["desktop", "email", "sms", "webhook"];
+
+// What a new user starts with: any service down, any new incident.
+export const DEFAULT_RULES = [
+  { id: "default-down",     target: { type: "all" }, condition: { type: "down", polls: 1 }, severity: "warning", enabled: true },
+  { id: "default-incident", target: { type: "all" }, condition: { type: "incident" },       severity: "warning", enabled: true },
+];
+
+export function newRule(fields) {
+  return { id: "rule_" + Math.random().toString(36).slice(2, 10), enabled: true, ...fields };
+}
+
+export function ruleTargets(rule, svc) {
+  const { type, value } = rule.target;
+  return type === "all" || (type === "group" && svc.repo === value) || (type === "service" && svc.id === value);
+}
+
+// Upptime titles incidents "🛑 <service name> is down", so a name match is a good enough link.
+export function incidentMentions(incident, svc) {
+  return incident.repo === svc.repo && incident.title.toLowerCase().includes(svc.name.toLowerCase());
+}
+
+export function conditionHolds(condition, svc) {
+  switch (condition.type) {
+    case "down":      return (svc.confirmedStatus ?? svc.status) === "down";
+    case "slow":      return svc.responseTime !== null && svc.responseTime > condition.threshold;
+    case "lowUptime": {
+      const uptime = parseFloat(svc.uptimes?.day ?? svc.uptime);
+      return !Number.isNaN(uptime) && uptime < condition.threshold;
+    }
+    default:          return false;
+  }
+}
+
+// Pure: returns the alert events for this poll plus the next engine state.
+// state: { streaks: { "<rule>|<service>": n }, active: { "<rule>|<service>": true } }
+// With `prime`, conditions that already hold become active at once (first run).
+// Down rules hold still while a service flaps: one "flapping" alert goes out when
+// it starts, and the settled state is announced when it stops.
+export function evaluateRules(rules, services, newIncidents, state, { prime = false } = {}) {
+  const streaks = {};
+  const active = {};
+  const events = [];
+
+  rules.filter((r) => r.enabled).forEach((rule) => {
+    if (rule.condition.type === "incident") {
+      newIncidents.forEach((incident) => {
+        const matches = rule.target.type === "all"
+          || (rule.target.type === "group" && incident.repo === rule.target.value)
+          || (rule.target.type === "service" && services.some((svc) => svc.id === rule.target.value && incidentMentions(incident, svc)));
+        if (matches) events.push({ kind: "incident", incident, severity: rule.severity, rule });
+      });
+      return;
+    }
+
+    services.filter((svc) => ruleTargets(rule, svc)).forEach((svc) => {
+      const key = `${rule.id}|${svc.id}`;
+      const wasActive = !!state.active[key];
+      const event = (kind) => events.push({ kind, service: svc, severity: rule.severity, rule });
+
+      // Rules hold still through a maintenance window, and until the
+      // service's confirmed status has left it too.
+      if (svc.status === "maintenance" || svc.confirmedStatus === "maintenance") {
+        if (wasActive) active[key] = true;
+        streaks[key] = state.streaks[key] || 0;
+        return;
+      }
+      if (rule.condition.type === "down" && svc.flapping) {
+        if (wasActive) active[key] = true;
+        streaks[key] = state.streaks[key] || 0;
+        if (svc.flapStarted) event("flapping");
+        return;
+      }
+      if (rule.condition.type === "down" && svc.flapEnded) {
+        const holds = conditionHolds(rule.condition, svc);
+        if (holds) active[key] = true;
+        streaks[key] = holds ? 1 : 0;
+        event(holds ? "down" : "up");
+        return;
+      }
+
+      if (conditionHolds(rule.condition, svc)) {
+        streaks[key] = (state.streaks[key] || 0) + 1;
+        const needed = prime ? 1 : rule.condition.type === "down" ? rule.condition.polls || 1 : 1;
+        if (wasActive || streaks[key] >= needed) active[key] = true;
+        if (!wasActive && active[key]) event(rule.condition.type);
+      } else if (wasActive) {
+        event(rule.condition.type === "down" ? "up" : "recovered");
+      }
+    });
+  });
+
+  // Several rules can match the same change; send it once, at the highest severity.
+  const merged = new Map();
+  events.forEach((e) => {
+    const key = `${alertFamily(e)}|${e.kind}`;
+    const prev = merged.get(key);
+    if (!prev || SEVERITIES.indexOf(e.severity) > SEVERITIES.indexOf(prev.severity)) merged.set(key, e);
+  });
+
+  return { events: [...merged.values()], state: { streaks, active } };
+}
+
+// ─── MAINTENANCE WINDOWS ─────────────────────────────────────────────────────
+// Planned downtime, read from each Upptime repository's open `maintenance`
+// issues or set up by the user in Settings. While a window is on, the services
+// it targets report "maintenance" instead of their checked status and send no
+// alerts (see evaluateRules and processPoll).
+//   window: { id, title, start, end, targets: [{ type, value }], origin, url }
+// `start` and `end` are ISO times; a window without an `end` lasts until its
+// issue is closed. Targets are shaped like an alert rule's.
+export const MAINTENANCE_LABEL = "maintenance";
+
+export function newMaintenanceWindow(fields) {
+  return { id: "maint_" + Math.random().toString(36).slice(2, 10), title: "", targets: [{ type: "all" }], origin: "local", url: null, ...fields };
+}
+
+export function windowTargets(w, svc) {
+  return w.targets.some((target) => ruleTargets({ target }, svc));
+}
+
+export function windowActive(w, now = Date.now()) {
+  return Date.parse(w.start) <= now && (!w.end || now < Date.parse(w.end));
+}
+
+export function applyMaintenance(services, windows, now = Date.now()) {
+  const active = windows.filter((w) => windowActive(w, now));
+  if (active.length === 0) return services;
+  return services.map((svc) => {
+    const w = active.find((a) => windowTargets(a, svc));
+    return w ? { ...svc, status: "maintenance", maintenance: w } : svc;
+  });
+}
+
+// Windows under way or still to come, soonest first.
+export function upcomingMaintenance(windows, now = Date.now()) {
+  return windows
+    .filter((w) => !w.end || Date.parse(w.end) > now)
+    .sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+}
+
+// ─── TRANSITIONS & FLAP DETECTION ───────────────────────────────────────────
+// One small state machine per service. A new raw status only becomes the
+// `confirmed` one after it has held for `confirmPolls` polls; a service whose
+// raw status changed `flapThreshold` times within the last `flapWindow` polls
+// is flapping until the change count falls to half that.
+export const DEFAULT_ALERTING = { confirmPolls: 2, flapWindow: 10, flapThreshold: 4, cooldownMinutes: 15 };
+
+export function trackTransitions(services, machines, { confirmPolls, flapWindow, flapThreshold }, now = Date.now()) {
+  const next = {};
+  const transitions = [];
+
+  const annotated = services.map((svc) => {
+    const prev = machines[svc.id];
+    const history = [...(prev?.history || []), svc.status].slice(-flapWindow);
+    const changes = history.reduce((n, st, i) => n + (i > 0 && st !== history[i - 1] ? 1 : 0), 0);
+    const wasFlapping = !!prev?.flapping;
+    const flapping = wasFlapping ? changes > Math.floor(flapThreshold / 2) : changes >= flapThreshold;
+
+    let { confirmed = svc.status, candidate = null, count = 0, since = now } = prev || {};
+    if (svc.status === confirmed) {
+      candidate = null;
+      count = 0;
+    } else {
+      count = svc.status === candidate ? count + 1 : 1;
+      candidate = svc.status;
+      if (count >= confirmPolls) {
+        transitions.push({ id: svc.id, name: svc.name, repo: svc.repo, from: confirmed, to: svc.status, at: now, responseTime: svc.responseTime });
+        confirmed = svc.status;
+        since = now;
+        candidate = null;
+        count = 0;
+      }
+    }
+
+    next[svc.id] = { confirmed, candidate, count, since, history, flapping };
+    return {
+      ...svc,
+      confirmedStatus: confirmed,
+      statusSince: since,
+      flapping,
+      flapStarted: flapping && !wasFlapping,
+      flapEnded: !flapping && wasFlapping,
+    };
+  });
+
+  return { services: annotated, machines: next, transitions };
+}
+
+// ─── OUTAGE HISTORY ──────────────────────────────────────────────────────────
+// Outage spans per service from the recorded transitions, clipped to
+// [from, to]. A service already down at `from` starts its span there; one
+// still down at the end is `ongoing`.
+export function outageSpans(transitions, { from, to }) {
+  const byService = {};
+  [...transitions].sort((a, b) => a.at - b.at).forEach((t) => {
+    const entry = (byService[t.id] ||= { id: t.id, name: t.name, repo: t.repo, spans: [], openedAt: null });
+    if (t.to === "down" && entry.openedAt === null) entry.openedAt = t.at;
+    if (t.from === "down" && t.to !== "down") {
+      // A recovery with no recorded start: the outage began before our history.
+      entry.spans.push({ start: entry.openedAt ?? -Infinity, end: t.at });
+      entry.openedAt = null;
+    }
+  });
+
+  return Object.values(byService).map(({ openedAt, spans, ...svc }) => {
+    const all = openedAt === null ? spans : [...spans, { start: openedAt, end: Infinity }];
+    return {
+      ...svc,
+      spans: all
+        .filter((sp) => sp.end > from && sp.start < to)
+        .map((sp) => ({ start: Math.max(sp.start, from), end: Math.min(sp.end, to), ongoing: sp.end === Infinity })),
+    };
+  });
+}
+
+// MTTR: mean length of the outages that ended in the range. MTBF: time up in
+// the range divided by the number of outages that started in it.
+export function reliabilityStats(spans, { from, to }) {
+  const downtime = spans.reduce((sum, sp) => sum + (sp.end - sp.start), 0);
+  const repaired = spans.filter((sp) => !sp.ongoing);
+  const failures = spans.filter((sp) => sp.start > from).length;
+  return {
+    outages: spans.length,
+    downtime,
+    availability: to > from ? 1 - downtime / (to - from) : null,
+    mttr: repaired.length ? repaired.reduce((sum, sp) => sum + (sp.end - sp.start), 0) / repaired.length : null,
+    mtbf: failures ? (to - from - downtime) / failures : null,
+  };
+}
+
+// ─── INCIDENT SEARCH ─────────────────────────────────────────────────────────
+// Filters travel in the page URL, so every field is a string and "" means "any".
+export const INCIDENT_FILTERS = {
+  q: "", state: "all", repo: "", service: "", label: "", from: "", to: "", duration: "", sort: "newest",
+};
+
+export const INCIDENT_SORTS = [
+  { key: "newest",   label: "Newest first" },
+  { key: "oldest",   label: "Oldest first" },
+  { key: "updated",  label: "Recently updated" },
+  { key: "longest",  label: "Longest first" },
+  { key: "shortest", label: "Shortest first" },
+];
+
+export const DURATION_BUCKETS = [
+  { key: "short",  label: "Under 1 hour",   min: 0,          max: 3_600_000 },
+  { key: "medium", label: "1 hour – 1 day", min: 3_600_000,  max: 86_400_000 },
+  { key: "long",   label: "Over 1 day",     min: 86_400_000, max: Infinity },
+];
+
+export function incidentKey(inc) {
+  return `${inc.repo}#${inc.id}`;
+}
+
+// Open incidents run until now; closed ones without a close time until their last update.
+export function incidentDuration(inc, now = Date.now()) {
+  const end = inc.state === "open" ? now : Date.parse(inc.closedAt || inc.updatedAt);
+  return end - Date.parse(inc.createdAt);
+}
+
+export function filtersFromParams(params) {
+  const filters = { ...INCIDENT_FILTERS };
+  Object.keys(filters).forEach((k) => {
+    if (params.get(k)) filters[k] = params.get(k);
+  });
+  return filters;
+}
+
+export function filtersToParams(filters) {
+  const params = new URLSearchParams();
+  Object.entries(INCIDENT_FILTERS).forEach(([k, def]) => {
+    if (filters[k] && filters[k] !== def) params.set(k, filters[k]);
+  });
+  return params;
+}
+
+// Dates are calendar days (YYYY-MM-DD) in local time; `to` includes its whole day.
+export function searchIncidents(incidents, filters, services = [], now = Date.now()) {
+  const terms = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+  const service = filters.service && services.find((s) => s.id === filters.service);
+  const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : -Infinity;
+  const to = filters.to ? new Date(`${filters.to}T00:00:00`).getTime() + 86_400_000 : Infinity;
+  const bucket = DURATION_BUCKETS.find((b) => b.key === filters.duration);
+
+  const matches = incidents.filter((inc) => {
+    if (filters.state !== "all" && inc.state !== filters.state) return false;
+    if (filters.repo && inc.repo !== filters.repo) return false;
+    if (filters.service && !(service && incidentMentions(inc, service))) return false;
+    if (filters.label && !(inc.labels || []).some((l) => l.name === filters.label)) return false;
+    const created = Date.parse(inc.createdAt);
+    if (created < from || created >= to) return false;
+    if (bucket) {
+      const d = incidentDuration(inc, now);
+      if (d < bucket.min || d >= bucket.max) return false;
+    }
+    const text = `${inc.title}\n${inc.body}`.toLowerCase();
+    return terms.every((t) => text.includes(t));
+  });
+
+  const by = {
+    newest:   (a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt),
+    oldest:   (a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt),
+    updated:  (a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt),
+    longest:  (a, b) => incidentDuration(b, now) - incidentDuration(a, now),
+    shortest: (a, b) => incidentDuration(a, now) - incidentDuration(b, now),
+  };
+  return matches.sort(by[filters.sort] || by.newest);
+}
+
+// Live incidents from the last poll win over older archived copies.
+export function mergeIncidents(live, archived) {
+  const seen = new Set(live.map(incidentKey));
+  return [...live, ...archived.filter((inc) => !seen.has(incidentKey(inc)))];
+}
+
+// ─── BADGES ──────────────────────────────────────────────────────────────────
+// Status badges for other sites: drawn by the <hcpss-status> widget (widget.js)
+// and served as images by the relay (relay/badge.js).
+export const STATUS_LABELS = { up: "operational", down: "down", degraded: "degraded", unknown: "unknown", maintenance: "maintenance" };
+
+export const BADGE_SIZES = {
+  small:  { height: 20, font: 11 },
+  medium: { height: 28, font: 14 },
+  large:  { height: 36, font: 18 },
+};
+
+export const BADGE_THEMES = {
+  dark:  { label: "#0d2818", text: "#e2f0e8", muted: "#7aaa8f", background: "#0a1f14" },
+  light: { label: "#f1f5f3", text: "#14281d", muted: "#4a6a5a", background: "#ffffff" },
+};
+
+const STATUS_RANK = ["up", "maintenance", "unknown", "degraded", "down"];
+
+export function worstStatus(services) {
+  return services.reduce((worst, s) => (STATUS_RANK.indexOf(s.status) > STATUS_RANK.indexOf(worst) ? s.status : worst), "up");
+}
+
+// What a badge for `group` (a source label) and/or `service` (a name) shows.
+// Either may also be given as its slug, as in the app's URLs.
+export function badgeSubject(services, { group, service }) {
+  const matches = (value, name, slug) => value.toLowerCase() === name.toLowerCase() || value === slug;
+  const inGroup = group ? services.filter((s) => matches(group, s.repo, slugify(s.repo))) : services;
+  if (service) {
+    const svc = inGroup.find((s) => matches(service, s.name, s.slug || slugify(s.name)));
+    if (svc) return { label: svc.name, status: svc.status, services: [svc] };
+  } else if (inGroup.length > 0) {
+    return { label: group ? inGroup[0].repo : "HCPSS", status: worstStatus(inGroup), services: inGroup };
+  }
+  return { label: service || group || "HCPSS", status: "unknown", value: "not found", services: [] };
+}
+
+const escapeXml = (text) => String(text).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+// A two-part "label | status" badge as an SVG document. Text widths are
+// estimated, as there's no font metrics outside a browser.
+export function renderBadge({ label, status, value, size, theme }) {
+  const { height, font } = BADGE_SIZES[size] || BADGE_SIZES.small;
+  const colors = BADGE_THEMES[theme] || BADGE_THEMES.dark;
+  const fill = (STATUS_COLORS[status] || STATUS_COLORS.unknown).bg;
+  const text = value || STATUS_LABELS[status] || status;
+  const pad = Math.round(font * 0.7);
+  const labelWidth = Math.ceil(label.length * font * 0.6) + 2 * pad;
+  const width = labelWidth + Math.ceil(text.length * font * 0.6) + 2 * pad;
+  const baseline = Math.round(height / 2 + font * 0.35);
+  const title = escapeXml(`${label}: ${text}`);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" role="img" aria-label="${title}">`
+    + `<title>${title}</title>`
+    + `<clipPath id="r"><rect width="${width}" height="${height}" rx="${Math.round(height / 5)}"/></clipPath>`
+    + `<g clip-path="url(#r)"><rect width="${labelWidth}" height="${height}" fill="${colors.label}"/>`
+    + `<rect x="${labelWidth}" width="${width - labelWidth}" height="${height}" fill="${fill}"/></g>`
+    + `<g font-family="'Segoe UI', system-ui, sans-serif" font-size="${font}" font-weight="600">`
+    + `<text x="${pad}" y="${baseline}" fill="${colors.text}">${escapeXml(label)}</text>`
+    + `<text x="${labelWidth + pad}" y="${baseline}" fill="#ffffff">${escapeXml(text)}</text></g></svg>`;
+}
+
+// ─── EXPORTS & SLA REPORTS ───────────────────────────────────────────────────
+// Each dataset's columns are shared by its CSV and JSON exports, so both carry
+// the same fields. Times are ISO 8601 in UTC.
+const isoTime = (t) => (Number.isFinite(t) ? new Date(t).toISOString() : null);
+const percent = (ratio) => (ratio === null || ratio === undefined ? null : Math.round(ratio * 1e5) / 1e3);
+
+export const EXPORT_COLUMNS = {
+  services: [
+    ["group",          (s) => s.repo],
+    ["service",        (s) => s.name],
+    ["status",         (s) => s.status],
+    ["responseTimeMs", (s) => s.responseTime],
+    ["uptimeDay",      (s) => s.uptimes?.day],
+    ["uptimeWeek",     (s) => s.uptimes?.week],
+    ["uptimeMonth",    (s) => s.uptimes?.month],
+    ["uptimeYear",     (s) => s.uptimes?.year],
+    ["uptimeAll",      (s) => s.uptime],
+    ["staleSince",     (s) => isoTime(s.staleSince)],
+    ["url",            (s) => s.url],
+  ],
+  history: [
+    ["at",             (t) => isoTime(t.at)],
+    ["group",          (t) => t.repo],
+    ["service",        (t) => t.name],
+    ["from",           (t) => t.from],
+    ["to",             (t) => t.to],
+    ["responseTimeMs", (t) => t.responseTime],
+  ],
+  incidents: [
+    ["group",           (i) => i.repo],
+    ["id",              (i) => i.id],
+    ["title",           (i) => i.title],
+    ["state",           (i) => i.state],
+    ["createdAt",       (i) => i.createdAt],
+    ["closedAt",        (i) => i.closedAt],
+    ["durationMinutes", (i) => Math.round(incidentDuration(i) / 60_000)],
+    ["labels",          (i) => (i.labels || []).map((l) => l.name).join("; ")],
+    ["url",             (i) => i.url],
+  ],
+  sla: [
+    ["group",           (r) => r.repo],
+    ["service",         (r) => r.name],
+    ["uptimePercent",   (r) => percent(r.uptime)],
+    ["uptimeBasis",     (r) => r.basis],
+    ["downtimeMinutes", (r) => r.downtimeMinutes],
+    ["incidents",       (r) => r.incidents],
+    ["outages",         (r) => r.outages],
+    ["mttrMinutes",     (r) => (r.mttr === null ? null : Math.round(r.mttr / 60_000))],
+  ],
+};
+
+export function exportRecords(kind, rows) {
+  return rows.map((row) => Object.fromEntries(EXPORT_COLUMNS[kind].map(([key, get]) => [key, get(row) ?? null])));
+}
+
+// Spreadsheets run cells starting with = + - @ as formulas, and incident titles
+// come from issues anyone can open, so such text is prefixed with a quote.
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180: CRLF line ends, header row first.
+export function toCsv(kind, rows) {
+  const header = EXPORT_COLUMNS[kind].map(([key]) => key);
+  const lines = exportRecords(kind, rows).map((record) => header.map((key) => csvCell(record[key])).join(","));
+  return [header.join(","), ...lines].join("\r\n") + "\r\n";
+}
+
+// `from` and `to` are times in ms (null for open-ended), `repo` a source label
+// or "". The service snapshot is the present, so only the repo applies to it.
+export function filterExport(kind, rows, { from = null, to = null, repo = "" }) {
+  const at = { history: (t) => t.at, incidents: (i) => Date.parse(i.createdAt) }[kind];
+  return rows.filter((row) => {
+    if (repo && row.repo !== repo) return false;
+    if (!at) return true;
+    const t = at(row);
+    return (from === null || t >= from) && (to === null || t < to);
+  });
+}
+
+// "YYYY-MM" → that calendar month in local time, end exclusive.
+export function monthBounds(month) {
+  const [y, m] = month.split("-").map(Number);
+  return { from: new Date(y, m - 1, 1).getTime(), to: new Date(y, m, 1).getTime() };
+}
+
+// Per-service uptime for a month. Upptime keeps its own daily downtime
+// (UTC days), which covers time this browser wasn't watching; other sources
+// fall back to outages in the local transition history. Incidents count
+// those opened during the month that name the service; `incidents` in the
+// summary counts every incident opened, named or not. The current month is
+// measured up to `now`.
+export function slaReport({ services, transitions, incidents, month, now = Date.now() }) {
+  const bounds = monthBounds(month);
+  const range = { from: bounds.from, to: Math.min(bounds.to, now) };
+  const spans = Object.fromEntries(outageSpans(transitions, range).map((row) => [row.id, row.spans]));
+  const opened = incidents.filter((i) => {
+    const t = Date.parse(i.createdAt);
+    return t >= bounds.from && t < bounds.to;
+  });
+  const minutes = Math.max(0, (range.to - range.from) / 60_000);
+
+  const rows = services.map((svc) => {
+    const recorded = reliabilityStats(spans[svc.id] || [], range);
+    const upptime = svc.sourceType === "upptime";
+    const downtimeMinutes = upptime
+      ? Object.entries(svc.dailyMinutesDown || {}).filter(([day]) => day.startsWith(month)).reduce((sum, [, m]) => sum + m, 0)
+      : Math.round(recorded.downtime / 60_000);
+    return {
+      id: svc.id,
+      repo: svc.repo,
+      name: svc.name,
+      basis: upptime ? "upptime" : "recorded",
+      uptime: minutes > 0 ? Math.max(0, 1 - downtimeMinutes / minutes) : null,
+      downtimeMinutes,
+      incidents: opened.filter((i) => incidentMentions(i, svc)).length,
+      outages: recorded.outages,
+      mttr: recorded.mttr,
+    };
+  });
+
+  const measured = rows.filter((r) => r.uptime !== null);
+  return {
+    month,
+    from: range.from,
+    to: range.to,
+    rows,
+    incidents: opened.length,
+    meanUptime: measured.length ? measured.reduce((sum, r) => sum + r.uptime, 0) / measured.length : null,
+  };
+}
+
+// ─── ALERT LOG ───────────────────────────────────────────────────────────────
+// Every alert sent is recorded per user so a reload neither repeats an
+// announcement nor forgets one. Entries are grouped into "families" — one rule
+// condition on one service, or one incident — and a family is only announced
+// when its kind changes (down → up), with at most one trigger per cooldown.
+export const ALERT_LOG_LIMIT = 500;
+export const TRIGGER_KINDS = ["down", "slow", "lowUptime", "flapping"];
+
+export function alertFamily(e) {
+  const subject = e.service ? e.service.id : incidentKey(e.incident);
+  return `${e.rule.condition.type}|${subject}`;
+}
+
+export function lastAlertKinds(log) {
+  const last = new Map();
+  log.entries.forEach((en) => last.set(en.family, en));
+  return last;
+}
+
+// After a reload, rules that had announced a still-open condition start active,
+// so they stay quiet while it holds and announce the recovery when it clears.
+export function seedRuleState(rules, services, log) {
+  const last = lastAlertKinds(log);
+  const active = {};
+  rules.filter((r) => r.enabled && r.condition.type !== "incident").forEach((rule) => {
+    services.filter((svc) => ruleTargets(rule, svc)).forEach((svc) => {
+      const entry = last.get(`${rule.condition.type}|${svc.id}`);
+      if (entry && TRIGGER_KINDS.includes(entry.kind)) active[`${rule.id}|${svc.id}`] = true;
+    });
+  });
+  return { streaks: {}, active };
+}
+
+// Pure: decides which events go out now. Triggers inside a family's cooldown are
+// held in `deferred` and retried on later polls unless superseded; recoveries
+// always go out at once. `silent`
+// records events without sending them (priming on first run).
+export function gateAlerts(events, log, deferred, { cooldownMs, now = Date.now(), silent = false }) {
+  const last = lastAlertKinds(log);
+  const pending = new Map(Object.entries(deferred));
+  events.forEach((e) => pending.set(alertFamily(e), e));
+
+  const send = [];
+  const entries = [...log.entries];
+  const nextDeferred = {};
+  pending.forEach((e, family) => {
+    const prev = last.get(family);
+    if (prev && prev.kind === e.kind) return;
+    if (!silent && prev && TRIGGER_KINDS.includes(e.kind) && now - prev.at < cooldownMs) {
+      nextDeferred[family] = e;
+      return;
+    }
+    entries.push({
+      family,
+      kind: e.kind,
+      subject: e.service ? e.service.name : e.incident.title,
+      group: e.service ? e.service.repo : e.incident.repo,
+      severity: e.severity,
+      at: now,
+      ...(silent ? { silent: true } : {}),
+    });
+    if (!silent) send.push(e);
+  });
+
+  const changed = !log.initialized || entries.length !== log.entries.length;
+  return {
+    send,
+    log: changed ? { initialized: true, entries: entries.slice(-ALERT_LOG_LIMIT) } : log,
+    deferred: nextDeferred,
+  };
+}
+
+// ─── POLL PIPELINE ───────────────────────────────────────────────────────────
+// Everything one poll does after fetching, shared by the open app and the
+// background service worker. `state` carries over between polls:
+//   { machines, ruleState, log, deferred, seen: ["<repo>#<id>"], first }
+export function initialPollState(log) {
+  return { machines: {}, ruleState: { streaks: {}, active: {} }, log, deferred: {}, seen: [], first: true };
+}
+
+// `previous` is the last call's `results`. A source that fails keeps its last
+// good services, incidents and maintenance windows, marked with `staleSince`,
+// and its health says why. The merged services already show the sources' own
+// maintenance windows.
+//   health: { ok, lastAttempt, lastSuccess, latencyMs, httpStatus, lastError: { message, at }, warning, staleSince }
+// Sources are fetched in parallel, each given `timeoutMs` to answer. With
+// `due` (a list of source ids) only those are fetched; the others keep their
+// previous result, so the return value always covers every source. `fetch`,
+// `github` and `now` replace the global fetch, the shared GitHub client and
+// the clock. `lists` limits the Upptime issue lists read (see
+// fetchRepoServices), the only calls that count against the GitHub API quota.
+export async function fetchSources(sources, previous = {}, { due = null, timeoutMs = POLL_DEFAULTS.timeoutSeconds * 1000, ...io } = {}) {
+  const now = io.now || Date.now;
+  const entries = await Promise.all(sources.map(async (source) => {
+    const prev = previous[source.id];
+    if (due && !due.includes(source.id) && prev) return [source.id, prev];
+    const started = now();
+    try {
+      const data = await fetchWithTimeout(source, timeoutMs, io);
+      const at = now();
+      return [source.id, {
+        services: data.services,
+        incidents: data.incidents ?? prev?.incidents ?? [],
+        maintenance: data.maintenance ?? prev?.maintenance ?? [],
+        health: {
+          ok: true,
+          lastAttempt: at,
+          lastSuccess: at,
+          latencyMs: at - started,
+          httpStatus: 200,
+          lastError: prev?.health.lastError ?? null,
+          warning: data.warnings?.length ? data.warnings.join("; ") : null,
+          staleSince: null,
+        },
+      }];
+    } catch (e) {
+      const at = now();
+      const staleSince = prev?.health.staleSince ?? at;
+      return [source.id, {
+        services: (prev?.services || []).map((s) => ({ ...s, staleSince })),
+        incidents: prev?.incidents || [],
+        maintenance: prev?.maintenance || [],
+        health: {
+          ok: false,
+          lastAttempt: at,
+          lastSuccess: prev?.health.lastSuccess ?? null,
+          latencyMs: at - started,
+          httpStatus: e.status ?? null,
+          lastError: { message: e.message, at },
+          warning: null,
+          staleSince,
+        },
+      }];
+    }
+  }));
+
+  const results = Object.fromEntries(entries);
+  const all = Object.values(results);
+  const maintenance = all.flatMap((r) => r.maintenance || []);
+  return {
+    services: applyMaintenance(all.flatMap((r) => r.services), maintenance, now()),
+    incidents: all.flatMap((r) => r.incidents),
+    maintenance,
+    results,
+  };
+}
+
+async function fetchWithTimeout(source, timeoutMs, io) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await SOURCE_ADAPTERS[source.type].fetch(source, { ...io, signal: controller.signal });
+  } catch (e) {
+    if (controller.signal.aborted) throw new FetchError(`No answer within ${timeoutMs / 1000} s`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// `maintenance` holds the user's own windows, on top of the sources' ones.
+export function processPoll({ services, incidents }, { rules, alerting, maintenance = [] }, state, now = Date.now()) {
+  const tracked = trackTransitions(applyMaintenance(services, maintenance, now), state.machines, alerting, now);
+
+  // On the first poll of a session, rule state is rebuilt from the alert log.
+  // A user's very first run only primes the log: whatever is already down
+  // when the app is first opened isn't news.
+  const prime = !state.log.initialized;
+  const ruleState = state.first ? seedRuleState(rules, tracked.services, state.log) : state.ruleState;
+  const seen = new Set(state.seen);
+  // Incidents opened about a service under maintenance are expected: they're
+  // marked seen without an alert. Alerts a cooldown held back wait out the window.
+  const maintained = new Set(tracked.services.filter((svc) => svc.status === "maintenance").map((svc) => svc.id));
+  const expected = (inc) => tracked.services.some((svc) => maintained.has(svc.id) && incidentMentions(inc, svc));
+  const newIncidents = incidents.filter((inc) => inc.state === "open" && !seen.has(incidentKey(inc)) && !expected(inc));
+  const evaluated = evaluateRules(rules, tracked.services, newIncidents, ruleState, { prime });
+
+  const waiting = Object.entries(state.deferred);
+  const held = ([, e]) => e.service && maintained.has(e.service.id);
+  const gated = gateAlerts(evaluated.events, state.log, Object.fromEntries(waiting.filter((w) => !held(w))), {
+    cooldownMs: alerting.cooldownMinutes * 60_000, now, silent: prime,
+  });
+  incidents.forEach((inc) => seen.add(incidentKey(inc)));
+
+  return {
+    services: tracked.services,
+    transitions: tracked.transitions,
+    send: gated.send,
+    state: {
+      machines: tracked.machines,
+      ruleState: evaluated.state,
+      log: gated.log,
+      deferred: { ...Object.fromEntries(waiting.filter(held)), ...gated.deferred },
+      seen: [...seen],
+      first: false,
+    },
+  };
+}
+
+// Channels an alert goes to: those its severity maps to, and during quiet
+// hours only critical alerts get through.
+export function alertChannels(event, { severityChannels, quietHours }, date = new Date()) {
+  if (event.severity !== "critical" && inQuietHours(quietHours, date)) return [];
+  return severityChannels[event.severity] || [];
+}
+
+// Rate-limit key: one per service, or per incident.
+export function alertKey(event) {
+  return event.service ? event.service.id : `incident:${incidentKey(event.incident)}`;
+}
+
+// App-relative paths of a service's and an incident's page, as the app's
+// router reads them: /services/:repo/:slug and /incidents/:repo/:number.
+export function servicePath(svc) {
+  return `services/${slugify(svc.repo)}/${svc.slug || slugify(svc.name)}`;
+}
+
+export function incidentPath(inc) {
+  return `incidents/${slugify(inc.repo)}/${encodeURIComponent(inc.id)}`;
+}
+
+// Where clicking an alert should take the user.
+export function alertLink(event) {
+  return event.service ? servicePath(event.service) : incidentPath(event.incident);
+}
+
+// The tab and the service worker each record alerts they send; both keep the
+// union, in time order.
+export function mergeAlertLogs(a, b) {
+  const seen = new Set();
+  const entries = [...a.entries, ...b.entries]
+    .sort((x, y) => x.at - y.at)
+    .filter((en) => {
+      const key = `${en.family}|${en.kind}|${en.at}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  const merged = { initialized: a.initialized || b.initialized, entries: entries.slice(-ALERT_LOG_LIMIT) };
+  return merged.entries.length === a.entries.length && merged.initialized === a.initialized ? a : merged;
+}
+
+// ─── POLL SCHEDULER ──────────────────────────────────────────────────────────
+// Decides when each source is fetched next. A source is due its interval
+// after its last fetch: its own `intervalSeconds` if set, otherwise the
+// user's. While any service is down the interval drops to `downSeconds`, so a
+// recovery shows up sooner; while the tab is hidden it is multiplied by
+// `hiddenFactor`. A failing source backs off exponentially, with jitter so
+// tabs across the district don't retry in step.
+export const POLL_DEFAULTS = { intervalSeconds: 60, downSeconds: 20, hiddenFactor: 5, timeoutSeconds: 15, maxBackoffSeconds: 900 };
+export const POLL_LIMITS = { minSeconds: 10, maxSeconds: 3600 }; // for any interval a user sets
+// What a user may set each of POLL_DEFAULTS to, as [min, max].
+export const POLL_RANGES = {
+  intervalSeconds:   [POLL_LIMITS.minSeconds, POLL_LIMITS.maxSeconds],
+  downSeconds:       [POLL_LIMITS.minSeconds, POLL_LIMITS.maxSeconds],
+  hiddenFactor:      [1, 20],
+  timeoutSeconds:    [1, 120],
+  maxBackoffSeconds: [POLL_LIMITS.minSeconds, 6 * POLL_LIMITS.maxSeconds],
+};
+const BACKOFF_JITTER = 0.25;
+
+export function pollInterval(source, settings, { anyDown = false, hidden = false } = {}) {
+  let seconds = source.intervalSeconds || settings.intervalSeconds;
+  if (anyDown) seconds = Math.min(seconds, settings.downSeconds);
+  if (hidden) seconds *= settings.hiddenFactor;
+  return seconds * 1000;
+}
+
+// Delay after the nth failure in a row: the interval doubled n times, capped, ±25 %.
+export function backoffDelay(intervalMs, failures, settings, random = Math.random) {
+  const delay = Math.max(intervalMs, Math.min(intervalMs * 2 ** failures, settings.maxBackoffSeconds * 1000));
+  return Math.round(delay * (1 + BACKOFF_JITTER * (2 * random() - 1)));
+}
+
+// `run(due)` fetches the given sources and resolves to fetchSources' result.
+// Polls never overlap: pollNow() during a poll returns the one in flight.
+// `onChange` gets status() whenever the plan changes.
+export function createPollScheduler({
+  run,
+  sources = [],
+  settings = POLL_DEFAULTS,
+  onChange = () => {},
+  clock = { now: () => Date.now(), setTimeout: (fn, ms) => setTimeout(fn, ms), clearTimeout: (t) => clearTimeout(t) },
+  random = Math.random,
+}) {
+  let plan = {}; // source id → { lastAt, failures, backoffMs }
+  let anyDown = false;
+  let hidden = false;
+  let running = null;
+  let timer = null;
+  let stopped = true;
+
+  const dueAt = (source) => {
+    const p = plan[source.id];
+    if (!p) return -Infinity;
+    return p.lastAt + (p.failures ? p.backoffMs : pollInterval(source, settings, { anyDown, hidden }));
+  };
+
+  const status = () => ({
+    running: running !== null,
+    anyDown,
+    hidden,
+    nextAt: running || stopped || sources.length === 0 ? null : Math.max(clock.now(), Math.min(...sources.map(dueAt))),
+    sources: Object.fromEntries(sources.map((src) => [src.id, { failures: 0, ...plan[src.id], nextAt: dueAt(src) }])),
+  });
+
+  function schedule() {
+    clock.clearTimeout(timer);
+    timer = null;
+    if (!stopped && !running && sources.length > 0) {
+      const wait = Math.max(0, Math.min(...sources.map(dueAt)) - clock.now());
+      timer = clock.setTimeout(() => tick().catch(() => {}), wait);
+    }
+    onChange(status());
+  }
+
+  function record(due, data) {
+    const at = clock.now();
+    if (data) anyDown = data.services.some((s) => s.status === "down");
+    due.filter((src) => sources.some((s) => s.id === src.id)).forEach((src) => {
+      const ok = data?.results[src.id]?.health.ok === true;
+      const failures = ok ? 0 : (plan[src.id]?.failures || 0) + 1;
+      const backoffMs = ok ? 0 : backoffDelay(pollInterval(src, settings, { anyDown, hidden }), failures, settings, random);
+      plan[src.id] = { lastAt: at, failures, backoffMs };
+    });
+  }
+
+  function tick(force = false) {
+    if (running) return running;
+    const now = clock.now();
+    const due = force ? sources : sources.filter((src) => dueAt(src) <= now);
+    if (due.length === 0) {
+      schedule();
+      return Promise.resolve(null);
+    }
+    clock.clearTimeout(timer);
+    running = run(due)
+      .then((data) => {
+        record(due, data);
+        return data;
+      }, (err) => {
+        record(due, null);
+        throw err;
+      })
+      .finally(() => {
+        running = null;
+        schedule();
+      });
+    onChange(status());
+    return running;
+  }
+
+  return {
+    status,
+    start() {
+      stopped = false;
+      schedule();
+    },
+    stop() {
+      stopped = true;
+      schedule();
+    },
+    pollNow: () => tick(true),
+    // Sources whose definition changed are fetched again at once; so are new ones.
+    update(next) {
+      if (next.sources) {
+        const before = new Map(sources.map((src) => [src.id, JSON.stringify(src)]));
+        sources = next.sources;
+        plan = Object.fromEntries(sources
+          .filter((src) => plan[src.id] && before.get(src.id) === JSON.stringify(src))
+          .map((src) => [src.id, plan[src.id]]));
+      }
+      if (next.settings) settings = next.settings;
+      if ("hidden" in next) hidden = next.hidden;
+      if (!running) schedule();
+      else onChange(status());
+    },
+  };
+}
+
+// ─── PREFERENCES ─────────────────────────────────────────────────────────────
+// The per-user settings document the app stores and exports. Bump
+// PREFS_VERSION and append to PREFS_MIGRATIONS whenever the shape changes;
+// PREFS_MIGRATIONS[n - 1] upgrades a version n document to n + 1 (version 1
+// was the first one saved).
+export const START_PAGES = ["dashboard", "incidents", "timeline", "reports", "settings"];
+
+export const PREFS_VERSION = 7;
+
+export const DEFAULT_PREFS = {
+  version: PREFS_VERSION,
+  channels: {
+    desktop: true,
+    email: { address: "", verified: false, enabled: false },
+    sms:   { address: "", verified: false, enabled: false },
+  },
+  rules: DEFAULT_RULES,
+  severityChannels: {
+    info:     ["desktop"],
+    warning:  ["desktop", "email", "webhook"],
+    critical: ["desktop", "email", "sms", "webhook"],
+  },
+  quietHours: { enabled: false, start: "22:00", end: "07:00" },
+  defaultPage: "dashboard",
+  // Noise control: a status must hold for `confirmPolls` polls before it counts;
+  // `flapThreshold` changes within the last `flapWindow` polls marks a service as flapping.
+  alerting: DEFAULT_ALERTING,
+  // Keep polling from the service worker when no tab is open (sw.js), woken by
+  // periodic sync and, with `push`, by the relay when a status changes.
+  background: { enabled: false, push: false },
+  // How often sources are checked (see POLL SCHEDULER).
+  polling: POLL_DEFAULTS,
+  // Slack, Teams, Discord and JSON endpoints (see WEBHOOKS).
+  webhooks: [],
+  // The user's own maintenance windows (see MAINTENANCE WINDOWS).
+  maintenance: [],
+};
+
+const PREFS_MIGRATIONS = [
+  // 1 → 2: subscriptions and critical services became alert rules.
+  ({ subscriptions = { groups: [], services: [] }, criticalServices = [], ...old }) => {
+    const targets = subscriptions.groups.length || subscriptions.services.length
+      ? [
+          ...subscriptions.groups.map((value) => ({ type: "group", value })),
+          ...subscriptions.services.map((value) => ({ type: "service", value })),
+        ]
+      : [{ type: "all" }];
+    const rules = [
+      ...targets.map((target) => newRule({ target, condition: { type: "down", polls: 1 }, severity: "warning" })),
+      ...targets.filter((t) => t.type !== "service").map((target) => newRule({ target, condition: { type: "incident" }, severity: "warning" })),
+      ...criticalServices.map((value) => newRule({ target: { type: "service", value }, condition: { type: "down", polls: 1 }, severity: "critical" })),
+    ];
+    const severityChannels = { info: ["desktop"], warning: ["desktop", "email"], critical: ["desktop", "email", "sms"] };
+    return { ...old, version: 2, rules, severityChannels };
+  },
+  // 2 → 3: flap detection and alert cooldown settings.
+  (old) => ({ ...old, version: 3, alerting: DEFAULT_PREFS.alerting }),
+  // 3 → 4: background monitoring.
+  (old) => ({ ...old, version: 4, background: DEFAULT_PREFS.background }),
+  // 4 → 5: polling schedule.
+  (old) => ({ ...old, version: 5, polling: DEFAULT_PREFS.polling }),
+  // 5 → 6: webhooks, a channel for warning and critical alerts.
+  (old) => ({
+    ...old,
+    version: 6,
+    webhooks: [],
+    severityChannels: Object.fromEntries(Object.entries(old.severityChannels || DEFAULT_PREFS.severityChannels)
+      .map(([sev, list]) => [sev, sev === "info" || list.includes("webhook") ? list : [...list, "webhook"]])),
+  }),
+  // 6 → 7: local maintenance windows.
+  (old) => ({ ...old, version: 7, maintenance: [] }),
+];
+
+export function migratePrefs(doc) {
+  let prefs = { ...doc };
+  let { version } = prefs;
+  if (!Number.isInteger(version) || version < 1) throw new Error("Not an HCPSS Monitor settings file (no version)");
+  if (version > PREFS_VERSION) throw new Error(`Settings file is from a newer version (${version})`);
+  while (version < PREFS_VERSION) {
+    try {
+      prefs = PREFS_MIGRATIONS[version - 1](prefs);
+    } catch {
+      throw new Error(`Couldn't upgrade these settings from version ${version}`);
+    }
+    version = prefs.version;
+  }
+  return withDefaultPrefs(prefs);
+}
+
+function withDefaultPrefs(prefs) {
+  return {
+    ...DEFAULT_PREFS,
+    ...prefs,
+    channels: {
+      ...DEFAULT_PREFS.channels,
+      ...prefs.channels,
+      email: { ...DEFAULT_PREFS.channels.email, ...prefs.channels?.email },
+      sms:   { ...DEFAULT_PREFS.channels.sms,   ...prefs.channels?.sms },
+    },
+    severityChannels: { ...DEFAULT_PREFS.severityChannels, ...prefs.severityChannels },
+    quietHours: { ...DEFAULT_PREFS.quietHours, ...prefs.quietHours },
+    alerting: { ...DEFAULT_PREFS.alerting, ...prefs.alerting },
+    background: { ...DEFAULT_PREFS.background, ...prefs.background },
+    polling: { ...DEFAULT_PREFS.polling, ...prefs.polling },
+  };
+}
+
+// Settings files can hold anything. Each list keeps only the entries the app
+// can use, with missing fields filled in, and a setting with the wrong type or
+// out of range falls back to its default; both count as `skipped`. A list
+// that isn't one throws.
+const isObject = (v) => typeof v === "object" && v !== null && !Array.isArray(v);
+const isTarget = (t) => isObject(t) && (t.type === "all" || (["group", "service"].includes(t.type) && typeof t.value === "string"));
+const isTime = (v) => v == null || v === "" || (typeof v === "string" && !Number.isNaN(Date.parse(v)));
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const PREFS_LISTS = {
+  rules: {
+    name: "alert rules",
+    valid: (r) => {
+      const condition = isObject(r.condition) && Object.hasOwn(RULE_CONDITIONS, r.condition.type) && RULE_CONDITIONS[r.condition.type];
+      return isTarget(r.target) && !!condition && (!condition.param || Number.isFinite(r.condition[condition.param])) && SEVERITIES.includes(r.severity);
+    },
+    fill: newRule,
+  },
+  webhooks: {
+    name: "webhooks",
+    valid: (h) => Object.hasOwn(WEBHOOK_FORMATS, h.format) && typeof (h.url ?? "") === "string"
+      && (h.filter === undefined || (isObject(h.filter) && [h.filter.groups, h.filter.services].every((l) => l === undefined || Array.isArray(l)))),
+    fill: (h) => newWebhook({ ...h, filter: { groups: [], services: [], ...h.filter } }),
+  },
+  maintenance: {
+    name: "maintenance windows",
+    valid: (w) => isTime(w.start) && isTime(w.end) && (w.targets === undefined || (Array.isArray(w.targets) && w.targets.every(isTarget))),
+    fill: newMaintenanceWindow,
+  },
+};
+
+// Settings that aren't lists: what each value must be, by section.
+const inRange = (min, max = Infinity) => (v) => Number.isFinite(v) && v >= min && v <= max;
+const isBoolean = (v) => typeof v === "boolean";
+const PREFS_VALUES = {
+  quietHours: { enabled: isBoolean, start: (v) => HHMM.test(v), end: (v) => HHMM.test(v) },
+  alerting: Object.fromEntries(Object.keys(DEFAULT_ALERTING).map((key) => [key, inRange(1)])),
+  background: { enabled: isBoolean, push: isBoolean },
+  polling: Object.fromEntries(Object.entries(POLL_RANGES).map(([key, [min, max]]) => [key, inRange(min, max)])),
+};
+
+export function normalizePrefs(prefs) {
+  let skipped = 0;
+  const checked = (valid, value, fallback) => {
+    if (valid(value)) return value;
+    skipped++;
+    return fallback;
+  };
+  const lists = Object.fromEntries(Object.entries(PREFS_LISTS).map(([key, { name, valid, fill }]) => {
+    const list = prefs[key];
+    if (!Array.isArray(list)) throw new Error(`The ${name} in this settings file aren't a list`);
+    const kept = list.filter((entry) => isObject(entry) && valid(entry));
+    skipped += list.length - kept.length;
+    return [key, kept.map(fill)];
+  }));
+  const values = Object.fromEntries(Object.entries(PREFS_VALUES).map(([section, fields]) => [
+    section,
+    Object.fromEntries(Object.entries(fields).map(([key, valid]) => [key, checked(valid, prefs[section][key], DEFAULT_PREFS[section][key])])),
+  ]));
+  const channel = (c, fallback) => {
+    const { address, verified, enabled } = checked((v) => typeof v.address === "string", c, fallback);
+    return { address, verified: verified === true, enabled: enabled === true };
+  };
+  const severityChannels = Object.fromEntries(SEVERITIES.map((sev) => {
+    const list = checked(Array.isArray, prefs.severityChannels[sev], DEFAULT_PREFS.severityChannels[sev]);
+    return [sev, list.filter((ch) => ALERT_CHANNELS.includes(ch))];
+  }));
+  const { email, sms } = prefs.channels;
+  return {
+    prefs: {
+      ...prefs,
+      ...lists,
+      ...values,
+      defaultPage: checked((v) => START_PAGES.includes(v), prefs.defaultPage, DEFAULT_PREFS.defaultPage),
+      channels: {
+        desktop: prefs.channels.desktop !== false,
+        email: channel(email, DEFAULT_PREFS.channels.email),
+        sms:   channel(sms, DEFAULT_PREFS.channels.sms),
+      },
+      severityChannels,
+    },
+    skipped,
+  };
+}
+
+// Reads an exported settings file (or a bare settings document). Throws an
+// error fit to show the user when it can't be used at all.
+export function readPrefsFile(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new Error("The file isn't JSON");
+  }
+  const incoming = isObject(doc?.prefs) ? doc.prefs : doc;
+  if (!isObject(incoming)) throw new Error("Not an HCPSS Monitor settings file");
+  return normalizePrefs(migratePrefs(incoming));
+}
+
+// ─── MONITOR ─────────────────────────────────────────────────────────────────
+// The fetch → detect → alert pipeline behind one object with events, for
+// programs that don't have the app around them (the CLI, chat bots, tests).
+export function createEmitter() {
+  const listeners = new Map(); // event → Set of handlers
+  return {
+    on(event, fn) {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(fn);
+      return () => listeners.get(event).delete(fn);
+    },
+    emit(event, payload) {
+      listeners.get(event)?.forEach((fn) => fn(payload));
+    },
+  };
+}
+
+// Events:
+//   "transition"   { id, name, repo, from, to, at, responseTime } (see trackTransitions)
+//   "alert"        an alert event that passed the rules and cooldowns (see gateAlerts)
+//   "source-error" { source, error: { message, at } } for each source that failed
+//   "poll"         { services, incidents, maintenance, results, transitions, alerts } after every poll
+// Without a `log`, the first poll only primes: whatever is already down isn't news.
+// `maintenance` adds windows of the caller's own to those the sources publish.
+export function createMonitor({
+  sources = DEFAULT_SOURCES,
+  rules = DEFAULT_RULES,
+  alerting = DEFAULT_ALERTING,
+  maintenance = [],
+  log = { initialized: false, entries: [] },
+  timeoutMs = POLL_DEFAULTS.timeoutSeconds * 1000,
+  fetch: fetchImpl,
+  github: client,
+  now = Date.now,
+} = {}) {
+  const events = createEmitter();
+  let results = {};
+  let state = initialPollState(log);
+
+  async function poll({ due = null } = {}) {
+    const data = await fetchSources(sources, results, { due, timeoutMs, fetch: fetchImpl, github: client, now });
+    results = data.results;
+    const result = processPoll(data, { rules, alerting, maintenance }, state, now());
+    state = result.state;
+
+    sources.filter((source) => !due || due.includes(source.id)).forEach((source) => {
+      const { health } = results[source.id];
+      if (!health.ok) events.emit("source-error", { source, error: health.lastError });
+    });
+    result.transitions.forEach((t) => events.emit("transition", t));
+    result.send.forEach((e) => events.emit("alert", e));
+    const summary = {
+      services: result.services,
+      incidents: data.incidents,
+      maintenance: [...data.maintenance, ...maintenance],
+      results,
+      transitions: result.transitions,
+      alerts: result.send,
+    };
+    events.emit("poll", summary);
+    return summary;
+  }
+
+  return {
+    on: events.on,
+    poll,
+    get log() {
+      return state.log;
+    },
+  };
+}
@@ -0,0 +1,36 @@
+import { RawResponse } from "./util.js";
+import { DEFAULT_SOURCES, fetchSources, badgeSubject, renderBadge } from "../monitor-core.js";
+
+const CACHE_S = 60;
+
+// GET /badge.svg?service=Canvas&group=Main%20Services&size=medium&theme=light
+// An image for pages that can't run scripts. Every badge is drawn from one
+// shared fetch of the default sources' statuses and maintenance windows (no
+// incidents), refreshed at most once a minute.
+export function createBadgeRoutes() {
+  let services = [];
+  let results = {};
+  let fetchedAt = 0;
+  let pending = null;
+
+  async function current() {
+    if (Date.now() - fetchedAt > CACHE_S * 1000) {
+      pending ??= fetchSources(DEFAULT_SOURCES, results, { lists: ["maintenance"] }).then((data) => {
+        results = data.results;
+        services = data.services;
+        fetchedAt = Date.now();
+      }).finally(() => { pending = null; });
+      await pending;
+    }
+    return services;
+  }
+
+  return {
+    "GET /badge.svg": async (_body, req) => {
+      const q = new URL(req.url, "http://relay").searchParams;
+      const subject = badgeSubject(await current(), { group: q.get("group"), service: q.get("service") });
+      const svg = renderBadge({ ...subject, size: q.get("size"), theme: q.get("theme") });
+      return new RawResponse("image/svg+xml; charset=utf-8", svg, { "Cache-Control": `public, max-age=${CACHE_S}` });
+    },
+  };
+}
@@ -0,0 +1,173 @@
+import fs from "node:fs";
+import net from "node:net";
+import tls from "node:tls";
+import os from "node:os";
+import path from "node:path";
+import { RelayError, createRateLimiter, createCodeStore, jsonStore } from "./util.js";
+
+const CODE_TTL_MS = 15 * 60_000;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// ─── TRANSPORTS ──────────────────────────────────────────────────────────────
+// smtp:   any SMTP relay (STARTTLS and AUTH LOGIN when offered / configured).
+// outbox: local mail-catcher stand-in — writes each message as an .eml file.
+export function createMailTransport(env = process.env) {
+  const from = env.MAIL_FROM || "HCPSS Status Monitor <status-monitor@localhost>";
+  if (env.MAIL_TRANSPORT === "smtp" || (env.SMTP_HOST && env.MAIL_TRANSPORT !== "outbox")) {
+    const config = {
+      host: env.SMTP_HOST || "localhost",
+      port: Number(env.SMTP_PORT || 587),
+      secure: env.SMTP_SECURE === "true",
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+    };
+    return { name: `smtp://${config.host}:${config.port}`, send: (msg) => smtpSend(config, { from, ...msg }) };
+  }
+  const dir = env.MAIL_OUTBOX || path.join(env.RELAY_DATA_DIR || "relay/data", "outbox");
+  return {
+    name: `outbox:${dir}`,
+    async send(msg) {
+      fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${msg.to.replace(/[^\w.@-]/g, "_")}.eml`);
+      fs.writeFileSync(file, formatMessage({ from, ...msg }));
+      console.log(`[email] ${msg.to}: ${msg.subject} → ${file}`);
+    },
+  };
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+export function formatMessage({ from, to, subject, text }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${os.hostname()}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+  ];
+  return `${headers.join("\r\n")}\r\n\r\n${text.replace(/\r?\n/g, "\r\n")}\r\n`;
+}
+
+// ─── SMTP CLIENT ─────────────────────────────────────────────────────────────
+function smtpSend(config, msg) {
+  return new Promise((resolve, reject) => {
+    let socket = config.secure
+      ? tls.connect({ host: config.host, port: config.port, servername: config.host })
+      : net.connect({ host: config.host, port: config.port });
+    socket.setTimeout(30_000, () => socket.destroy(new Error("SMTP timeout")));
+
+    let buffer = "";
+    let pending = [];
+    const replies = [];
+    const waiters = [];
+    const onData = (chunk) => {
+      buffer += chunk.toString("utf8");
+      let idx;
+      while ((idx = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+        pending.push(line);
+        if (!/^\d{3}-/.test(line)) {
+          const reply = { code: Number(line.slice(0, 3)), text: pending.join("\n") };
+          pending = [];
+          if (waiters.length) waiters.shift()(reply);
+          else replies.push(reply);
+        }
+      }
+    };
+    const attach = (sock) => {
+      sock.on("data", onData);
+      sock.on("error", reject);
+    };
+    const reply = () => new Promise((res) => (replies.length ? res(replies.shift()) : waiters.push(res)));
+    const cmd = async (line, expect) => {
+      if (line !== null) socket.write(line + "\r\n");
+      const r = await reply();
+      if (!expect.includes(r.code)) throw new Error(`SMTP ${r.code}: ${r.text}`);
+      return r;
+    };
+
+    attach(socket);
+    (async () => {
+      await cmd(null, [220]);
+      let ehlo = await cmd(`EHLO ${os.hostname()}`, [250]);
+      if (!config.secure && /STARTTLS/i.test(ehlo.text)) {
+        await cmd("STARTTLS", [220]);
+        socket.removeListener("data", onData);
+        socket = tls.connect({ socket, servername: config.host });
+        attach(socket);
+        ehlo = await cmd(`EHLO ${os.hostname()}`, [250]);
+      }
+      if (config.user) {
+        await cmd("AUTH LOGIN", [334]);
+        await cmd(Buffer.from(config.user).toString("base64"), [334]);
+        await cmd(Buffer.from(config.pass || "").toString("base64"), [235]);
+      }
+      const address = (s) => (s.match(/<([^>]+)>/) || [null, s])[1];
+      await cmd(`MAIL FROM:<${address(msg.from)}>`, [250]);
+      await cmd(`RCPT TO:<${msg.to}>`, [250, 251]);
+      await cmd("DATA", [354]);
+      const body = formatMessage(msg).replace(/^\./gm, "..");
+      await cmd(`${body}\r\n.`, [250]);
+      await cmd("QUIT", [221]).catch(() => {});
+      socket.end();
+    })().then(resolve, (err) => {
+      socket.destroy();
+      reject(err);
+    });
+  });
+}
+
+// ─── ROUTES ──────────────────────────────────────────────────────────────────
+// Addresses must be verified with an emailed code before alerts are sent to them.
+export function createEmailRoutes({ transport, dataDir }) {
+  const verifiedStore = jsonStore(dataDir, "verified-emails.json", []);
+  const verified = new Set(verifiedStore.read());
+  const codes = createCodeStore({ ttlMs: CODE_TTL_MS });
+  const perRecipient = createRateLimiter({ limit: 30, windowMs: 60 * 60_000 });
+  const codeRequests = createRateLimiter({ limit: 5, windowMs: 60 * 60_000 });
+
+  const normalize = (to) => {
+    const addr = String(to || "").trim().toLowerCase();
+    if (!EMAIL_RE.test(addr)) throw new RelayError(400, "Invalid email address");
+    return addr;
+  };
+
+  return {
+    "POST /email/verify": async ({ to }) => {
+      const addr = normalize(to);
+      if (!codeRequests.allow(addr)) throw new RelayError(429, "Too many verification requests");
+      const code = codes.issue(addr);
+      await transport.send({
+        to: addr,
+        subject: "Your HCPSS Status Monitor verification code",
+        text: `Your verification code is ${code}.\n\nIt expires in 15 minutes. If you did not request it, ignore this message.`,
+      });
+      return { sent: true };
+    },
+
+    "POST /email/confirm": async ({ to, code }) => {
+      const addr = normalize(to);
+      if (!codes.check(addr, code)) throw new RelayError(400, "Invalid or expired code");
+      verified.add(addr);
+      verifiedStore.write([...verified]);
+      return { verified: true };
+    },
+
+    "POST /email/status": async ({ to }) => ({ verified: verified.has(normalize(to)) }),
+
+    "POST /email/send": async ({ to, subject, text }) => {
+      const addr = normalize(to);
+      if (!verified.has(addr)) throw new RelayError(403, "Address not verified");
+      if (!subject || !text) throw new RelayError(400, "subject and text are required");
+      if (!perRecipient.allow(addr)) throw new RelayError(429, "Rate limit exceeded for recipient");
+      await transport.send({ to: addr, subject: String(subject).slice(0, 200), text: String(text).slice(0, 10_000) });
+      return { sent: true };
+    },
+  };
+}
@@ -0,0 +1,149 @@
+import crypto from "node:crypto";
+import { RelayError, jsonStore } from "./util.js";
+import { SOURCE_TYPES, POLL_DEFAULTS, fetchSources, github } from "../monitor-core.js";
+
+const MAX_SUBSCRIPTIONS = 1000;
+const MAX_SOURCES = 20;
+const PUSH_TTL_S = 300;
+const PUSH_TIMEOUT_MS = 10_000;
+
+// ─── VAPID ───────────────────────────────────────────────────────────────────
+// The relay identifies itself to push services with an ES256 key pair (RFC 8292),
+// generated on first start and kept in the data dir. Browsers bind each
+// subscription to the public key, so replacing it invalidates every subscription.
+function loadVapidKeys(store) {
+  let saved = store.read();
+  if (!saved) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+    const { x, y } = publicKey.export({ format: "jwk" });
+    const raw = Buffer.concat([Buffer.from([4]), Buffer.from(x, "base64url"), Buffer.from(y, "base64url")]);
+    saved = { publicKey: raw.toString("base64url"), privateJwk: privateKey.export({ format: "jwk" }) };
+    store.write(saved);
+  }
+  return { publicKey: saved.publicKey, privateKey: crypto.createPrivateKey({ key: saved.privateJwk, format: "jwk" }) };
+}
+
+function vapidAuthorization(endpoint, keys, contact) {
+  const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64url");
+  const claims = { aud: new URL(endpoint).origin, exp: Math.floor(Date.now() / 1000) + 12 * 3600, sub: contact };
+  const unsigned = `${encode({ typ: "JWT", alg: "ES256" })}.${encode(claims)}`;
+  const signature = crypto.sign("sha256", Buffer.from(unsigned), { key: keys.privateKey, dsaEncoding: "ieee-p1363" });
+  return `vapid t=${unsigned}.${signature.toString("base64url")}, k=${keys.publicKey}`;
+}
+
+// Pushes carry no payload (so nothing needs encrypting): the service worker
+// treats any push as "poll now". Resolves to the push service's HTTP status.
+async function sendPush(endpoint, keys, contact) {
+  const r = await fetch(endpoint, {
+    method: "POST",
+    headers: { TTL: String(PUSH_TTL_S), Urgency: "high", Authorization: vapidAuthorization(endpoint, keys, contact) },
+    signal: AbortSignal.timeout(PUSH_TIMEOUT_MS),
+  });
+  return r.status;
+}
+
+// ─── SOURCE WATCHING ─────────────────────────────────────────────────────────
+// Subscribers share the fetch of a source they have in common; label and id are
+// the subscriber's own naming and don't change what is fetched.
+function sourceKey({ type, owner, repo, branch, issueLabel, url }) {
+  return JSON.stringify({ type, owner, repo, branch, issueLabel, url });
+}
+
+// The relay can't reach sources the browser resolves relative to the app.
+function watchable(source) {
+  return source.type === "upptime" || /^https?:\/\//.test(source.url || "");
+}
+
+function fingerprint({ services, incidents }) {
+  return [
+    ...services.map((s) => `${s.id}=${s.status}`),
+    ...incidents.filter((i) => i.state === "open").map((i) => `#${i.id}`),
+  ].sort().join("\n");
+}
+
+function validSubscription(subscription) {
+  try {
+    return new URL(subscription.endpoint).protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+export function createPushRelay({ dataDir, env = process.env }) {
+  const keys = loadVapidKeys(jsonStore(dataDir, "vapid.json", null));
+  github.setToken(env.GITHUB_TOKEN);
+  const contact = env.PUSH_CONTACT || "mailto:status-monitor@localhost";
+  const intervalMs = Number(env.PUSH_POLL_SECONDS || 60) * 1000;
+  const store = jsonStore(dataDir, "push-subscriptions.json", []);
+  let subscriptions = store.read();
+  const fingerprints = new Map();
+  let results = {}; // last fetch per source key (see fetchSources)
+
+  const save = (next) => {
+    subscriptions = next;
+    store.write(next);
+  };
+
+  // Sources are fetched in parallel, each within the app's fetch timeout, so
+  // one that hangs can't hold up the others or the next check.
+  async function check() {
+    const sources = new Map();
+    subscriptions.forEach((sub) => sub.sources.filter(watchable).forEach((s) => sources.set(sourceKey(s), { ...s, id: sourceKey(s) })));
+
+    const data = await fetchSources([...sources.values()], results, { timeoutMs: POLL_DEFAULTS.timeoutSeconds * 1000 });
+    results = data.results;
+    const changed = new Set();
+    sources.forEach((source, key) => {
+      const result = results[key];
+      if (!result.health.ok) return console.error(`[push] ${key}: ${result.health.lastError.message}`);
+      const next = fingerprint(result);
+      if (fingerprints.has(key) && fingerprints.get(key) !== next) changed.add(key);
+      fingerprints.set(key, next);
+    });
+    if (changed.size === 0) return;
+
+    const gone = new Set();
+    const targets = subscriptions.filter((sub) => sub.sources.some((s) => changed.has(sourceKey(s))));
+    await Promise.all(targets.map(async (sub) => {
+      try {
+        const status = await sendPush(sub.endpoint, keys, contact);
+        if (status === 404 || status === 410) gone.add(sub.endpoint);
+        else if (status >= 400) console.error(`[push] ${new URL(sub.endpoint).host} returned HTTP ${status}`);
+      } catch (err) {
+        console.error(`[push] ${new URL(sub.endpoint).host}: ${err.message}`);
+      }
+    }));
+    if (gone.size > 0) save(subscriptions.filter((sub) => !gone.has(sub.endpoint)));
+    console.log(`[push] ${changed.size} source(s) changed; woke ${targets.length - gone.size} subscriber(s)`);
+  }
+
+  // Checks never overlap: the next one is scheduled when the last finishes.
+  function watch() {
+    const tick = () => check().finally(() => setTimeout(tick, intervalMs));
+    tick();
+  }
+
+  const routes = {
+    "GET /push/vapid-public-key": async () => ({ key: keys.publicKey }),
+
+    "POST /push/subscribe": async ({ subscription, sources }) => {
+      if (!subscription || !validSubscription(subscription)) throw new RelayError(400, "Invalid push subscription");
+      if (!Array.isArray(sources) || sources.length === 0 || sources.length > MAX_SOURCES) {
+        throw new RelayError(400, `Between 1 and ${MAX_SOURCES} sources are required`);
+      }
+      if (sources.some((s) => !SOURCE_TYPES.includes(s?.type))) throw new RelayError(400, "Unknown source type");
+
+      const others = subscriptions.filter((sub) => sub.endpoint !== subscription.endpoint);
+      if (others.length >= MAX_SUBSCRIPTIONS) throw new RelayError(429, "Too many push subscriptions");
+      save([...others, { endpoint: subscription.endpoint, sources, subscribedAt: Date.now() }]);
+      return { subscribed: true, watching: sources.filter(watchable).length };
+    },
+
+    "POST /push/unsubscribe": async ({ endpoint }) => {
+      save(subscriptions.filter((sub) => sub.endpoint !== endpoint));
+      return { unsubscribed: true };
+    },
+  };
+
+  return { routes, watch };
+}
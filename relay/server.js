@@ -0,0 +1,88 @@
+// Notification relay for HCPSS Status Monitor.
+// The browser app can't speak SMTP (or hold provider secrets), so channel
+// deliveries go through this small dependency-free server. It also watches
+// the sources of push subscribers and wakes their service workers on changes,
+// serves status badges (GET /badge.svg) for other sites to embed, and forwards
+// webhook deliveries to chat services that browsers can't post to.
+//
+//   npm run relay
+//
+// Configuration comes from the environment:
+//   RELAY_PORT (8787), RELAY_ORIGIN (CORS, "*"), RELAY_DATA_DIR ("relay/data")
+//   RELAY_WEBHOOK_URLS (webhook URLs the relay forwards to, space-separated;
+//     webhook forwarding also needs RELAY_ORIGIN set to the app's origin)
+//   RELAY_WEBHOOK_ALLOW_LOCAL ("1" allows http://localhost, for dev/webhook-receiver.js)
+//   MAIL_TRANSPORT ("smtp" | "outbox"), MAIL_FROM, MAIL_OUTBOX
+//   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   SMS_PROVIDER ("mock" | "twilio" | "gateway"), SMS_MOCK_FILE, SMS_GATEWAY_DOMAIN
+//   TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM, TWILIO_API_BASE
+//   PUSH_CONTACT ("mailto:…" sent to push services), PUSH_POLL_SECONDS (60)
+//   GITHUB_TOKEN (for the relay's own source checks; raises the API rate limit)
+import http from "node:http";
+import { RelayError, RawResponse, readJsonBody } from "./util.js";
+import { createMailTransport, createEmailRoutes } from "./email.js";
+import { createSmsProvider, createSmsRoutes } from "./sms.js";
+import { createPushRelay } from "./push.js";
+import { createBadgeRoutes } from "./badge.js";
+import { createWebhookRoutes } from "./webhook.js";
+
+const PORT = Number(process.env.RELAY_PORT || 8787);
+const ORIGIN = process.env.RELAY_ORIGIN || "*";
+const DATA_DIR = process.env.RELAY_DATA_DIR || "relay/data";
+// Routes other sites' pages must not be able to call, so they never get "*".
+const APP_ONLY = new Set(["POST /webhook/forward"]);
+
+const mailTransport = createMailTransport();
+const smsProvider = createSmsProvider(process.env, { mailTransport });
+const pushRelay = createPushRelay({ dataDir: DATA_DIR });
+
+const routes = {
+  "GET /health": async () => ({ ok: true, email: mailTransport.name, sms: smsProvider.name }),
+  ...createEmailRoutes({ transport: mailTransport, dataDir: DATA_DIR }),
+  ...createSmsRoutes({ provider: smsProvider, dataDir: DATA_DIR }),
+  ...pushRelay.routes,
+  ...createBadgeRoutes(),
+  ...createWebhookRoutes(process.env),
+};
+
+const allowOrigin = (route) => (APP_ONLY.has(route) && ORIGIN === "*" ? {} : { "Access-Control-Allow-Origin": ORIGIN });
+
+function send(res, status, body, route) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    ...allowOrigin(route),
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  res.end(status === 204 ? undefined : JSON.stringify(body));
+}
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, "http://relay");
+  if (req.method === "OPTIONS") return send(res, 204, {}, `${req.headers["access-control-request-method"]} ${pathname}`);
+  const route = `${req.method} ${pathname}`;
+  const handler = routes[route];
+  if (!handler) return send(res, 404, { error: "Not found" });
+  // A form post from another site needs no preflight, so check Origin as well.
+  if (APP_ONLY.has(route) && req.headers.origin && req.headers.origin !== ORIGIN) {
+    return send(res, 403, { error: "Only the monitor app may use this route (see RELAY_ORIGIN)" }, route);
+  }
+  try {
+    const body = req.method === "POST" ? await readJsonBody(req) : {};
+    const result = await handler(body, req);
+    if (result instanceof RawResponse) {
+      res.writeHead(200, { "Content-Type": result.contentType, "Access-Control-Allow-Origin": ORIGIN, ...result.headers });
+      return res.end(result.body);
+    }
+    send(res, 200, result, route);
+  } catch (err) {
+    if (err instanceof RelayError) return send(res, err.status, { error: err.message }, route);
+    console.error(`[relay] ${route}:`, err);
+    send(res, 502, { error: err.message }, route);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[relay] listening on http://localhost:${PORT} (email: ${mailTransport.name}, sms: ${smsProvider.name})`);
+  pushRelay.watch();
+});
@@ -0,0 +1,107 @@
+import fs from "node:fs";
+import path from "node:path";
+import { RelayError, createRateLimiter, createCodeStore, jsonStore } from "./util.js";
+
+const CODE_TTL_MS = 15 * 60_000;
+const MAX_SMS_LENGTH = 320;
+
+// US numbers may be entered without a country code; everything else must be +E.164.
+export function normalizePhone(input) {
+  const raw = String(input || "").trim();
+  const digits = raw.replace(/\D/g, "");
+  if (raw.startsWith("+")) return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith("1")) return `+${digits}`;
+  return null;
+}
+
+// ─── PROVIDERS ───────────────────────────────────────────────────────────────
+// twilio:  Twilio-style REST API (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM,
+//          TWILIO_API_BASE to point at a compatible endpoint)
+// gateway: email-to-SMS gateway through the mail transport (SMS_GATEWAY_DOMAIN, e.g. vtext.com)
+// mock:    appends each message as a JSON line to SMS_MOCK_FILE for testing
+export function createSmsProvider(env = process.env, { mailTransport } = {}) {
+  const provider = env.SMS_PROVIDER || "mock";
+
+  if (provider === "twilio") {
+    const sid = env.TWILIO_ACCOUNT_SID;
+    const base = env.TWILIO_API_BASE || "https://api.twilio.com";
+    const auth = Buffer.from(`${sid}:${env.TWILIO_AUTH_TOKEN}`).toString("base64");
+    return {
+      name: `twilio:${base}`,
+      async send({ to, text }) {
+        const r = await fetch(`${base}/2010-04-01/Accounts/${sid}/Messages.json`, {
+          method: "POST",
+          headers: { Authorization: `Basic ${auth}`, "Content-Type": "application/x-www-form-urlencoded" },
+          body: new URLSearchParams({ To: to, From: env.TWILIO_FROM, Body: text }),
+        });
+        if (!r.ok) {
+          const data = await r.json().catch(() => ({}));
+          throw new Error(`Twilio ${r.status}: ${data.message || r.statusText}`);
+        }
+      },
+    };
+  }
+
+  if (provider === "gateway") {
+    const domain = env.SMS_GATEWAY_DOMAIN;
+    if (!domain || !mailTransport) throw new Error("SMS gateway provider needs SMS_GATEWAY_DOMAIN and a mail transport");
+    return {
+      name: `gateway:${domain}`,
+      // Gateways address by the national number, without the country code.
+      send: ({ to, text }) => mailTransport.send({ to: `${to.replace(/^\+1/, "").replace(/\D/g, "")}@${domain}`, subject: "", text }),
+    };
+  }
+
+  const file = env.SMS_MOCK_FILE || path.join(env.RELAY_DATA_DIR || "relay/data", "sms.jsonl");
+  return {
+    name: `mock:${file}`,
+    async send({ to, text }) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify({ to, text, sentAt: new Date().toISOString() }) + "\n");
+      console.log(`[sms] ${to}: ${text}`);
+    },
+  };
+}
+
+// ─── ROUTES ──────────────────────────────────────────────────────────────────
+export function createSmsRoutes({ provider, dataDir }) {
+  const verifiedStore = jsonStore(dataDir, "verified-phones.json", []);
+  const verified = new Set(verifiedStore.read());
+  const codes = createCodeStore({ ttlMs: CODE_TTL_MS });
+  const perRecipient = createRateLimiter({ limit: 10, windowMs: 60 * 60_000 });
+  const codeRequests = createRateLimiter({ limit: 3, windowMs: 60 * 60_000 });
+
+  const normalize = (to) => {
+    const phone = normalizePhone(to);
+    if (!phone) throw new RelayError(400, "Invalid phone number");
+    return phone;
+  };
+
+  return {
+    "POST /sms/verify": async ({ to }) => {
+      const phone = normalize(to);
+      if (!codeRequests.allow(phone)) throw new RelayError(429, "Too many verification requests");
+      const code = codes.issue(phone);
+      await provider.send({ to: phone, text: `HCPSS Status Monitor code: ${code}` });
+      return { sent: true, to: phone };
+    },
+
+    "POST /sms/confirm": async ({ to, code }) => {
+      const phone = normalize(to);
+      if (!codes.check(phone, code)) throw new RelayError(400, "Invalid or expired code");
+      verified.add(phone);
+      verifiedStore.write([...verified]);
+      return { verified: true, to: phone };
+    },
+
+    "POST /sms/send": async ({ to, text }) => {
+      const phone = normalize(to);
+      if (!verified.has(phone)) throw new RelayError(403, "Phone number not verified");
+      if (!text) throw new RelayError(400, "text is required");
+      if (!perRecipient.allow(phone)) throw new RelayError(429, "Rate limit exceeded for recipient");
+      await provider.send({ to: phone, text: String(text).slice(0, MAX_SMS_LENGTH) });
+      return { sent: true };
+    },
+  };
+}
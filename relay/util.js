@@ -0,0 +1,113 @@
+import fs from "node:fs";
+import path from "node:path";
+
+export class RelayError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// A route result sent as-is instead of as JSON (e.g. an SVG badge).
+export class RawResponse {
+  constructor(contentType, body, headers = {}) {
+    this.contentType = contentType;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+export function readJsonBody(req, limit = 64 * 1024) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > limit) {
+        reject(new RelayError(413, "Body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on("end", () => {
+      if (chunks.length === 0) return resolve({});
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(new RelayError(400, "Invalid JSON body"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// Sliding-window limiter: at most `limit` hits per key within `windowMs`.
+export function createRateLimiter({ limit, windowMs, now = Date.now }) {
+  const hits = new Map();
+  return {
+    allow(key) {
+      const t = now();
+      const recent = (hits.get(key) || []).filter((ts) => t - ts < windowMs);
+      if (recent.length >= limit) {
+        hits.set(key, recent);
+        return false;
+      }
+      recent.push(t);
+      hits.set(key, recent);
+      return true;
+    },
+  };
+}
+
+// Small JSON-file store for relay state that should survive restarts.
+export function jsonStore(dir, name, fallback) {
+  const file = path.join(dir, name);
+  return {
+    read() {
+      try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+      } catch {
+        return fallback;
+      }
+    },
+    write(value) {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(value, null, 2));
+    },
+  };
+}
+
+function verificationCode() {
+  return String(Math.floor(100000 + Math.random() * 900000));
+}
+
+// Pending verification codes, one per address. A code is dropped once it
+// expires, is used, or has been guessed wrong `maxAttempts` times, so a
+// 6-digit code can't be brute-forced within its lifetime. `check` doesn't say
+// which of those happened.
+export function createCodeStore({ ttlMs, maxAttempts = 5, now = Date.now }) {
+  const codes = new Map(); // key → { code, expires, misses }
+  return {
+    issue(key) {
+      const code = verificationCode();
+      codes.set(key, { code, expires: now() + ttlMs, misses: 0 });
+      return code;
+    },
+    check(key, code) {
+      const pending = codes.get(key);
+      if (!pending) return false;
+      if (pending.expires < now()) {
+        codes.delete(key);
+        return false;
+      }
+      if (pending.code !== String(code ?? "").trim()) {
+        pending.misses += 1;
+        if (pending.misses >= maxAttempts) codes.delete(key);
+        return false;
+      }
+      codes.delete(key);
+      return true;
+    },
+  };
+}
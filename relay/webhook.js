@@ -0,0 +1,108 @@
+import dns from "node:dns";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+import { RelayError, createRateLimiter } from "./util.js";
+
+const FORWARD_TIMEOUT_MS = 10_000;
+const MAX_BODY = 32 * 1024;
+const FORWARDED_HEADERS = /^(content-type|x-hcpss-[a-z-]+)$/i;
+// Plain http is only allowed to this machine, and only with
+// RELAY_WEBHOOK_ALLOW_LOCAL=1, for dev/webhook-receiver.js.
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+// Addresses a webhook may never reach: this machine and the networks behind it.
+const PRIVATE = new net.BlockList();
+for (const [net4, bits] of [["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.168.0.0", 16], ["224.0.0.0", 3]]) PRIVATE.addSubnet(net4, bits, "ipv4");
+for (const [net6, bits] of [["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) PRIVATE.addSubnet(net6, bits, "ipv6");
+
+const isPrivate = (address) => PRIVATE.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+// dns.lookup that refuses private addresses. It runs when the connection is
+// made, so a name can't resolve to a public address for a check and a private
+// one for the request.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some((a) => isPrivate(a.address))) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: "EPRIVATE" }));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Registered URLs are exact, or end in "/" to cover everything under them.
+// Both sides are compared as the URL parser writes them.
+const normalize = (entry) => {
+  try {
+    return [new URL(entry).href];
+  } catch {
+    console.warn(`[webhook] ignoring RELAY_WEBHOOK_URLS entry "${entry}" (not a URL)`);
+    return [];
+  }
+};
+const registered = (urls, url) => urls.some((entry) => url === entry || (entry.endsWith("/") && url.startsWith(entry)));
+
+function target(url, { urls, allowLocal }) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    throw new RelayError(400, "Invalid webhook URL");
+  }
+  const local = allowLocal && LOCAL_HOSTS.includes(u.hostname);
+  if (u.protocol !== "https:" && !(u.protocol === "http:" && local)) throw new RelayError(400, "Webhook URLs must use https");
+  if (!registered(urls, u.href)) throw new RelayError(403, `This relay doesn't forward to ${u.host}; add the URL to RELAY_WEBHOOK_URLS`);
+  const literal = u.hostname.replace(/^\[|\]$/g, "");
+  if (!local && net.isIP(literal) && isPrivate(literal)) throw new RelayError(400, "Webhook URLs can't point at private addresses");
+  return { u, local };
+}
+
+function post(u, { headers, body, local }) {
+  return new Promise((resolve, reject) => {
+    const req = (u.protocol === "https:" ? https : http).request(u, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: local ? dns.lookup : publicLookup,
+      signal: AbortSignal.timeout(FORWARD_TIMEOUT_MS),
+    }, (res) => {
+      res.resume();
+      resolve({ status: res.statusCode, retryAfter: Number(res.headers["retry-after"]) || null });
+    });
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+// POST /webhook/forward { url, headers, body } — one delivery attempt of a body
+// the app has already built (and signed). Whatever the endpoint answers comes
+// back as { status, retryAfter }; retrying is up to the caller (deliverWebhook).
+// Only URLs listed in RELAY_WEBHOOK_URLS (space-separated) are forwarded to,
+// and never to private or loopback addresses, so the relay can't be used to
+// post into the network it runs in.
+export function createWebhookRoutes(env = process.env) {
+  const urls = (env.RELAY_WEBHOOK_URLS || "").split(/\s+/).filter(Boolean).flatMap(normalize);
+  const allowLocal = env.RELAY_WEBHOOK_ALLOW_LOCAL === "1";
+  const perTarget = createRateLimiter({ limit: 60, windowMs: 60 * 60_000 });
+
+  return {
+    "POST /webhook/forward": async ({ url, headers = {}, body }) => {
+      const { u, local } = target(url, { urls, allowLocal });
+      if (typeof body !== "string" || body.length > MAX_BODY) throw new RelayError(400, "Body must be a string of at most 32 KB");
+      if (!perTarget.allow(`${u.origin}${u.pathname}`)) throw new RelayError(429, "Too many deliveries to this webhook; try again later");
+      const forwarded = Object.fromEntries(Object.entries(headers).filter(([k, v]) => FORWARDED_HEADERS.test(k) && typeof v === "string"));
+      try {
+        const r = await post(u, { headers: forwarded, body, local });
+        console.log(`[webhook] ${u.host}: HTTP ${r.status}`);
+        return r;
+      } catch (e) {
+        if (e.code === "EPRIVATE") throw new RelayError(400, "Webhook URLs can't point at private addresses");
+        const error = e.name === "AbortError" || e.name === "TimeoutError" ? `No answer within ${FORWARD_TIMEOUT_MS / 1000} s` : `Could not reach ${u.host} (${e.code || e.message})`;
+        console.log(`[webhook] ${u.host}: ${error}`);
+        return { status: 0, error };
+      }
+    },
+  };
+}
@@ -0,0 +1,182 @@
+// Background monitoring for HCPSS Status Monitor.
+// Registered as a module worker by the app when background monitoring is on.
+// While no app tab is open it polls the user's sources whenever the browser
+// wakes it — periodic sync, or an empty push from the relay (relay/push.js)
+// when a source changes — and alerts through the same pipeline as the app.
+// It also keeps a copy of the app itself so the page opens offline.
+import {
+  fetchSources, processPoll, initialPollState, mergeAlertLogs,
+  renderNotification, alertChannels, alertKey, alertLink, createRateLimiter, relayPost, github, POLL_DEFAULTS,
+  webhookMatches, deliverWebhook,
+} from "./monitor-core.js";
+import { kv, loadSnapshot, saveSnapshot, appendTransitions, saveDelivery } from "./kv-store.js";
+
+const PERIODIC_SYNC_TAG = "hcpss-poll";
+const SHELL_CACHE = "hcpss-shell-v1";
+const EMPTY_LOG = { initialized: false, entries: [] };
+
+// Same per-service allowance as the app; resets whenever the browser stops the worker.
+const limits = {
+  email: createRateLimiter({ limit: 3, windowMs: 60 * 60_000 }),
+  sms:   createRateLimiter({ limit: 2, windowMs: 60 * 60_000 }),
+};
+
+// ─── STORAGE ─────────────────────────────────────────────────────────────────
+// Keys: "config" → { userId, sources, githubToken, prefs } sent by the tab,
+//       "log:<user>" → alert log, "state:<user>" → poll state between wake-ups,
+//       "snapshot" → last poll results, and "webhooks:<user>" → webhook
+//       deliveries, both shared with the tab (kv-store.js).
+const { get, put, remove } = kv;
+
+// ─── POLLING ─────────────────────────────────────────────────────────────────
+let running = null;
+
+// One poll at a time: a periodic sync and a push can arrive together.
+function backgroundPoll() {
+  running ??= poll().finally(() => { running = null; });
+  return running;
+}
+
+// Resolves to the number of alerts sent.
+async function poll() {
+  const config = await get("config");
+  if (!config) return 0;
+  // An open tab polls and alerts by itself.
+  const windows = await self.clients.matchAll({ type: "window" });
+  if (windows.length > 0) return 0;
+
+  const { userId, sources, prefs, githubToken } = config;
+  github.setToken(githubToken);
+  const log = (await get(`log:${userId}`)) || EMPTY_LOG;
+  const saved = await get(`state:${userId}`);
+  const state = saved ? { ...saved, log } : initialPollState(log);
+
+  const timeoutMs = (prefs.polling?.timeoutSeconds ?? POLL_DEFAULTS.timeoutSeconds) * 1000;
+  const data = await fetchSources(sources, (await loadSnapshot())?.results, { timeoutMs });
+  await saveSnapshot(data.results);
+  const result = processPoll(data, prefs, state);
+  const { log: nextLog, ...rest } = result.state;
+  await put(`state:${userId}`, rest);
+  if (nextLog !== log) await put(`log:${userId}`, nextLog);
+  await appendTransitions(result.transitions);
+
+  await Promise.allSettled(result.send.map((e) => deliver(e, prefs, userId)));
+  return result.send.length;
+}
+
+async function deliver(event, prefs, userId) {
+  const channels = alertChannels(event, prefs);
+  const msg = renderNotification(event);
+  const key = alertKey(event);
+  const { desktop, email, sms } = prefs.channels;
+
+  if (channels.includes("desktop") && desktop && Notification.permission === "granted") {
+    await self.registration.showNotification(msg.subject, {
+      body: msg.short,
+      icon: "/favicon.ico",
+      badge: "/favicon.ico",
+      tag: key,
+      data: { url: alertLink(event) },
+    });
+  }
+  if (channels.includes("email") && email.enabled && email.verified && limits.email.allow(key)) {
+    await relayPost("/email/send", { to: email.address, subject: msg.subject, text: msg.body });
+  }
+  if (channels.includes("sms") && sms.enabled && sms.verified && limits.sms.allow(key)) {
+    await relayPost("/sms/send", { to: sms.address, text: msg.sms });
+  }
+  if (channels.includes("webhook")) {
+    const hooks = (prefs.webhooks || []).filter((hook) => webhookMatches(hook, event));
+    await Promise.allSettled(hooks.map((hook) => deliverWebhook(hook, event, { onUpdate: (d) => saveDelivery(userId, d) })));
+  }
+}
+
+// ─── MESSAGES FROM THE APP ───────────────────────────────────────────────────
+async function syncLog(userId, incoming, client) {
+  const stored = (await get(`log:${userId}`)) || EMPTY_LOG;
+  const merged = mergeAlertLogs(stored, incoming || EMPTY_LOG);
+  if (merged !== stored) await put(`log:${userId}`, merged);
+  client?.postMessage({ type: "alert-log", userId, log: merged });
+}
+
+self.addEventListener("message", (e) => {
+  const msg = e.data || {};
+  switch (msg.type) {
+    // A tab has been polling; detection restarts from the alert log next time.
+    case "config":
+      e.waitUntil(Promise.all([put("config", msg.config), remove(`state:${msg.config.userId}`)]));
+      break;
+    // Background monitoring turned off, or the user signed out.
+    case "stop":
+      e.waitUntil(remove("config"));
+      break;
+    case "alert-log":
+      e.waitUntil(syncLog(msg.userId, msg.log, e.source));
+      break;
+  }
+});
+
+// ─── LIFECYCLE & WAKE-UPS ────────────────────────────────────────────────────
+self.addEventListener("install", () => self.skipWaiting());
+self.addEventListener("activate", (e) => e.waitUntil((async () => {
+  const names = await caches.keys();
+  await Promise.all(names.filter((n) => n.startsWith("hcpss-shell-") && n !== SHELL_CACHE).map((n) => caches.delete(n)));
+  await self.clients.claim();
+})()));
+
+// App files and the React modules it imports: network first, cached copy when
+// offline. Status data is not cached here; the app keeps its own snapshot.
+self.addEventListener("fetch", (e) => {
+  const { request } = e;
+  const url = new URL(request.url);
+  const shell = url.origin === self.location.origin || url.origin === "https://esm.sh";
+  if (request.method !== "GET" || !shell) return;
+  // Every page address (/incidents, /services/…) is served index.html, so
+  // navigations share one copy, kept under the app's root URL.
+  const key = request.mode === "navigate" ? self.registration.scope : request;
+  e.respondWith((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+      const response = await fetch(request);
+      if (response.ok) await cache.put(key, response.clone());
+      return response;
+    } catch (err) {
+      const cached = await cache.match(key, { ignoreSearch: url.origin === self.location.origin });
+      if (cached) return cached;
+      throw err;
+    }
+  })());
+});
+
+self.addEventListener("periodicsync", (e) => {
+  if (e.tag === PERIODIC_SYNC_TAG) e.waitUntil(backgroundPoll().catch(() => 0));
+});
+
+// The relay's pushes carry no payload; they only mean "something changed, poll now".
+self.addEventListener("push", (e) => {
+  e.waitUntil((async () => {
+    const sent = await backgroundPoll().catch(() => 0);
+    if (sent > 0) return;
+    // Browsers expect every push to show something unless a tab has focus.
+    const windows = await self.clients.matchAll({ type: "window" });
+    if (windows.some((w) => w.focused)) return;
+    await self.registration.showNotification("HCPSS status changed", {
+      body: "Open the monitor for details.",
+      icon: "/favicon.ico",
+      tag: "hcpss-status",
+      data: { url: "./" },
+    });
+  })());
+});
+
+// Open the service or incident the alert is about, reusing a tab if there is one.
+self.addEventListener("notificationclick", (e) => {
+  e.notification.close();
+  const url = new URL(e.notification.data?.url || "./", self.registration.scope).href;
+  e.waitUntil((async () => {
+    const [tab] = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    if (!tab) return self.clients.openWindow(url);
+    await tab.focus();
+    tab.postMessage({ type: "navigate", url });
+  })());
+});
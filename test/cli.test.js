@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const CLI = fileURLToPath(new URL("../cli/status.js", import.meta.url));
+const FIXTURES = fileURLToPath(new URL("../fixtures", import.meta.url));
+
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8", env: { ...process.env, NO_COLOR: "1" } });
+
+test("status lists every service and exits 1 while one is down", () => {
+  const { status, stdout } = run("status", "--fixtures", FIXTURES);
+  assert.equal(status, 1);
+  const lines = stdout.trim().split("\n");
+  assert.match(lines[0], /^STATUS\s+SERVICE\s+GROUP\s+RESPONSE\s+UPTIME$/);
+  assert.equal(lines.length, 7);
+  assert.match(lines.find((l) => l.includes("Schoology")), /^down\s+Schoology\s+Main Services\s+0 ms\s+98\.42%$/);
+});
+
+test("status --json uses the export field names", () => {
+  const { stdout } = run("status", "--json", "--fixtures", FIXTURES);
+  const services = JSON.parse(stdout);
+  assert.deepEqual(services.find((s) => s.service === "Zoom"), {
+    group: "Async Instructional", service: "Zoom", status: "up", responseTimeMs: 265,
+    uptimeDay: null, uptimeWeek: null, uptimeMonth: null, uptimeYear: null, uptimeAll: "99.90%", staleSince: null, url: null,
+  });
+});
+
+test("incidents filters by state", () => {
+  const open = JSON.parse(run("incidents", "--json", "--fixtures", FIXTURES).stdout);
+  const closed = JSON.parse(run("incidents", "--closed", "--json", "--fixtures", FIXTURES).stdout);
+  assert.deepEqual(open.map((i) => i.id), [412]);
+  assert.deepEqual(closed.map((i) => [i.id, i.durationMinutes]), [[407, 41]]);
+});
+
+test("an unreadable source exits 2 and bad usage exits 64", () => {
+  const offline = run("status", "--fixtures", "/nonexistent");
+  assert.equal(offline.status, 2);
+  assert.match(offline.stderr, /Main Services: Could not reach/);
+  assert.equal(run("stats").status, 64);
+  assert.equal(run("watch", "--interval", "1").status, 64);
+});
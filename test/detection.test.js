@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  trackTransitions, evaluateRules, gateAlerts, processPoll, initialPollState,
+  DEFAULT_RULES, DEFAULT_ALERTING, upptimeServices, upptimeIncident,
+} from "../monitor-core.js";
+import { recorded, UPPTIME_SOURCE } from "./replay.js";
+
+const T0 = Date.parse("2026-09-14T12:00:00Z");
+const MINUTE = 60_000;
+const services = upptimeServices(recorded("hcpss-upptime/summary.json"), UPPTIME_SOURCE);
+const incidents = recorded("hcpss-upptime/issues-open.json").filter((i) => !i.pull_request)
+  .map((i) => upptimeIncident(i, { owner: "HCPSS", repo: "upptime", label: "Main Services" }));
+const withStatus = (name, status) => services.map((s) => (s.name === name ? { ...s, status } : s));
+
+test("a status change is confirmed only after it holds for confirmPolls polls", () => {
+  const settings = { ...DEFAULT_ALERTING, confirmPolls: 2 };
+  let { machines } = trackTransitions(services, {}, settings, T0);
+
+  const once = trackTransitions(withStatus("Canvas", "down"), machines, settings, T0 + MINUTE);
+  assert.deepEqual(once.transitions, []);
+  assert.equal(once.services.find((s) => s.name === "Canvas").confirmedStatus, "up");
+
+  const twice = trackTransitions(withStatus("Canvas", "down"), once.machines, settings, T0 + 2 * MINUTE);
+  assert.deepEqual(twice.transitions, [{
+    id: "HCPSS/upptime/Canvas", name: "Canvas", repo: "Main Services", from: "up", to: "down", at: T0 + 2 * MINUTE, responseTime: null,
+  }]);
+  machines = twice.machines;
+  assert.equal(machines["HCPSS/upptime/Canvas"].since, T0 + 2 * MINUTE);
+});
+
+test("a one-poll blip is never confirmed", () => {
+  const settings = { ...DEFAULT_ALERTING, confirmPolls: 2 };
+  const { machines } = trackTransitions(services, {}, settings, T0);
+  const blip = trackTransitions(withStatus("Canvas", "down"), machines, settings, T0 + MINUTE);
+  const back = trackTransitions(services, blip.machines, settings, T0 + 2 * MINUTE);
+  assert.deepEqual(back.transitions, []);
+  assert.equal(back.machines["HCPSS/upptime/Canvas"].candidate, null);
+});
+
+test("frequent changes mark a service as flapping until they settle", () => {
+  const settings = { confirmPolls: 1, flapWindow: 6, flapThreshold: 4 };
+  let machines = {};
+  const seen = [];
+  ["up", "down", "up", "down", "up", "up", "up", "up", "up"].forEach((status, i) => {
+    const r = trackTransitions(withStatus("Canvas", status), machines, settings, T0 + i * MINUTE);
+    machines = r.machines;
+    const canvas = r.services.find((s) => s.name === "Canvas");
+    seen.push(canvas.flapStarted ? "start" : canvas.flapEnded ? "end" : canvas.flapping ? "flap" : "-");
+  });
+  assert.deepEqual(seen, ["-", "-", "-", "-", "start", "flap", "flap", "end", "-"]);
+});
+
+test("rules alert once when a condition starts and again when it clears", () => {
+  const rules = [DEFAULT_RULES[0]];
+  const down = evaluateRules(rules, withStatus("Canvas", "down"), [], { streaks: {}, active: {} });
+  assert.deepEqual(down.events.map((e) => [e.kind, e.service.name]), [["down", "Canvas"], ["down", "Schoology"]]);
+
+  const still = evaluateRules(rules, withStatus("Canvas", "down"), [], down.state);
+  assert.deepEqual(still.events, []);
+
+  const up = evaluateRules(rules, services, [], still.state);
+  assert.deepEqual(up.events.map((e) => [e.kind, e.service.name]), [["up", "Canvas"]]);
+});
+
+test("the strongest severity wins when several rules match one change", () => {
+  const rules = [
+    { id: "all", target: { type: "all" }, condition: { type: "down", polls: 1 }, severity: "warning", enabled: true },
+    { id: "lms", target: { type: "service", value: "HCPSS/upptime/Schoology" }, condition: { type: "down", polls: 1 }, severity: "critical", enabled: true },
+  ];
+  const { events } = evaluateRules(rules, services, [], { streaks: {}, active: {} });
+  assert.deepEqual(events.map((e) => [e.service.name, e.severity]), [["Schoology", "critical"]]);
+});
+
+test("gateAlerts holds repeat triggers inside the cooldown", () => {
+  const rule = DEFAULT_RULES[0];
+  const schoology = services.find((s) => s.name === "Schoology");
+  const log = { initialized: true, entries: [] };
+  const opts = { cooldownMs: 15 * MINUTE };
+
+  const first = gateAlerts([{ kind: "down", service: schoology, severity: "warning", rule }], log, {}, { ...opts, now: T0 });
+  assert.equal(first.send.length, 1);
+  const recovered = gateAlerts([{ kind: "up", service: schoology, severity: "warning", rule }], first.log, {}, { ...opts, now: T0 + MINUTE });
+  assert.equal(recovered.send.length, 1);
+
+  const again = gateAlerts([{ kind: "down", service: schoology, severity: "warning", rule }], recovered.log, {}, { ...opts, now: T0 + 2 * MINUTE });
+  assert.deepEqual(again.send, []);
+  assert.deepEqual(Object.keys(again.deferred), ["down|HCPSS/upptime/Schoology"]);
+
+  const later = gateAlerts([], again.log, again.deferred, { ...opts, now: T0 + 20 * MINUTE });
+  assert.deepEqual(later.send.map((e) => e.kind), ["down"]);
+});
+
+test("processPoll primes silently on a user's first run, then alerts on news", () => {
+  const prefs = { rules: DEFAULT_RULES, alerting: { ...DEFAULT_ALERTING, confirmPolls: 1 } };
+  const first = processPoll({ services, incidents }, prefs, initialPollState({ initialized: false, entries: [] }), T0);
+  assert.deepEqual(first.send, []);
+  assert.ok(first.state.log.entries.every((en) => en.silent));
+
+  const second = processPoll({ services: withStatus("Canvas", "down"), incidents }, prefs, first.state, T0 + MINUTE);
+  assert.deepEqual(second.send.map((e) => [e.kind, e.service.name]), [["down", "Canvas"]]);
+  assert.deepEqual(second.transitions.map((t) => [t.name, t.from, t.to]), [["Canvas", "up", "down"]]);
+});
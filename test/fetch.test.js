@@ -0,0 +1,176 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createGitHubClient, fetchSources, fetchIssueComments, fetchServiceDetail, validateSource } from "../monitor-core.js";
+import { recorded, replayFetch, fakeClock, upptimeRoutes, UPPTIME_SOURCE, UPPTIME_URLS } from "./replay.js";
+
+function setup(routes = upptimeRoutes()) {
+  const clock = fakeClock();
+  const replay = replayFetch(routes);
+  const github = createGitHubClient({ fetch: replay.fetch, now: clock.now });
+  return { clock, replay, io: { fetch: replay.fetch, github, now: clock.now } };
+}
+
+test("fetchSources reads an Upptime repository", async () => {
+  const { clock, io } = setup();
+  const data = await fetchSources([UPPTIME_SOURCE], {}, io);
+
+  assert.equal(data.services.length, 4);
+  // The open list also holds a pull request, which isn't an incident.
+  assert.deepEqual(data.incidents.map((i) => [i.id, i.state]), [[412, "open"], [407, "closed"]]);
+  assert.deepEqual(data.results["hcpss-upptime"].health, {
+    ok: true,
+    lastAttempt: clock.now(),
+    lastSuccess: clock.now(),
+    latencyMs: 0,
+    httpStatus: 200,
+    lastError: null,
+    warning: null,
+    staleSince: null,
+  });
+});
+
+test("other open issues don't crowd out incidents or maintenance windows", async () => {
+  const unrelated = Array.from({ length: 30 }, (_, n) => ({
+    ...recorded("hcpss-upptime/issues-open.json")[0],
+    number: 500 + n,
+    title: `Question ${n}`,
+    labels: [{ name: "question" }],
+  }));
+  const routes = { ...upptimeRoutes(), "https://api.github.com/repos/HCPSS/upptime/issues?state=open&per_page=30&page=1": unrelated };
+  const { replay, io } = setup(routes);
+  const data = await fetchSources([UPPTIME_SOURCE], {}, io);
+
+  assert.deepEqual(replay.calls.map((c) => c.url).sort(), Object.values(UPPTIME_URLS).sort());
+  assert.deepEqual(data.incidents.filter((i) => i.state === "open").map((i) => i.id), [412]);
+  assert.deepEqual(data.maintenance.map((w) => w.id), ["HCPSS/upptime#415"]);
+});
+
+test("a failing source keeps its last good data, marked stale", async () => {
+  const { clock, io } = setup();
+  const first = await fetchSources([UPPTIME_SOURCE], {}, io);
+  const failedAt = clock.now() + 60_000;
+  clock.advance(60_000);
+
+  const { io: offline } = setup({});
+  const second = await fetchSources([UPPTIME_SOURCE], first.results, { ...offline, now: clock.now });
+  const { health, services, incidents } = second.results["hcpss-upptime"];
+  assert.equal(health.ok, false);
+  assert.equal(health.lastSuccess, first.results["hcpss-upptime"].health.lastSuccess);
+  assert.equal(health.staleSince, failedAt);
+  assert.match(health.lastError.message, /Could not reach https:\/\/raw\.githubusercontent\.com/);
+  assert.equal(services.length, 4);
+  assert.ok(services.every((s) => s.staleSince === failedAt));
+  assert.equal(incidents.length, 2);
+});
+
+test("issue lists that fail become a warning, not a failed source", async () => {
+  const routes = upptimeRoutes();
+  routes[UPPTIME_URLS.closed] = () => new Response("{}", { status: 502 });
+  const { io } = setup(routes);
+  const data = await fetchSources([UPPTIME_SOURCE], {}, io);
+  const { health } = data.results["hcpss-upptime"];
+  assert.equal(health.ok, true);
+  assert.equal(health.warning, "closed incidents: GitHub API returned HTTP 502");
+  assert.equal(data.incidents.length, 0);
+});
+
+test("sources that don't answer in time fail with a timeout", async () => {
+  const hang = (init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener("abort", () => reject(new DOMException("This operation was aborted", "AbortError")));
+  });
+  const { io } = setup({ "https://status.example.org/api/v2/summary.json": hang });
+  const source = { id: "vendor", type: "statuspage", url: "https://status.example.org/api/v2/summary.json", label: "Vendor" };
+  const data = await fetchSources([source], {}, { ...io, timeoutMs: 20 });
+  assert.equal(data.results.vendor.health.ok, false);
+  assert.equal(data.results.vendor.health.lastError.message, "No answer within 0.02 s");
+});
+
+test("only due sources are fetched; the rest keep their result", async () => {
+  const { replay, io } = setup({ ...upptimeRoutes(), "https://status.instructure.com/api/v2/summary.json": recorded("statuspage-summary.json") });
+  const vendor = { id: "instructure", type: "statuspage", url: "https://status.instructure.com/api/v2/summary.json", label: "Instructure" };
+  const first = await fetchSources([UPPTIME_SOURCE, vendor], {}, io);
+  replay.calls.length = 0;
+
+  const second = await fetchSources([UPPTIME_SOURCE, vendor], first.results, { ...io, due: ["instructure"] });
+  assert.deepEqual(replay.calls.map((c) => c.url), ["https://status.instructure.com/api/v2/summary.json"]);
+  assert.equal(second.results["hcpss-upptime"], first.results["hcpss-upptime"]);
+  assert.equal(second.services.length, 7);
+});
+
+test("the GitHub client revalidates with ETags and reuses the cached body on 304", async () => {
+  const issues = recorded("hcpss-upptime/issues-open.json");
+  const seen = [];
+  const { fetch } = replayFetch({
+    [UPPTIME_URLS.open]: (init) => {
+      seen.push(init.headers["If-None-Match"]);
+      const headers = { etag: 'W/"abc"', "x-ratelimit-limit": "60", "x-ratelimit-remaining": "59", "x-ratelimit-used": "1", "x-ratelimit-reset": "1789400000" };
+      return init.headers["If-None-Match"] === 'W/"abc"'
+        ? new Response(null, { status: 304, headers })
+        : Response.json(issues, { headers });
+    },
+  });
+  const clock = fakeClock();
+  const client = createGitHubClient({ fetch, now: clock.now });
+
+  const first = await client.get(UPPTIME_URLS.open);
+  const second = await client.get(UPPTIME_URLS.open);
+  assert.deepEqual(seen, [undefined, 'W/"abc"']);
+  assert.equal(second.data, first.data);
+  assert.equal(second.throttled, false);
+  assert.equal(client.status().rate.remaining, 59);
+});
+
+test("the GitHub client holds calls back after a secondary rate limit", async () => {
+  const clock = fakeClock();
+  const { fetch, calls } = replayFetch({
+    [UPPTIME_URLS.open]: () => new Response("{}", { status: 403, headers: { "retry-after": "120" } }),
+  });
+  const client = createGitHubClient({ fetch, now: clock.now });
+
+  assert.deepEqual(await client.get(UPPTIME_URLS.open), { data: null, throttled: true });
+  clock.advance(60_000);
+  assert.deepEqual(await client.get(UPPTIME_URLS.open), { data: null, throttled: true });
+  assert.equal(calls.length, 1);
+  assert.equal(client.status().blockedUntil, clock.now() + 60_000);
+});
+
+test("fetchIssueComments maps an incident's thread", async () => {
+  const { fetch } = replayFetch({
+    "https://api.github.com/repos/HCPSS/upptime/issues/412/comments?per_page=100": recorded("hcpss-upptime/comments-412.json"),
+  });
+  const comments = await fetchIssueComments({ owner: "HCPSS", repo: "upptime" }, 412, { github: createGitHubClient({ fetch }) });
+  assert.deepEqual(comments, [{
+    id: 2351190871,
+    author: "hcpss-netops",
+    avatar: "https://avatars.githubusercontent.com/u/90210?v=4",
+    createdAt: "2026-09-14T12:35:48Z",
+    url: "https://github.com/HCPSS/upptime/issues/412#issuecomment-2351190871",
+    body: "Vendor confirms a regional outage; tracking at https://status.schoology.com.",
+  }]);
+});
+
+test("with no issue lists asked for, statuses are read without touching the GitHub API", async () => {
+  const { replay, io } = setup();
+  const data = await fetchSources([UPPTIME_SOURCE], {}, { ...io, lists: [] });
+  assert.deepEqual(replay.calls.map((c) => c.url), [UPPTIME_URLS.summary]);
+  assert.equal(data.services.length, 4);
+  assert.deepEqual(data.incidents, []);
+  assert.equal(data.results["hcpss-upptime"].health.warning, null);
+});
+
+test("service detail and source checks go through the injected fetch", async () => {
+  const base = "https://raw.githubusercontent.com/HCPSS/upptime/master";
+  const { replay, io } = setup({
+    ...upptimeRoutes(),
+    [`${base}/history/canvas.yml`]: () => new Response("url: https://canvas.hcpss.org\nstatus: up\ncode: 200\n"),
+    [`${base}/api/canvas/response-time.json`]: { message: "231 ms" },
+  });
+  const detail = await fetchServiceDetail({ owner: "HCPSS", repo: "upptime", branch: "master" }, "canvas", io);
+  assert.equal(detail.history.status, "up");
+  assert.equal(detail.responseTimes.all, 231);
+  assert.ok(replay.calls.every((c) => c.url.startsWith(base)));
+
+  assert.equal(await validateSource(UPPTIME_SOURCE, [UPPTIME_SOURCE], io), null);
+  const vendor = { id: "vendor", type: "json", url: "https://status.example.org/health", label: "Vendor" };
+  assert.equal(await validateSource(vendor, [vendor], io), "Could not read source (fetch failed)");
+});
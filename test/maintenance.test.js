@@ -0,0 +1,118 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  upptimeServices, upptimeIncident, upptimeMaintenance, applyMaintenance, upcomingMaintenance, newMaintenanceWindow,
+  processPoll, initialPollState, fetchSources, createGitHubClient, badgeSubject, DEFAULT_RULES, DEFAULT_ALERTING,
+} from "../monitor-core.js";
+import { recorded, replayFetch, fakeClock, upptimeRoutes, UPPTIME_SOURCE, UPPTIME_URLS } from "./replay.js";
+
+const T0 = Date.parse("2026-09-14T12:00:00Z");
+const MINUTE = 60_000;
+const services = upptimeServices(recorded("hcpss-upptime/summary.json"), UPPTIME_SOURCE);
+const issues = recorded("hcpss-upptime/issues-maintenance.json");
+const withStatus = (name, status) => services.map((s) => (s.name === name ? { ...s, status } : s));
+const iso = (t) => new Date(t).toISOString();
+
+test("Upptime maintenance issues become windows over the services they name", () => {
+  const [synergy, undated] = issues.map((i) => upptimeMaintenance(i, UPPTIME_SOURCE, services));
+  assert.deepEqual(synergy, {
+    id: "HCPSS/upptime#415",
+    title: "Synergy upgrade to 2026.2",
+    start: "2026-09-14T22:00:00.000Z",
+    end: "2026-09-15T02:00:00.000Z",
+    targets: [{ type: "service", value: "HCPSS/upptime/Synergy StudentVUE" }],
+    origin: "upptime",
+    url: "https://github.com/HCPSS/upptime/issues/415",
+  });
+  assert.equal(undated, null);
+
+  const wholeRepo = upptimeMaintenance({ ...issues[0], body: "<!--\n  start: 2026-09-20T06:00:00Z\n-->" }, UPPTIME_SOURCE, services);
+  assert.deepEqual(wholeRepo.targets, [{ type: "group", value: "Main Services" }]);
+  assert.equal(wholeRepo.end, null);
+});
+
+test("fetchSources reads the windows and applies them while they're on", async () => {
+  const clock = fakeClock(T0);
+  const { fetch } = replayFetch(upptimeRoutes());
+  const io = { fetch, github: createGitHubClient({ fetch, now: clock.now }), now: clock.now };
+
+  const before = await fetchSources([UPPTIME_SOURCE], {}, io);
+  assert.deepEqual(before.maintenance.map((w) => w.id), ["HCPSS/upptime#415"]);
+  assert.equal(before.services.find((s) => s.name === "Synergy StudentVUE").status, "up");
+  assert.equal(before.results["hcpss-upptime"].health.warning, null);
+
+  clock.advance(11 * 60 * MINUTE);
+  const during = await fetchSources([UPPTIME_SOURCE], before.results, io);
+  const synergy = during.services.find((s) => s.name === "Synergy StudentVUE");
+  assert.equal(synergy.status, "maintenance");
+  assert.equal(synergy.maintenance.title, "Synergy upgrade to 2026.2");
+  assert.equal(during.services.find((s) => s.name === "Canvas").status, "up");
+});
+
+test("windows end at their end time and can target a group", () => {
+  const w = newMaintenanceWindow({ title: "Patching", start: iso(T0), end: iso(T0 + 60 * MINUTE), targets: [{ type: "group", value: "Main Services" }] });
+  assert.ok(applyMaintenance(services, [w], T0 + MINUTE).every((s) => s.status === "maintenance"));
+  assert.equal(applyMaintenance(services, [w], T0 + 60 * MINUTE), services);
+  assert.equal(applyMaintenance(services, [w], T0 - MINUTE), services);
+});
+
+test("upcoming maintenance lists current and future windows, soonest first", () => {
+  const at = (h, len, title) => newMaintenanceWindow({ title, start: iso(T0 + h * 60 * MINUTE), end: iso(T0 + (h + len) * 60 * MINUTE) });
+  const windows = [at(48, 2, "later"), at(-3, 1, "over"), at(-1, 2, "now"), at(5, 1, "soon")];
+  assert.deepEqual(upcomingMaintenance(windows, T0).map((w) => w.title), ["now", "soon", "later"]);
+});
+
+test("no alerts go out for a service under maintenance", () => {
+  const prefs = { rules: DEFAULT_RULES, alerting: { ...DEFAULT_ALERTING, confirmPolls: 1 } };
+  const maintenance = [newMaintenanceWindow({
+    title: "Canvas upgrade", start: iso(T0 + MINUTE), end: iso(T0 + 30 * MINUTE), targets: [{ type: "service", value: "HCPSS/upptime/Canvas" }],
+  })];
+  const incident = upptimeIncident({ ...recorded("hcpss-upptime/issues-open.json")[0], number: 416, title: "🛑 Canvas is down" }, { owner: "HCPSS", repo: "upptime", label: "Main Services" });
+
+  let state = processPoll({ services, incidents: [] }, { ...prefs, maintenance }, initialPollState({ initialized: false, entries: [] }), T0).state;
+  const during = processPoll({ services: withStatus("Canvas", "down"), incidents: [incident] }, { ...prefs, maintenance }, state, T0 + 2 * MINUTE);
+  assert.equal(during.services.find((s) => s.name === "Canvas").status, "maintenance");
+  assert.deepEqual(during.transitions.map((t) => [t.name, t.from, t.to]), [["Canvas", "up", "maintenance"]]);
+  assert.deepEqual(during.send, []);
+  state = during.state;
+
+  // Still down once the window is over: that is news, but the incident isn't.
+  const after = processPoll({ services: withStatus("Canvas", "down"), incidents: [incident] }, { ...prefs, maintenance }, state, T0 + 31 * MINUTE);
+  assert.deepEqual(after.send.map((e) => [e.kind, e.service.name]), [["down", "Canvas"]]);
+});
+
+test("an outage that spans a window is neither recovered nor repeated", () => {
+  const prefs = { rules: DEFAULT_RULES, alerting: { ...DEFAULT_ALERTING, confirmPolls: 2 } };
+  const maintenance = [newMaintenanceWindow({
+    title: "Schoology upgrade", start: iso(T0 + 10 * MINUTE), end: iso(T0 + 20 * MINUTE), targets: [{ type: "service", value: "HCPSS/upptime/Schoology" }],
+  })];
+  let state = { ...initialPollState({ initialized: true, entries: [] }), first: false };
+  state.ruleState = { streaks: {}, active: { "default-down|HCPSS/upptime/Schoology": true } };
+  const sent = [];
+  for (let m = 0; m <= 30; m += 5) {
+    const result = processPoll({ services: withStatus("Canvas", "up"), incidents: [] }, { ...prefs, maintenance }, state, T0 + m * MINUTE);
+    state = result.state;
+    sent.push(...result.send.map((e) => [m, e.kind, e.service.name]));
+  }
+  assert.deepEqual(sent, []);
+
+  const recovered = processPoll({ services: withStatus("Schoology", "up"), incidents: [] }, { ...prefs, maintenance }, state, T0 + 35 * MINUTE);
+  const back = processPoll({ services: withStatus("Schoology", "up"), incidents: [] }, { ...prefs, maintenance }, recovered.state, T0 + 40 * MINUTE);
+  assert.deepEqual(back.send.map((e) => [e.kind, e.service.name]), [["up", "Schoology"]]);
+});
+
+test("badge fetches read only the maintenance list and still apply it", async () => {
+  const clock = fakeClock(T0 + 11 * 60 * MINUTE);
+  const { fetch, calls } = replayFetch(upptimeRoutes());
+  const io = { fetch, github: createGitHubClient({ fetch, now: clock.now }), now: clock.now };
+  const data = await fetchSources([UPPTIME_SOURCE], {}, { ...io, lists: ["maintenance"] });
+  assert.deepEqual(calls.map((c) => c.url), [UPPTIME_URLS.summary, UPPTIME_URLS.maintenance]);
+  assert.deepEqual(data.incidents, []);
+  assert.equal(badgeSubject(data.services, { service: "Synergy StudentVUE" }).status, "maintenance");
+});
+
+test("maintenance ranks below real problems on badges", () => {
+  const maintained = withStatus("Canvas", "maintenance").map((s) => (s.name === "Schoology" ? { ...s, status: "up" } : s));
+  assert.equal(badgeSubject(maintained, { group: "Main Services" }).status, "maintenance");
+  assert.equal(badgeSubject(withStatus("Canvas", "maintenance"), { group: "Main Services" }).status, "down");
+});
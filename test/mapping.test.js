@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  upptimeServices, upptimeIncident, statuspageServices, statuspageIncident,
+  healthStatus, parseFlatYaml, formatPercent, servicePath, incidentPath,
+} from "../monitor-core.js";
+import { recorded, UPPTIME_SOURCE } from "./replay.js";
+
+test("upptimeServices maps every summary entry to a service", () => {
+  const services = upptimeServices(recorded("hcpss-upptime/summary.json"), UPPTIME_SOURCE);
+  assert.equal(services.length, 4);
+
+  const canvas = services.find((s) => s.name === "Canvas");
+  assert.deepEqual(canvas, {
+    id: "HCPSS/upptime/Canvas",
+    repo: "Main Services",
+    sourceType: "upptime",
+    owner: "HCPSS",
+    repoName: "upptime",
+    branch: "master",
+    slug: "canvas",
+    url: "https://hcpss.instructure.com",
+    name: "Canvas",
+    status: "up",
+    responseTime: null,
+    uptime: "99.98%",
+    uptimes: { day: "100.00%", week: "99.99%", month: "99.98%", year: "99.98%", all: "99.98%" },
+    times: { day: 205, week: 209, month: 214, year: 220, all: 212 },
+    dailyMinutesDown: {},
+  });
+  assert.equal(services.find((s) => s.name === "Schoology").status, "down");
+});
+
+test("upptimeServices treats any status other than up as down and derives missing slugs", () => {
+  const [svc] = upptimeServices([{ name: "Synergy ParentVUE", status: "degraded" }], UPPTIME_SOURCE);
+  assert.equal(svc.status, "down");
+  assert.equal(svc.slug, "synergy-parentvue");
+  assert.equal(servicePath(svc), "services/main-services/synergy-parentvue");
+});
+
+test("upptimeIncident keeps labels, assignees and the comment count", () => {
+  const [issue] = recorded("hcpss-upptime/issues-open.json");
+  const inc = upptimeIncident(issue, { owner: "HCPSS", repo: "upptime", label: "Main Services" });
+  assert.equal(inc.id, 412);
+  assert.equal(inc.title, "🛑 Schoology is down");
+  assert.equal(inc.state, "open");
+  assert.equal(inc.closedAt, null);
+  assert.equal(inc.commentCount, 1);
+  assert.deepEqual(inc.labels.map((l) => l.name), ["status", "schoology", "bug"]);
+  assert.deepEqual(inc.assignees, [{ login: "hcpss-netops", avatar: "https://avatars.githubusercontent.com/u/90210?v=4" }]);
+  assert.equal(incidentPath(inc), "incidents/main-services/412");
+});
+
+test("statuspageServices skips component groups and maps statuses", () => {
+  const summary = recorded("statuspage-summary.json");
+  const services = statuspageServices(summary, { url: "https://status.instructure.com/api/v2/summary.json", label: "Instructure" });
+  assert.deepEqual(services.map((s) => [s.name, s.status]), [
+    ["Canvas Web", "degraded"],
+    ["Canvas Mobile", "up"],
+    ["Canvas Studio", "down"],
+  ]);
+  assert.equal(services[0].url, "https://status.instructure.com");
+  assert.deepEqual(services[0].dailyMinutesDown, {});
+});
+
+test("statuspageIncident reads updates oldest first", () => {
+  const [raw] = recorded("statuspage-summary.json").incidents;
+  const inc = statuspageIncident(raw, "Instructure", "https://status.instructure.com");
+  assert.equal(inc.state, "open");
+  assert.equal(inc.url, "https://stspg.io/p31zjtct2jer");
+  assert.deepEqual(inc.labels, [{ name: "impact: major", color: null }]);
+  assert.deepEqual(inc.updates.map((u) => u.author), ["investigating", "identified"]);
+  assert.equal(inc.body, "The cause has been identified and a fix is being deployed.");
+});
+
+test("healthStatus understands common health words", () => {
+  assert.equal(healthStatus("OK"), "up");
+  assert.equal(healthStatus(true), "up");
+  assert.equal(healthStatus("warn"), "degraded");
+  assert.equal(healthStatus("fail"), "down");
+  assert.equal(healthStatus(undefined), "unknown");
+});
+
+test("parseFlatYaml and formatPercent read Upptime's files", () => {
+  assert.deepEqual(parseFlatYaml("url: https://hcpss.instructure.com\nstatus: up\ncode: 200\nresponseTime: 212\n"), {
+    url: "https://hcpss.instructure.com",
+    status: "up",
+    code: "200",
+    responseTime: "212",
+  });
+  assert.equal(formatPercent("99.98%"), "99.98%");
+  assert.equal(formatPercent(99.5), "99.5%");
+  assert.equal(formatPercent(undefined), "—");
+});
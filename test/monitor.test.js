@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMonitor, createEmitter, createGitHubClient, DEFAULT_ALERTING } from "../monitor-core.js";
+import { recorded, replayFetch, fakeClock, upptimeRoutes, UPPTIME_SOURCE, UPPTIME_URLS } from "./replay.js";
+
+function setup() {
+  const clock = fakeClock();
+  const routes = upptimeRoutes();
+  const { fetch } = replayFetch(routes);
+  const monitor = createMonitor({
+    sources: [UPPTIME_SOURCE],
+    alerting: { ...DEFAULT_ALERTING, confirmPolls: 1 },
+    fetch,
+    github: createGitHubClient({ fetch, now: clock.now }),
+    now: clock.now,
+  });
+  const events = [];
+  ["transition", "alert", "source-error", "poll"].forEach((name) => monitor.on(name, (payload) => events.push([name, payload])));
+  return { clock, routes, monitor, events };
+}
+
+test("createEmitter delivers to subscribers until they unsubscribe", () => {
+  const emitter = createEmitter();
+  const got = [];
+  const off = emitter.on("transition", (t) => got.push(t));
+  emitter.emit("transition", 1);
+  emitter.emit("alert", 2);
+  off();
+  emitter.emit("transition", 3);
+  assert.deepEqual(got, [1]);
+});
+
+test("the first poll only primes: nothing already down is announced", async () => {
+  const { monitor, events } = setup();
+  const summary = await monitor.poll();
+  assert.equal(summary.services.length, 4);
+  assert.deepEqual(events.map(([name]) => name), ["poll"]);
+  assert.equal(monitor.log.initialized, true);
+});
+
+test("later polls emit transitions and alerts", async () => {
+  const { clock, routes, monitor, events } = setup();
+  await monitor.poll();
+  events.length = 0;
+
+  // Schoology recovers; Canvas goes down.
+  routes[UPPTIME_URLS.summary] = recorded("hcpss-upptime/summary.json").map((s) => ({
+    ...s,
+    status: s.name === "Canvas" ? "down" : "up",
+  }));
+  clock.advance(60_000);
+  await monitor.poll();
+
+  const transitions = events.filter(([name]) => name === "transition").map(([, t]) => [t.name, t.from, t.to]);
+  assert.deepEqual(transitions, [["Canvas", "up", "down"], ["Schoology", "down", "up"]]);
+  const alerts = events.filter(([name]) => name === "alert").map(([, e]) => [e.kind, e.service.name]);
+  assert.deepEqual(alerts, [["down", "Canvas"], ["up", "Schoology"]]);
+  assert.equal(events.at(-1)[0], "poll");
+});
+
+test("a source that can't be read emits source-error", async () => {
+  const { routes, monitor, events } = setup();
+  delete routes[UPPTIME_URLS.summary];
+  await monitor.poll();
+  const [[, payload]] = events.filter(([name]) => name === "source-error");
+  assert.equal(payload.source.id, "hcpss-upptime");
+  assert.match(payload.error.message, /Could not reach/);
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_PREFS, PREFS_VERSION, migratePrefs, normalizePrefs, readPrefsFile } from "../monitor-core.js";
+
+const file = (prefs) => JSON.stringify({ app: "hcpss-status-monitor", exportedAt: "2026-10-01T00:00:00.000Z", prefs });
+
+test("a version 1 document is upgraded to the current shape", () => {
+  const prefs = migratePrefs({
+    version: 1,
+    channels: { desktop: false, email: { address: "it@hcpss.org", verified: true, enabled: true } },
+    subscriptions: { groups: ["Main Services"], services: [] },
+    criticalServices: ["HCPSS/upptime/Canvas"],
+  });
+  assert.equal(prefs.version, PREFS_VERSION);
+  assert.deepEqual(prefs.rules.map((r) => [r.target.value, r.condition.type, r.severity]), [
+    ["Main Services", "down", "warning"],
+    ["Main Services", "incident", "warning"],
+    ["HCPSS/upptime/Canvas", "down", "critical"],
+  ]);
+  assert.deepEqual(prefs.severityChannels.warning, ["desktop", "email", "webhook"]);
+  assert.deepEqual(prefs.maintenance, []);
+  assert.equal(normalizePrefs(prefs).skipped, 0);
+});
+
+test("files that can't be settings are refused with a readable error", () => {
+  assert.throws(() => readPrefsFile("{"), { message: "The file isn't JSON" });
+  assert.throws(() => readPrefsFile("[1, 2]"), { message: "Not an HCPSS Monitor settings file" });
+  assert.throws(() => readPrefsFile(file({ desktopEnabled: true })), { message: "Not an HCPSS Monitor settings file (no version)" });
+  assert.throws(() => readPrefsFile(file({ version: PREFS_VERSION + 1 })), { message: `Settings file is from a newer version (${PREFS_VERSION + 1})` });
+  assert.throws(() => readPrefsFile(file({ version: 1, subscriptions: "all" })), { message: "Couldn't upgrade these settings from version 1" });
+  assert.throws(() => readPrefsFile(file({ ...DEFAULT_PREFS, rules: "none" })), { message: "The alert rules in this settings file aren't a list" });
+});
+
+test("unusable list entries are left out and counted", () => {
+  const { prefs, skipped } = readPrefsFile(file({
+    ...DEFAULT_PREFS,
+    rules: [
+      ...DEFAULT_PREFS.rules,
+      { target: { type: "all" }, condition: { type: "slow" }, severity: "warning" },
+      { target: { type: "group", value: "Main Services" }, condition: { type: "slow", threshold: 800 }, severity: "loud" },
+      5,
+    ],
+    webhooks: [{ format: "slack", url: "https://hooks.slack.com/services/T0/B0/x" }, { format: "irc", url: "irc://x" }],
+    maintenance: [{ title: "Patching", start: "2026-10-20T06:00:00Z", end: "2026-10-20T07:00:00Z" }, { start: "soon" }],
+  }));
+  assert.equal(skipped, 5);
+  assert.deepEqual(prefs.rules.map((r) => r.id), ["default-down", "default-incident"]);
+  assert.deepEqual(prefs.webhooks.map((h) => [h.format, h.secret, h.enabled, h.filter]), [["slack", "", true, { groups: [], services: [] }]]);
+  assert.deepEqual(prefs.maintenance.map((w) => [w.title, w.targets]), [["Patching", [{ type: "all" }]]]);
+});
+
+test("settings with the wrong type or out of range fall back to their defaults", () => {
+  const { prefs, skipped } = readPrefsFile(file({
+    ...DEFAULT_PREFS,
+    quietHours: { enabled: "yes", start: 5, end: "25:00" },
+    alerting: { ...DEFAULT_PREFS.alerting, confirmPolls: 0, cooldownMinutes: "15" },
+    polling: { ...DEFAULT_PREFS.polling, intervalSeconds: "fast", timeoutSeconds: 600, hiddenFactor: 3 },
+    background: { enabled: 1, push: true },
+    defaultPage: "admin",
+    channels: { desktop: true, email: "it@hcpss.org", sms: { address: "+14105550100", verified: "true", enabled: true } },
+    severityChannels: { info: ["desktop", "pager"], warning: "email" },
+  }));
+  assert.equal(skipped, 10);
+  assert.deepEqual(prefs.quietHours, DEFAULT_PREFS.quietHours);
+  assert.deepEqual(prefs.alerting, DEFAULT_PREFS.alerting);
+  assert.deepEqual(prefs.polling, { ...DEFAULT_PREFS.polling, hiddenFactor: 3 });
+  assert.deepEqual(prefs.background, { enabled: false, push: true });
+  assert.equal(prefs.defaultPage, "dashboard");
+  assert.deepEqual(prefs.channels, {
+    desktop: true,
+    email: DEFAULT_PREFS.channels.email,
+    sms: { address: "+14105550100", verified: false, enabled: true },
+  });
+  assert.deepEqual(prefs.severityChannels, { ...DEFAULT_PREFS.severityChannels, info: ["desktop"] });
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { once } from "node:events";
+import { createCodeStore } from "../relay/util.js";
+import { createEmailRoutes } from "../relay/email.js";
+import { createSmsRoutes } from "../relay/sms.js";
+import { createWebhookRoutes } from "../relay/webhook.js";
+import { fakeClock } from "./replay.js";
+
+test("a verification code is good once, until it expires", () => {
+  const clock = fakeClock();
+  const codes = createCodeStore({ ttlMs: 60_000, now: clock.now });
+  const code = codes.issue("a@hcpss.org");
+  assert.equal(codes.check("b@hcpss.org", code), false);
+  assert.equal(codes.check("a@hcpss.org", code), true);
+  assert.equal(codes.check("a@hcpss.org", code), false);
+
+  const late = codes.issue("a@hcpss.org");
+  clock.advance(60_001);
+  assert.equal(codes.check("a@hcpss.org", late), false);
+});
+
+test("a code is dropped after too many wrong guesses", () => {
+  const codes = createCodeStore({ ttlMs: 60_000, maxAttempts: 3 });
+  const code = codes.issue("a@hcpss.org");
+  const wrong = code === "000000" ? "111111" : "000000";
+  assert.equal(codes.check("a@hcpss.org", wrong), false);
+  assert.equal(codes.check("a@hcpss.org", wrong), false);
+  assert.equal(codes.check("a@hcpss.org", wrong), false);
+  assert.equal(codes.check("a@hcpss.org", code), false);
+});
+
+test("email confirm answers a wrong code and a missing one alike", async () => {
+  const sent = [];
+  const routes = createEmailRoutes({ transport: { send: async (msg) => sent.push(msg) }, dataDir: "/nonexistent" });
+  const attempt = (to, code) => routes["POST /email/confirm"]({ to, code }).then(() => null, (e) => [e.status, e.message]);
+  await routes["POST /email/verify"]({ to: "a@hcpss.org" });
+  assert.deepEqual(await attempt("a@hcpss.org", "nope"), await attempt("b@hcpss.org", "nope"));
+
+  const code = /code is (\d{6})/.exec(sent[0].text)[1];
+  for (let i = 0; i < 4; i++) await attempt("a@hcpss.org", "nope");
+  assert.deepEqual(await attempt("a@hcpss.org", code), [400, "Invalid or expired code"]);
+});
+
+test("a texted code can't be guessed either", async () => {
+  const sent = [];
+  const routes = createSmsRoutes({ provider: { send: async (msg) => sent.push(msg) }, dataDir: "/nonexistent" });
+  const { to } = await routes["POST /sms/verify"]({ to: "410-555-0100" });
+  const code = /(\d{6})$/.exec(sent[0].text)[1];
+  for (let i = 0; i < 5; i++) await assert.rejects(routes["POST /sms/confirm"]({ to, code: "nope" }), { status: 400 });
+  await assert.rejects(routes["POST /sms/confirm"]({ to, code }), { message: "Invalid or expired code" });
+});
+
+test("webhooks are only forwarded to registered, public URLs", async () => {
+  const routes = createWebhookRoutes({ RELAY_WEBHOOK_URLS: "https://hooks.example.org/ https://127.0.0.1/hook https://[::ffff:10.0.0.1]/hook https://localhost/hook http://localhost:8789/slack" });
+  const forward = (url) => routes["POST /webhook/forward"]({ url, body: "{}" }).then(() => null, (e) => [e.status, e.message]);
+  assert.deepEqual(await forward("https://hooks.slack.com/services/T0/B0/x"),
+    [403, "This relay doesn't forward to hooks.slack.com; add the URL to RELAY_WEBHOOK_URLS"]);
+  assert.deepEqual(await forward("https://127.0.0.1/hook"), [400, "Webhook URLs can't point at private addresses"]);
+  assert.deepEqual(await forward("https://[::ffff:10.0.0.1]/hook"), [400, "Webhook URLs can't point at private addresses"]);
+  assert.deepEqual(await forward("https://localhost/hook"), [400, "Webhook URLs can't point at private addresses"]);
+  assert.deepEqual(await forward("http://localhost:8789/slack"), [400, "Webhook URLs must use https"]);
+});
+
+test("http to localhost is forwarded only when allowed, for the dev receiver", async () => {
+  const server = http.createServer((req, res) => res.writeHead(202).end()).listen(0);
+  await once(server, "listening");
+  const url = `http://localhost:${server.address().port}/slack`;
+  try {
+    const routes = createWebhookRoutes({ RELAY_WEBHOOK_URLS: url, RELAY_WEBHOOK_ALLOW_LOCAL: "1" });
+    assert.deepEqual(await routes["POST /webhook/forward"]({ url, body: "{}" }), { status: 202, retryAfter: null });
+  } finally {
+    server.close();
+  }
+});
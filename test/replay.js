@@ -0,0 +1,54 @@
+// Test doubles for monitor-core.js: a fetch that replays recorded responses
+// instead of reaching GitHub, and a clock that only moves when told to.
+import { readFileSync } from "node:fs";
+
+export function recorded(name) {
+  return JSON.parse(readFileSync(new URL(`./recorded/${name}`, import.meta.url), "utf8"));
+}
+
+export const UPPTIME_SOURCE = {
+  id: "hcpss-upptime", type: "upptime", owner: "HCPSS", repo: "upptime", branch: "master", label: "Main Services", issueLabel: "bug",
+};
+
+export const UPPTIME_URLS = {
+  summary: "https://raw.githubusercontent.com/HCPSS/upptime/master/history/summary.json",
+  open:    "https://api.github.com/repos/HCPSS/upptime/issues?state=open&labels=bug&per_page=10&page=1",
+  closed:  "https://api.github.com/repos/HCPSS/upptime/issues?state=closed&labels=bug&per_page=5&page=1",
+  maintenance: "https://api.github.com/repos/HCPSS/upptime/issues?state=open&labels=maintenance&per_page=10&page=1",
+};
+
+// The recorded HCPSS/upptime repository, as the Upptime adapter reads it.
+export function upptimeRoutes() {
+  return {
+    [UPPTIME_URLS.summary]: recorded("hcpss-upptime/summary.json"),
+    [UPPTIME_URLS.open]:    recorded("hcpss-upptime/issues-open.json"),
+    [UPPTIME_URLS.closed]:  recorded("hcpss-upptime/issues-closed.json"),
+    [UPPTIME_URLS.maintenance]: recorded("hcpss-upptime/issues-maintenance.json"),
+  };
+}
+
+// `routes` maps exact URLs to a JSON body, or to a function of the request
+// init returning a Response. Unknown URLs fail like an unreachable host.
+// Every request is kept in `calls`.
+export function replayFetch(routes) {
+  const calls = [];
+  const fetch = async (url, init = {}) => {
+    calls.push({ url, init });
+    if (init.signal?.aborted) throw new DOMException("This operation was aborted", "AbortError");
+    const route = routes[url];
+    if (route === undefined) throw new TypeError("fetch failed");
+    if (typeof route === "function") return route(init);
+    return Response.json(route);
+  };
+  return { fetch, calls };
+}
+
+export function fakeClock(start = Date.parse("2026-09-14T12:00:00Z")) {
+  let t = start;
+  return {
+    now: () => t,
+    advance(ms) {
+      t += ms;
+    },
+  };
+}
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  toCsv, exportRecords, filterExport, slaReport, searchIncidents, filtersFromParams, filtersToParams,
+  outageSpans, reliabilityStats, badgeSubject, renderBadge, upptimeServices, upptimeIncident,
+} from "../monitor-core.js";
+import { recorded, UPPTIME_SOURCE } from "./replay.js";
+
+const services = upptimeServices(recorded("hcpss-upptime/summary.json"), UPPTIME_SOURCE);
+const incidents = [...recorded("hcpss-upptime/issues-open.json"), ...recorded("hcpss-upptime/issues-closed.json")]
+  .filter((i) => !i.pull_request)
+  .map((i) => upptimeIncident(i, { owner: "HCPSS", repo: "upptime", label: "Main Services" }));
+
+test("CSV cells are quoted as needed and formula-looking text is defused", () => {
+  const csv = toCsv("incidents", [{ ...incidents[1], title: '=HYPERLINK("x"), "quoted"' }]);
+  const [header, row] = csv.split("\r\n");
+  assert.equal(header, "group,id,title,state,createdAt,closedAt,durationMinutes,labels,url");
+  assert.equal(row, `Main Services,407,"'=HYPERLINK(""x""), ""quoted""",closed,2026-09-10T13:02:40Z,2026-09-10T13:43:59Z,41,status; synergy-studentvue; bug,https://github.com/HCPSS/upptime/issues/407`);
+  assert.ok(csv.endsWith("\r\n"));
+});
+
+test("JSON exports carry the same fields as the CSV columns", () => {
+  const [record] = exportRecords("services", services.slice(0, 1));
+  assert.deepEqual(Object.keys(record), toCsv("services", []).trim().split(","));
+  assert.equal(record.service, "HCPSS Website");
+  assert.equal(record.uptimeMonth, "99.98%");
+});
+
+test("exports filter by source and by time", () => {
+  const from = Date.parse("2026-09-12T00:00:00Z");
+  assert.deepEqual(filterExport("incidents", incidents, { from }).map((i) => i.id), [412]);
+  assert.equal(filterExport("services", services, { from, repo: "Other" }).length, 0);
+  assert.equal(filterExport("services", services, { from, repo: "Main Services" }).length, 4);
+});
+
+test("slaReport uses Upptime's daily downtime and counts incidents per service", () => {
+  const report = slaReport({ services, transitions: [], incidents, month: "2026-09", now: Date.parse("2026-10-19T00:00:00Z") });
+  const row = (name) => report.rows.find((r) => r.name === name);
+  assert.equal(row("Synergy StudentVUE").downtimeMinutes, 59);
+  assert.equal(row("Synergy StudentVUE").incidents, 1);
+  assert.equal(row("Schoology").incidents, 1);
+  assert.equal(row("Canvas").uptime, 1);
+  assert.equal(row("Schoology").basis, "upptime");
+  assert.equal(report.incidents, 2);
+});
+
+test("outage spans and reliability stats from recorded transitions", () => {
+  const t = (to, from, at) => ({ id: "s", name: "Schoology", repo: "Main Services", from, to, at });
+  const spans = outageSpans([t("down", "up", 100), t("up", "down", 400), t("down", "up", 700)], { from: 0, to: 1000 })[0].spans;
+  assert.deepEqual(spans, [{ start: 100, end: 400, ongoing: false }, { start: 700, end: 1000, ongoing: true }]);
+  const stats = reliabilityStats(spans, { from: 0, to: 1000 });
+  assert.equal(stats.downtime, 600);
+  assert.equal(stats.availability, 0.4);
+  assert.equal(stats.mttr, 300);
+});
+
+test("incident search matches every term and round-trips its filters", () => {
+  const filters = filtersFromParams(new URLSearchParams("q=synergy+down&state=closed"));
+  assert.deepEqual(searchIncidents(incidents, filters, services).map((i) => i.id), [407]);
+  assert.equal(filtersToParams(filters).toString(), "q=synergy+down&state=closed");
+});
+
+test("badges escape their text and report unknown subjects", () => {
+  assert.equal(badgeSubject(services, { service: "schoology" }).status, "down");
+  assert.deepEqual(badgeSubject(services, { service: "Clever" }), { label: "Clever", status: "unknown", value: "not found", services: [] });
+  const svg = renderBadge({ label: "<Canvas & co>", status: "up" });
+  assert.ok(svg.includes("&#60;Canvas &#38; co&#62;"));
+  assert.ok(!svg.includes("<Canvas"));
+});
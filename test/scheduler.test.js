@@ -0,0 +1,124 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createPollScheduler, pollInterval, backoffDelay, POLL_DEFAULTS } from "../monitor-core.js";
+
+// A clock whose timers only fire when the test moves time forward.
+function timerClock() {
+  let t = 0;
+  const timers = new Set();
+  return {
+    now: () => t,
+    setTimeout: (fn, ms) => {
+      const timer = { fn, at: t + ms };
+      timers.add(timer);
+      return timer;
+    },
+    clearTimeout: (timer) => timers.delete(timer),
+    async advance(ms) {
+      const end = t + ms;
+      for (;;) {
+        const next = [...timers].sort((a, b) => a.at - b.at)[0];
+        if (!next || next.at > end) break;
+        timers.delete(next);
+        t = next.at;
+        next.fn();
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      t = end;
+    },
+  };
+}
+
+function setup(sources, { failing = new Set(), down = false } = {}) {
+  const clock = timerClock();
+  const runs = [];
+  const state = { failing, down };
+  const run = async (due) => {
+    runs.push([clock.now() / 1000, due.map((s) => s.id)]);
+    return {
+      services: [{ status: state.down ? "down" : "up" }],
+      results: Object.fromEntries(due.map((s) => [s.id, { health: { ok: !state.failing.has(s.id) } }])),
+    };
+  };
+  const scheduler = createPollScheduler({ run, sources, settings: POLL_DEFAULTS, clock, random: () => 0.5 });
+  return { clock, runs, state, scheduler };
+}
+
+test("pollInterval applies a source's own interval, the down interval and the hidden factor", () => {
+  assert.equal(pollInterval({}, POLL_DEFAULTS), 60_000);
+  assert.equal(pollInterval({ intervalSeconds: 300 }, POLL_DEFAULTS), 300_000);
+  assert.equal(pollInterval({ intervalSeconds: 300 }, POLL_DEFAULTS, { anyDown: true }), 20_000);
+  assert.equal(pollInterval({}, POLL_DEFAULTS, { hidden: true }), 300_000);
+});
+
+test("backoffDelay doubles per failure up to the cap, with jitter", () => {
+  assert.equal(backoffDelay(60_000, 1, POLL_DEFAULTS, () => 0.5), 120_000);
+  assert.equal(backoffDelay(60_000, 3, POLL_DEFAULTS, () => 0.5), 480_000);
+  assert.equal(backoffDelay(60_000, 10, POLL_DEFAULTS, () => 0.5), 900_000);
+  assert.equal(backoffDelay(60_000, 1, POLL_DEFAULTS, () => 0), 90_000);
+  assert.equal(backoffDelay(60_000, 1, POLL_DEFAULTS, () => 1), 150_000);
+});
+
+test("each source is polled on its own interval", async () => {
+  const { clock, runs, scheduler } = setup([{ id: "a" }, { id: "b", intervalSeconds: 180 }]);
+  scheduler.start();
+  await clock.advance(360_000);
+  assert.deepEqual(runs, [
+    [0, ["a", "b"]], [60, ["a"]], [120, ["a"]], [180, ["a", "b"]], [240, ["a"]], [300, ["a"]], [360, ["a", "b"]],
+  ]);
+});
+
+test("polling speeds up while a service is down and slows down while hidden", async () => {
+  const { clock, runs, state, scheduler } = setup([{ id: "a" }], { down: true });
+  scheduler.start();
+  await clock.advance(60_000);
+  assert.deepEqual(runs.map(([t]) => t), [0, 20, 40, 60]);
+
+  state.down = false;
+  await clock.advance(20_000);
+  scheduler.update({ hidden: true });
+  runs.length = 0;
+  await clock.advance(600_000);
+  assert.deepEqual(runs.map(([t]) => t), [380, 680]);
+});
+
+test("a failing source backs off without holding up the others", async () => {
+  const { clock, runs, scheduler } = setup([{ id: "a" }, { id: "b" }], { failing: new Set(["b"]) });
+  scheduler.start();
+  await clock.advance(600_000);
+  const times = (id) => runs.filter(([, ids]) => ids.includes(id)).map(([t]) => t);
+  assert.deepEqual(times("b"), [0, 120, 360]);
+  assert.equal(times("a").length, 11);
+  assert.equal(scheduler.status().sources.b.failures, 3);
+});
+
+test("polls never overlap: a refresh during a poll joins it", async () => {
+  let release;
+  const clock = timerClock();
+  let calls = 0;
+  const run = () => {
+    calls += 1;
+    return new Promise((resolve) => { release = () => resolve({ services: [], results: {} }); });
+  };
+  const scheduler = createPollScheduler({ run, sources: [{ id: "a" }], clock });
+  scheduler.start();
+  await clock.advance(0);
+  const joined = scheduler.pollNow();
+  assert.equal(calls, 1);
+  assert.equal(scheduler.status().running, true);
+  release();
+  await joined;
+  assert.equal(scheduler.status().running, false);
+});
+
+test("changed sources are fetched again at once; unchanged ones keep their slot", async () => {
+  const { clock, runs, scheduler } = setup([{ id: "a" }, { id: "b", url: "https://x" }]);
+  scheduler.start();
+  await clock.advance(30_000);
+  scheduler.update({ sources: [{ id: "a" }, { id: "b", url: "https://y" }] });
+  await clock.advance(0);
+  assert.deepEqual(runs, [[0, ["a", "b"]], [30, ["b"]]]);
+  scheduler.stop();
+  await clock.advance(600_000);
+  assert.equal(runs.length, 2);
+});
@@ -0,0 +1,133 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import {
+  webhookBody, webhookMatches, webhookRequest, deliverWebhook, recordDelivery, newWebhook, signWebhook,
+  upptimeServices, upptimeIncident, WEBHOOK_LOG_LIMIT,
+} from "../monitor-core.js";
+import { recorded, fakeClock, UPPTIME_SOURCE } from "./replay.js";
+
+const AT = Date.parse("2026-09-14T12:05:00Z");
+const services = upptimeServices(recorded("hcpss-upptime/summary.json"), UPPTIME_SOURCE);
+const schoology = services.find((s) => s.name === "Schoology");
+const down = { kind: "down", severity: "critical", service: schoology };
+const incident = {
+  kind: "incident",
+  severity: "warning",
+  incident: upptimeIncident(recorded("hcpss-upptime/issues-open.json")[0], { owner: "HCPSS", repo: "upptime", label: "Main Services" }),
+};
+
+test("Slack gets Block Kit with escaped text and a fallback", () => {
+  const body = webhookBody("slack", { ...down, service: { ...schoology, name: "<!channel> & co" } }, AT);
+  assert.equal(body.text, "🟥 HCPSS: <!channel> & co is DOWN");
+  assert.deepEqual(body.blocks.map((b) => b.type), ["header", "section", "context", "actions"]);
+  assert.equal(body.blocks[1].fields[0].text, "*Service*\n&lt;!channel&gt; &amp; co");
+  assert.equal(body.blocks[1].fields.at(-1).text, "*Time*\n2026-09-14 12:05 UTC");
+  assert.equal(body.blocks[3].elements[0].url, schoology.url);
+});
+
+test("Teams gets an Adaptive Card colored by the change", () => {
+  const body = webhookBody("teams", down, AT);
+  const card = body.attachments[0].content;
+  assert.equal(body.attachments[0].contentType, "application/vnd.microsoft.card.adaptive");
+  assert.equal(card.version, "1.4");
+  assert.equal(card.body[0].color, "Attention");
+  assert.deepEqual(card.body[2].facts.slice(0, 3), [
+    { title: "Service", value: "Schoology" },
+    { title: "Group", value: "Main Services" },
+    { title: "Status", value: "down" },
+  ]);
+  assert.equal(webhookBody("teams", { ...down, kind: "up" }, AT).attachments[0].content.body[0].color, "Good");
+});
+
+test("Discord gets an embed that can't mention anyone", () => {
+  const body = webhookBody("discord", incident, AT);
+  assert.deepEqual(body.allowed_mentions, { parse: [] });
+  assert.equal(body.embeds[0].title, "⚠️ HCPSS incident: 🛑 Schoology is down");
+  assert.equal(body.embeds[0].color, 0xea580c);
+  assert.equal(body.embeds[0].timestamp, "2026-09-14T12:05:00.000Z");
+  assert.equal(body.embeds[0].url, "https://github.com/HCPSS/upptime/issues/412");
+});
+
+test("JSON deliveries are signed over the timestamp and the exact body", async () => {
+  const hook = newWebhook({ format: "json", url: "https://example.org/hook", secret: "s3cret" });
+  const { headers, body } = await webhookRequest(hook, down, { id: "d1", now: AT });
+  assert.equal(headers["X-HCPSS-Event"], "down");
+  assert.equal(headers["X-HCPSS-Delivery"], "d1");
+  const [, t, v1] = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(headers["X-HCPSS-Signature"]);
+  assert.equal(Number(t), AT / 1000);
+  assert.equal(v1, crypto.createHmac("sha256", "s3cret").update(`${t}.${body}`).digest("hex"));
+  assert.equal(await signWebhook("s3cret", t, body), v1);
+  assert.deepEqual(JSON.parse(body).service, {
+    id: "HCPSS/upptime/Schoology", name: "Schoology", group: "Main Services", status: "down", responseTime: null, url: schoology.url,
+  });
+});
+
+test("chat formats carry no HCPSS headers", async () => {
+  const { headers } = await webhookRequest(newWebhook({ format: "slack", secret: "unused" }), down, { id: "d1", now: AT });
+  assert.deepEqual(headers, { "Content-Type": "application/json" });
+});
+
+test("filters match groups and services; incidents match by group", () => {
+  const hook = (filter, enabled = true) => ({ enabled, filter });
+  assert.equal(webhookMatches(hook({ groups: [], services: [] }), down), true);
+  assert.equal(webhookMatches(hook({ groups: [], services: [] }, false), down), false);
+  assert.equal(webhookMatches(hook({ groups: ["Main Services"], services: [] }), down), true);
+  assert.equal(webhookMatches(hook({ groups: [], services: ["HCPSS/upptime/Canvas"] }), down), false);
+  assert.equal(webhookMatches(hook({ groups: [], services: ["HCPSS/upptime/Schoology"] }), down), true);
+  assert.equal(webhookMatches(hook({ groups: ["Main Services"], services: [] }), incident), true);
+  assert.equal(webhookMatches(hook({ groups: [], services: ["HCPSS/upptime/Schoology"] }), incident), false);
+});
+
+function scripted(answers) {
+  const clock = fakeClock(AT);
+  const waits = [];
+  const updates = [];
+  const opts = {
+    post: async () => {
+      const next = answers.shift();
+      if (next instanceof Error) throw next;
+      return next;
+    },
+    sleep: async (ms) => {
+      waits.push(ms);
+      clock.advance(ms);
+    },
+    now: clock.now,
+    random: () => 0.5,
+    onUpdate: (d) => updates.push(d.state),
+  };
+  return { opts, waits, updates };
+}
+
+test("failed deliveries are retried with backoff until they go through", async () => {
+  const { opts, waits, updates } = scripted([{ status: 0, error: "Could not reach example.org" }, { status: 503 }, { status: 200 }]);
+  const delivery = await deliverWebhook(newWebhook({ url: "https://example.org" }), down, opts);
+  assert.equal(delivery.state, "delivered");
+  assert.deepEqual(delivery.attempts.map((a) => a.status), [0, 503, 200]);
+  assert.deepEqual(waits, [5_000, 10_000]);
+  assert.deepEqual(updates, ["retrying", "retrying", "delivered"]);
+});
+
+test("Retry-After is honoured, and the last attempt's failure is final", async () => {
+  const { opts, waits } = scripted([{ status: 429, retryAfter: 30 }, { status: 500 }, { status: 502 }, { status: 503 }]);
+  const delivery = await deliverWebhook(newWebhook({ url: "https://example.org" }), down, opts);
+  assert.equal(delivery.state, "failed");
+  assert.equal(delivery.attempts.length, 4);
+  assert.deepEqual(waits, [30_000, 10_000, 20_000]);
+});
+
+test("a rejected payload is not retried", async () => {
+  const { opts, waits } = scripted([{ status: 400 }]);
+  const delivery = await deliverWebhook(newWebhook({ url: "https://example.org" }), down, opts);
+  assert.equal(delivery.state, "failed");
+  assert.deepEqual(waits, []);
+});
+
+test("the delivery log keeps the newest record per delivery", () => {
+  let log = [];
+  for (let i = 0; i < WEBHOOK_LOG_LIMIT + 5; i++) log = recordDelivery(log, { id: `d${i}`, state: "delivered" });
+  log = recordDelivery(log, { id: `d${WEBHOOK_LOG_LIMIT}`, state: "failed" });
+  assert.equal(log.length, WEBHOOK_LOG_LIMIT);
+  assert.deepEqual(log.slice(0, 2).map((d) => [d.id, d.state]), [[`d${WEBHOOK_LOG_LIMIT}`, "failed"], [`d${WEBHOOK_LOG_LIMIT + 4}`, "delivered"]]);
+});
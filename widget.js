@@ -0,0 +1,120 @@
+// Embeddable HCPSS status for school sites and the staff intranet:
+//
+//   <script type="module" src="https://<monitor>/widget.js"></script>
+//   <hcpss-status service="Canvas" size="medium" theme="light"></hcpss-status>
+//
+// Attributes: group (source label), service (name), size (small | medium | large),
+// theme (dark | light), variant (badge | list) and href (where a click goes; the
+// public status page by default). The app's /embed route shows the same element
+// for pages that can only take an iframe.
+import {
+  DEFAULT_SOURCES, STATUS_COLORS, STATUS_LABELS, BADGE_SIZES, BADGE_THEMES, POLL_DEFAULTS,
+  fetchSources, badgeSubject, renderBadge, backoffDelay,
+} from "./monitor-core.js";
+
+const REFRESH_MS = 5 * 60_000;
+const PUBLIC_PAGE = new URL("./public", import.meta.url).href;
+
+// ─── SHARED POLL ─────────────────────────────────────────────────────────────
+// One poll per page, however many elements it has; it stops with the last one.
+// Every visitor's page polls, so it only reads statuses and maintenance windows
+// (one GitHub API call per source, no incidents), pauses while the page is hidden, jitters each wait so pages don't poll in
+// step, and backs off while a source is failing.
+const elements = new Set();
+let services = null;
+let results = {};
+let timer = null;
+let running = null;
+let fetchedAt = 0;
+let failures = 0;
+
+function refresh() {
+  clearTimeout(timer);
+  timer = null;
+  running ??= fetchSources(DEFAULT_SOURCES, results, { lists: ["maintenance"] }).then((data) => {
+    results = data.results;
+    services = data.services;
+    fetchedAt = Date.now();
+    failures = Object.values(results).some((r) => !r.health.ok) ? failures + 1 : 0;
+    elements.forEach((el) => el.render());
+  }).finally(() => {
+    running = null;
+    schedule();
+  });
+  return running;
+}
+
+function schedule() {
+  if (elements.size === 0 || timer || running || document.hidden) return;
+  const due = fetchedAt + backoffDelay(REFRESH_MS, failures, POLL_DEFAULTS);
+  timer = setTimeout(refresh, Math.max(0, due - Date.now()));
+}
+
+document.addEventListener("visibilitychange", () => {
+  clearTimeout(timer);
+  timer = null;
+  schedule();
+});
+
+const escapeHtml = (text) => String(text).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+// ─── ELEMENT ─────────────────────────────────────────────────────────────────
+class HcpssStatus extends HTMLElement {
+  static observedAttributes = ["group", "service", "size", "theme", "variant", "href"];
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+  }
+
+  connectedCallback() {
+    elements.add(this);
+    schedule();
+    this.render();
+  }
+
+  disconnectedCallback() {
+    elements.delete(this);
+    if (elements.size === 0) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  attributeChangedCallback() {
+    if (this.isConnected) this.render();
+  }
+
+  render() {
+    const attr = (name) => this.getAttribute(name) || undefined;
+    const size = BADGE_SIZES[attr("size")] ? attr("size") : "small";
+    const theme = BADGE_THEMES[attr("theme")] ? attr("theme") : "dark";
+    const href = /^https?:\/\//.test(attr("href") || "") ? attr("href") : PUBLIC_PAGE;
+    const subject = services
+      ? badgeSubject(services, { group: attr("group"), service: attr("service") })
+      : { label: attr("service") || attr("group") || "HCPSS", status: "unknown", value: "checking…", services: [] };
+
+    const body = attr("variant") === "list" ? this.list(subject, size, theme) : renderBadge({ ...subject, size, theme });
+    this.shadowRoot.innerHTML = `<style>:host { display: inline-block; line-height: 0; } a { text-decoration: none; }</style>`
+      + `<a href="${escapeHtml(href)}" target="_top" rel="noopener">${body}</a>`;
+  }
+
+  list(subject, size, theme) {
+    const { font } = BADGE_SIZES[size];
+    const colors = BADGE_THEMES[theme];
+    const row = (name, status) => {
+      const c = STATUS_COLORS[status] || STATUS_COLORS.unknown;
+      return `<div style="display:flex;align-items:center;gap:8px;padding:3px 0">`
+        + `<span style="width:${font * 0.7}px;height:${font * 0.7}px;border-radius:50%;background:${c.bg}"></span>`
+        + `<span style="flex:1">${escapeHtml(name)}</span>`
+        + `<span style="color:${colors.muted}">${escapeHtml(STATUS_LABELS[status] || status)}</span></div>`;
+    };
+    return `<div style="line-height:1.4;font:${font}px 'Segoe UI', system-ui, sans-serif;color:${colors.text};`
+      + `background:${colors.background};border:1px solid ${colors.label};border-radius:10px;padding:10px 14px;min-width:220px">`
+      + `<div style="font-weight:700;margin-bottom:4px">${escapeHtml(subject.label)}</div>`
+      + (subject.services.length > 0 ? subject.services.map((s) => row(s.name, s.status)).join("") : row(subject.value || "", subject.status))
+      + `</div>`;
+  }
+}
+
+if (!customElements.get("hcpss-status")) customElements.define("hcpss-status", HcpssStatus);